@@ -1,42 +1,152 @@
 // app.js
 import express from "express";
 import morgan from "morgan";
+import { fileURLToPath } from "url";
+import defaultConfig from "./config.js";
+import { createPool, pool } from "./db.js";
 import ExpressError from "./expressError.js";
+import { authenticate } from "./middleware/auth.js";
 import dbClient from "./middleware/dbClient.js";
+import pgErrorHandler from "./middleware/pgErrorHandler.js";
+import apiKeysRoutes from "./routes/apiKeys.js";
+import auditRoutes from "./routes/audit.js";
 import companiesRoutes from "./routes/companies.js";
+import exportsRoutes from "./routes/exports.js";
+import industriesRoutes from "./routes/industries.js";
 import invoicesRoutes from "./routes/invoices.js";
+import reportsRoutes from "./routes/reports.js";
+import { escapeHtml, templateEngine } from "./utils/template.js";
 
-const app = express();
+/** Directory of the app's own templates */
+const VIEWS_DIR = fileURLToPath(new URL("./views", import.meta.url));
 
-// Middleware to parse JSON
-app.use(express.json());
+/** Lowest status of the requests logged at each `LOG_LEVEL` */
+const LOGGED_STATUS = { error: 500, warn: 400, info: 0 };
 
-// Route logging middleware
-app.use(morgan("dev"));
+/**
+ * Builds the `skip` option of morgan for a log level, leaving out requests
+ * that aren't worth logging at that level.
+ * @param {String} logLevel - like `warn`
+ * @returns {Function}
+ */
+function skipLogging(logLevel) {
+  return (req, res) => res.statusCode < LOGGED_STATUS[logLevel];
+}
 
-// Database middleware
-app.use(dbClient);
+/** Settings of the pool, see `createPool` */
+const POOL_SETTINGS = ["databaseUrl", "poolSize", "statementTimeout"];
 
-// Company routes
-app.use("/companies", companiesRoutes);
+/** Pools made for other settings by `poolFor`, by their settings */
+const pools = new Map();
 
-// Invoice routes
-app.use("/invoices", invoicesRoutes);
+/**
+ * Picks the pool of a configuration: the one of `db.js` when its database
+ * settings are those of `config.js`, or otherwise the one made for the same
+ * settings, which is made on first use. Apps with the same settings share
+ * it, until `endPools`.
+ * @param {Object} config
+ * @returns {import('pg').Pool}
+ */
+function poolFor(config) {
+  const isDefault = POOL_SETTINGS.every(
+    (name) => config[name] === defaultConfig[name]
+  );
+  if (isDefault) return pool;
 
-// 404 handler
-app.use(function (req, res, next) {
-  return next(new ExpressError("Not Found", 404));
-});
+  const key = JSON.stringify(POOL_SETTINGS.map((name) => config[name]));
+  if (!pools.has(key)) pools.set(key, createPool(config));
+  return pools.get(key);
+}
 
-// Generic error handler
-app.use(function (err, req, res, next) {
-  const status = err.status || 500;
-  return res.status(status).json({
-    error: {
-      message: err.message,
-      status: status,
-    },
+/**
+ * Closes the pools `poolFor` made, like when the server shuts down. The pool
+ * of `db.js` is left to `pool.end()`.
+ * @returns {Promise<void>}
+ */
+async function endPools() {
+  const ending = [...pools.values()];
+  pools.clear();
+  await Promise.all(ending.map((otherPool) => otherPool.end()));
+}
+
+/**
+ * Builds the app.
+ * @param {Object} [config] - Its settings, from `config.js` by default.
+ * Requests run on a pool with its `databaseUrl`, `poolSize` and
+ * `statementTimeout`.
+ * @returns {import('express').Express}
+ */
+function createApp(config = defaultConfig) {
+  const app = express();
+
+  // Middleware to parse JSON
+  app.use(express.json());
+
+  // Settings the routes read, as `req.app.locals.config`, and the pool
+  // their transactions and the API key lookups run on
+  app.locals.config = config;
+  app.locals.pool = poolFor(config);
+
+  // Route logging middleware
+  if (config.logLevel !== "silent") {
+    app.use(morgan("dev", { skip: skipLogging(config.logLevel) }));
+  }
+
+  // Templates of rendered documents, like views/invoice.html. Templates of
+  // the same name in TEMPLATES_DIR, if set, are used instead.
+  app.engine("html", templateEngine({ escape: escapeHtml }));
+  app.engine("txt", templateEngine());
+  app.set("views", [config.templatesDir, VIEWS_DIR].filter(Boolean));
+
+  // Authentication by API key, before any database transaction is begun
+  app.use(authenticate);
+
+  // Database middleware
+  app.use(dbClient);
+
+  // CSV exports, like /companies.csv
+  app.use(exportsRoutes);
+
+  // Company routes
+  app.use("/companies", companiesRoutes);
+
+  // Invoice routes
+  app.use("/invoices", invoicesRoutes);
+
+  // Industry routes
+  app.use("/industries", industriesRoutes);
+
+  // Report routes
+  app.use("/reports", reportsRoutes);
+
+  // API key routes, for admins
+  app.use("/api-keys", apiKeysRoutes);
+
+  // Audit log routes
+  app.use("/audit", auditRoutes);
+
+  // 404 handler
+  app.use(function (req, res, next) {
+    return next(new ExpressError("Not Found", 404));
   });
-});
+
+  // Translate PostgreSQL errors into HTTP errors
+  app.use(pgErrorHandler);
+
+  // Generic error handler
+  app.use(function (err, req, res, next) {
+    // Express closes a response that already started
+    if (res.headersSent) return next(err);
+    const status = err.status || 500;
+    const error = { message: err.message, status: status };
+    if (err.errors) error.errors = err.errors;
+    return res.status(status).json({ error });
+  });
+
+  return app;
+}
+
+const app = createApp();
 
 export default app;
+export { createApp, endPools };
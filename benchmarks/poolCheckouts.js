@@ -0,0 +1,213 @@
+/**
+ * Benchmark of pool checkouts per request for BizTime.
+ *
+ * Replays a mix of typical requests against the app, on a real database,
+ * and counts how many times a client is checked out of its pool. Every
+ * request checks one out to look up its API key. Before `req.dbClient`
+ * became lazy, every request (including 404s and invalid bodies) then
+ * checked out another one and ran BEGIN, so the eager baseline is two
+ * checkouts per request.
+ *
+ * The requests run as a `benchmark` admin key, on a `benchmark` company,
+ * which are added before the first round and removed after the last one,
+ * along with the invoices made and their audit log. Each response is checked
+ * against the status and body expected of it, so a round that fails early
+ * isn't counted as a saving.
+ *
+ * Run with `npm run bench:pool`, after `npm run migrate -- up`, with the same
+ * `DATABASE_URL` or `NODE_ENV`.
+ */
+
+import request from "supertest";
+import { createApp } from "../app.js";
+import config from "../config.js";
+import {
+  beginTransactions,
+  commitTransactions,
+  createApiKey,
+  createCompany,
+  pool,
+  rollbackTransactions,
+} from "../db.js";
+
+const ROUNDS = 25;
+
+/** The app, on the pool of `db.js`, without request logs */
+const app = createApp({ ...config, logLevel: "silent" });
+
+/** Code of the company the requests run on */
+const COMPANY_CODE = "benchmark";
+
+/**
+ * The requests replayed in each round, like
+ * `{label, method, url, body, status, check}`, with the status expected back
+ * and a check of the body
+ */
+const REQUEST_MIX = [
+  {
+    label: "list companies",
+    method: "get",
+    url: "/companies",
+    status: 200,
+    check: (body) => Array.isArray(body.companies),
+  },
+  {
+    label: "get missing company",
+    method: "get",
+    url: "/companies/nope",
+    status: 404,
+    check: (body) => body.error.status === 404,
+  },
+  {
+    label: "list invoices",
+    method: "get",
+    url: "/invoices?limit=10",
+    status: 200,
+    check: (body) => Array.isArray(body.invoices) && body.paging.limit === 10,
+  },
+  {
+    label: "unknown route",
+    method: "get",
+    url: "/nope",
+    status: 404,
+    check: (body) => body.error.message === "Not Found",
+  },
+  {
+    label: "invalid list query",
+    method: "get",
+    url: "/invoices?paid=maybe",
+    status: 400,
+    check: (body) => body.error.errors[0].field === "paid",
+  },
+  {
+    label: "invalid company body",
+    method: "post",
+    url: "/companies",
+    body: { description: 1 },
+    status: 400,
+    check: (body) => body.error.errors.length > 0,
+  },
+  {
+    label: "empty invoice update",
+    method: "put",
+    url: "/invoices/1",
+    body: {},
+    status: 400,
+    check: (body) => body.error.status === 400,
+  },
+  {
+    label: "create invoice",
+    method: "post",
+    url: "/invoices",
+    body: { comp_code: COMPANY_CODE, amt: 10 },
+    status: 201,
+    check: (body) => body.invoice.comp_code === COMPANY_CODE,
+  },
+];
+
+/**
+ * Runs `queries` in a transaction of the benchmark's own.
+ * @param {Function} queries - Given the client, like `async (client) => {}`.
+ * @returns {Promise<*>} What `queries` returns.
+ */
+async function inTransaction(queries) {
+  const client = await beginTransactions({ actor: "benchmark" });
+  try {
+    const result = await queries(client);
+    await commitTransactions(client);
+    return result;
+  } catch (err) {
+    try {
+      await rollbackTransactions(client);
+    } catch (rollbackErr) {
+      console.error(rollbackErr.message);
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Sends a request of the mix, throwing if the response isn't the one
+ * expected.
+ * @param {Object} entry - From `REQUEST_MIX`.
+ * @param {String} key - The API key to send.
+ */
+async function send({ label, method, url, body, status, check }, key) {
+  const req = request(app)[method](url);
+  req.set("Authorization", `Bearer ${key}`);
+  const res = await (body ? req.send(body) : req);
+  if (res.statusCode !== status) {
+    throw new Error(
+      `${label} returned ${res.statusCode} instead of ${status}`
+    );
+  }
+  if (!check(res.body)) {
+    throw new Error(`${label} returned ${JSON.stringify(res.body)}`);
+  }
+}
+
+/** Replays the requests and prints the checkouts of each */
+async function main() {
+  let apiKey;
+  try {
+    apiKey = await inTransaction(async (client) => {
+      await createCompany(
+        COMPANY_CODE,
+        "Pool benchmark",
+        null,
+        undefined,
+        undefined,
+        client
+      );
+      return createApiKey("benchmark", "admin", client);
+    });
+
+    let checkouts = 0;
+    pool.on("acquire", () => {
+      checkouts++;
+    });
+
+    const results = [];
+    for (const entry of REQUEST_MIX) {
+      const before = checkouts;
+      for (let i = 0; i < ROUNDS; i++) await send(entry, apiKey.key);
+      results.push({
+        request: `${entry.label} (${entry.method.toUpperCase()} ${entry.url})`,
+        eager: ROUNDS * 2,
+        lazy: checkouts - before,
+      });
+    }
+
+    const requests = ROUNDS * REQUEST_MIX.length;
+    console.table(results);
+    console.log(
+      `${requests} requests: ${requests * 2} checkouts before, ` +
+        `${checkouts} now ` +
+        `(${Math.round((1 - checkouts / (requests * 2)) * 100)}% fewer)`
+    );
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  } finally {
+    await inTransaction(async (client) => {
+      await client.query("DELETE FROM companies WHERE code = $1", [
+        COMPANY_CODE,
+      ]);
+      if (apiKey) {
+        await client.query("DELETE FROM api_keys WHERE id = $1", [apiKey.id]);
+      }
+      await client.query(
+        "DELETE FROM audit_log WHERE actor = 'benchmark' OR actor = $1",
+        [apiKey ? `key:${apiKey.id}` : "benchmark"]
+      );
+    });
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -1,52 +1,241 @@
 /**
  * Database setup for BizTime.
- * This module provides various functions to interact with the 'companies'
- * and 'invoices' tables. It includes functions for CRUD operations
- * and other database interactions.
+ * This module provides various functions to interact with the 'companies',
+ * 'invoices', 'invoice_lines', 'payments', 'exchange_rates', 'industries'
+ * and 'api_keys' tables. It includes functions for CRUD operations
+ * and other database interactions. Every change to those tables is written
+ * to the 'audit_log' table by triggers, see `migrations/`. Responses to
+ * idempotency keys are kept in the 'idempotency_keys' table.
  *
  * @module db
  */
 
 import pkg from "pg";
+import config from "./config.js";
+import ExpressError from "./expressError.js";
+import {
+  generateApiKey,
+  hashApiKey,
+  KEY_PREFIX_LENGTH,
+} from "./utils/apiKeys.js";
 import { getCalendarDate } from "./utils/dateTime.js";
+import {
+  coerceUpdateFields,
+  sqlForPartialUpdate,
+  toBoolean,
+  toCurrency,
+  toMoney,
+  toNonEmptyString,
+  toNullableDate,
+  toNullableString,
+  toNumber,
+} from "./utils/partialUpdate.js";
+import { parseSort, sqlForKeysetPage } from "./utils/pagination.js";
+import { isSlug, slugify } from "./utils/slugify.js";
 
 const { Pool } = pkg;
 
 /**
- * Initializes the PostgreSQL client and connects to the database.
- * Listens for errors on the client.
+ * Creates a pool of connections to the database of a configuration, which
+ * sets the timezone of each connection to UTC and reports lost ones.
+ * @param {Object} [settings] - The configuration, `config` by default.
+ * @param {string} settings.databaseUrl - The connection string.
+ * @param {number} settings.poolSize - Most connections open at once.
+ * @param {number} settings.statementTimeout - Milliseconds a query may run,
+ * or 0 for no limit.
+ * @returns {import('pg').Pool}
  */
+function createPool({ databaseUrl, poolSize, statementTimeout } = config) {
+  const pool = new Pool({
+    connectionString: databaseUrl,
+    max: poolSize,
+    statement_timeout: statementTimeout,
+  });
 
-// Set the database URL/connection-string based on the environment
-let databaseUrl;
-if (process.env.NODE_ENV === "test") {
-  databaseUrl = "postgresql:///biztime-test";
-} else {
-  databaseUrl = "postgresql:///biztime";
+  // Set the timezone to UTC on each new connection. This has to run on the
+  // connecting client itself: a `pool.query` here would check out a second
+  // one.
+  pool.on("connect", (client) => {
+    client.query("SET TIME ZONE 'UTC'");
+  });
+
+  // Listen for errors on the pool/cleint
+  pool.on("error", (err) => {
+    console.error("Database connection error:", err.stack);
+  });
+
+  return pool;
 }
 
-const pool = new Pool({
-  connectionString: databaseUrl,
-});
+/** The pool every function here uses unless it's given a client */
+const pool = createPool(config);
+
+/**
+ * Columns of the 'companies' table that can be changed by `updateCompany`,
+ * each with the function used to coerce its new value.
+ */
+const COMPANY_UPDATE_COLUMNS = {
+  updatable: {
+    name: toNonEmptyString,
+    description: toNullableString,
+    currency: toCurrency,
+    payment_terms: toPaymentTerms,
+  },
+  readOnly: ["code"],
+};
+
+/**
+ * Columns of the 'invoices' table that can be changed by `updateInvoice`,
+ * each with the function used to coerce its new value.
+ */
+const INVOICE_UPDATE_COLUMNS = {
+  updatable: {
+    amt: toMoney,
+    paid: toBoolean,
+    paid_date: toNullableDate,
+  },
+  readOnly: [
+    "id",
+    "comp_code",
+    "add_date",
+    "amt_paid",
+    "balance",
+    "currency",
+    "due_date",
+  ],
+};
+
+/**
+ * Columns of the 'invoice_lines' table that can be changed by
+ * `updateInvoiceLine`, each with the function used to coerce its new value.
+ */
+const INVOICE_LINE_UPDATE_COLUMNS = {
+  updatable: {
+    description: toNonEmptyString,
+    quantity: toNumber,
+    unit_price: toMoney,
+    discount: toMoney,
+  },
+  readOnly: ["id", "inv_id", "total"],
+};
+
+/**
+ * Currency of companies created without one, and of invoices of unknown
+ * companies. Exchange rates are quoted against it, as in `exchange_rate()`.
+ */
+const DEFAULT_CURRENCY = "USD";
+
+/** Payment terms companies can have, in days from an invoice to its due date */
+const PAYMENT_TERMS = [15, 30, 60];
+
+/**
+ * Payment terms of companies created without any, and of invoices of
+ * unknown companies.
+ */
+const DEFAULT_PAYMENT_TERMS = 30;
+
+/** Columns of 'api_keys' returned to callers, leaving out the key hash */
+const API_KEY_COLUMNS = "id, name, role, key_prefix, created_at, revoked_at";
+
+/**
+ * Days a soft deleted company or invoice is kept before `purgeDeleted` may
+ * remove it for good.
+ */
+const DELETED_RETENTION_DAYS = 365;
+
+/** Columns `getAllCompanies` can sort on */
+const COMPANY_SORT_COLUMNS = ["code", "name"];
+
+/** Columns `getAllInvoices` can sort on */
+const INVOICE_SORT_COLUMNS = ["id", "comp_code", "amt", "add_date"];
+
+/**
+ * Combines the filter conditions and the keyset page of a list query.
+ * @param {string} table - The table to select from.
+ * @param {Array<string>} conditions - Filter conditions using `$1...$n`.
+ * @param {Array} values - The values of the filter conditions.
+ * @param {Object} page - Like `{sort, key, cursor, limit}`, see `sqlForKeysetPage`.
+ * @returns {{query: string, values: Array}}
+ */
+function sqlForListQuery(table, conditions, values, page) {
+  const keyset = sqlForKeysetPage(page, values.length + 1);
+  const where = [...conditions, ...keyset.conditions];
+  const query = `
+    SELECT * FROM ${table}
+    ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+    ${keyset.orderBy}
+    ${keyset.limit}`;
+  return { query, values: [...values, ...keyset.values] };
+}
 
-// Set the timezone to UTC
-pool.on("connect", async () => {
-  await pool.query("SET TIME ZONE 'UTC'");
-});
+/**
+ * Coerces a value into one of the `PAYMENT_TERMS`, like Net 30.
+ * @param {*} value
+ * @returns {number}
+ */
+function toPaymentTerms(value) {
+  const days = toNumber(value);
+  if (!PAYMENT_TERMS.includes(days)) {
+    throw new TypeError(`must be one of ${PAYMENT_TERMS.join(", ")}`);
+  }
+  return days;
+}
 
-// Listen for errors on the pool/cleint
-pool.on("error", (err) => {
-  console.error("Database connection error:", err.stack);
-});
+/**
+ * Coerces the values of a new record, like `toMoney` for amounts. Invalid
+ * values are rejected together with a 400 naming each of them, like the
+ * fields of a partial update.
+ * @param {Object} values - Like `{amt: 10.5}`. Undefined and null values are
+ * left out.
+ * @param {Function} coerce - The coercion function, like `toMoney`.
+ * @returns {Object} The coerced values, like `{amt: "10.5"}`.
+ */
+function coerceValues(values, coerce) {
+  const data = {};
+  const errors = [];
+  for (const [field, value] of Object.entries(values)) {
+    if (value === undefined || value === null) continue;
+    try {
+      data[field] = coerce(value);
+    } catch (err) {
+      errors.push({ field, message: err.message });
+    }
+  }
+  if (errors.length) {
+    const names = errors.map((e) => e.field).join(", ");
+    throw new ExpressError(`Invalid fields: ${names}`, 400, errors);
+  }
+  return data;
+}
 
 /**
  * Begins a database transaction by acquiring a client connection
  * from the pool and starting a transaction.
+ * @param {Object} [options]
+ * @param {boolean} [options.readOnly=false] - Start a `READ ONLY` transaction.
+ * @param {string} [options.actor] - Who the changes are made by, as recorded
+ * in the audit log.
+ * @param {import('pg').Pool} [options.pool] - The pool to check the client
+ * out of, the one of this module by default.
  * @returns {Promise<import('pg').Client>}
  */
-async function beginTransactions() {
-  const client = await pool.connect();
-  await client.query("BEGIN");
+async function beginTransactions({
+  readOnly = false,
+  actor = null,
+  pool: source = pool,
+} = {}) {
+  const client = await source.connect();
+  try {
+    await client.query(readOnly ? "BEGIN READ ONLY" : "BEGIN");
+    if (actor) {
+      await client.query("SELECT set_config('biztime.actor', $1, true)", [
+        actor,
+      ]);
+    }
+  } catch (err) {
+    client.release(err);
+    throw err;
+  }
   return client;
 }
 
@@ -69,16 +258,195 @@ async function rollbackTransactions(client) {
 }
 
 /**
- * Fetches all companies from the database.
+ * Creates a transaction that only checks out a pool client when its first
+ * query runs, so requests that never reach the database don't hold one.
+ * It has the `query` method of a pg client, and can be passed wherever the
+ * functions of this module take a client.
+ * @param {Object} [options]
+ * @param {boolean} [options.readOnly=false] - Start a `READ ONLY` transaction.
+ * @param {string} [options.actor] - Who the changes are made by, as recorded
+ * in the audit log.
+ * @param {import('pg').Pool} [options.pool] - The pool to check the client
+ * out of, the one of this module by default.
+ * @returns {{query: Function, finish: Function, acquired: boolean}}
+ */
+function createLazyTransaction({
+  readOnly = false,
+  actor = null,
+  pool: source = pool,
+} = {}) {
+  let clientPromise = null;
+
+  return {
+    /** Whether a pool client has been checked out */
+    get acquired() {
+      return clientPromise !== null;
+    },
+
+    /** Runs a query, beginning the transaction first if needed */
+    async query(...args) {
+      if (!clientPromise)
+        clientPromise = beginTransactions({ readOnly, actor, pool: source });
+      const client = await clientPromise;
+      return client.query(...args);
+    },
+
+    /**
+     * Commits or rolls back the transaction and releases its client.
+     * Does nothing if no query ever ran. A client whose transaction failed
+     * to finish is released with the error, so the pool discards it.
+     * @param {boolean} commit - Whether to commit instead of rolling back.
+     * @returns {Promise<void>}
+     */
+    async finish(commit) {
+      if (!clientPromise) return;
+      let client;
+      try {
+        client = await clientPromise;
+      } catch (err) {
+        // The transaction never began, so there is nothing to finish
+        return;
+      }
+      try {
+        if (commit) {
+          await commitTransactions(client);
+        } else {
+          await rollbackTransactions(client);
+        }
+      } catch (err) {
+        client.release(err);
+        throw err;
+      }
+      client.release();
+    },
+  };
+}
+
+/**
+ * Inserts records one by one inside the client's transaction, each under a
+ * savepoint of its own, so a record that fails doesn't abort the rest and
+ * every failure can be reported. If any record fails, or on a dry run, all
+ * of them are rolled back again and the transaction is left as it was.
+ * @param {Array<Object>} records - The records to insert.
+ * @param {Function} insert - Inserts one record, like
+ * `(record, client) => createCompany(..., client)`.
+ * @param {boolean} [dryRun=false] - Roll back even if every record went in.
+ * @param {import('pg').Client} client - The client of the transaction.
+ * @returns {Promise<Object>} A promise that resolves to `{created, failures}`,
+ * with what `insert` returned for each record, and failures like
+ * `[{index, error}, ...]`.
+ */
+async function importRecords(records, insert, dryRun = false, client = null) {
+  try {
+    if (!client) throw new Error("Client is required.");
+
+    const created = [];
+    const failures = [];
+    await client.query("SAVEPOINT import");
+    for (const [index, record] of records.entries()) {
+      await client.query("SAVEPOINT import_record");
+      try {
+        created.push(await insert(record, client));
+        await client.query("RELEASE SAVEPOINT import_record");
+      } catch (error) {
+        await client.query("ROLLBACK TO SAVEPOINT import_record");
+        failures.push({ index, error });
+      }
+    }
+    if (dryRun || failures.length) {
+      await client.query("ROLLBACK TO SAVEPOINT import");
+    }
+    await client.query("RELEASE SAVEPOINT import");
+    return { created, failures };
+  } catch (err) {
+    console.error("Error importing records:", err);
+    throw err;
+  }
+}
+
+/**
+ * Locks a company or invoice and makes sure it's still at the version the
+ * client last read, for optimistic concurrency. Throws a 412 if it was
+ * changed since. Does nothing without a version.
+ * @param {string} table - `companies` or `invoices`.
+ * @param {string} keyColumn - The primary key of the table.
+ * @param {string|number} key - The key of the row.
+ * @param {number} [version] - The version the client last read.
+ * @param {import('pg').Client} client - The client of the transaction.
+ * @returns {Promise<boolean>} False if the row doesn't exist or is deleted.
+ */
+async function checkVersion(table, keyColumn, key, version, client) {
+  if (version === undefined) return true;
+  const res = await client.query(
+    `SELECT version FROM ${table}
+     WHERE ${keyColumn} = $1 AND deleted_at IS NULL
+     FOR UPDATE`,
+    [key]
+  );
+  if (!res.rows[0]) return false;
+  if (res.rows[0].version !== version) {
+    throw new ExpressError("The record has changed since it was read", 412);
+  }
+  return true;
+}
+
+/**
+ * Fetches companies from the database.
+ * Without options every company is returned, ordered by code.
+ * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @param {Object} [options] - Filters and paging, like
+ * `{filters: {name, industry}, sort: "-name", cursor: [name, code], limit,
+ * includeDeleted}`. `name` matches case-insensitively anywhere in the name,
+ * `industry` is an industry code and `sort` is one of
+ * `COMPANY_SORT_COLUMNS`, prefixed with `-` for descending order. Soft
+ * deleted companies are left out unless `includeDeleted` is set.
  * @returns {Promise<Array>} A promise that resolves to an array of companies.
  */
-async function getAllCompanies(client = null) {
+async function getAllCompanies(client = null, options = {}) {
   try {
+    const {
+      filters = {},
+      sort,
+      cursor = null,
+      limit = null,
+      includeDeleted = false,
+    } = options;
+    const conditions = includeDeleted ? [] : ["deleted_at IS NULL"];
+    const values = [];
+    const addFilter = (condition, value) => {
+      values.push(value);
+      conditions.push(condition.replace("?", `$${values.length}`));
+    };
+
+    if (filters.name !== undefined) {
+      const escaped = filters.name.replace(/[\\%_]/g, "\\$&");
+      addFilter("name ILIKE '%' || ? || '%'", escaped);
+    }
+    if (filters.industry !== undefined) {
+      addFilter(
+        `EXISTS (SELECT 1 FROM companies_industries AS ci
+         WHERE ci.comp_code = companies.code AND ci.ind_code = ?)`,
+        filters.industry
+      );
+    }
+
+    const { query, values: queryValues } = sqlForListQuery(
+      "companies",
+      conditions,
+      values,
+      {
+        sort: parseSort(sort, COMPANY_SORT_COLUMNS, "code"),
+        key: "code",
+        cursor,
+        limit,
+      }
+    );
+
     let res;
     if (!client) {
-      res = await pool.query("SELECT * FROM companies");
+      res = await pool.query(query, queryValues);
     } else {
-      res = await client.query("SELECT * FROM companies");
+      res = await client.query(query, queryValues);
     }
     return res.rows;
   } catch (err) {
@@ -90,21 +458,28 @@ async function getAllCompanies(client = null) {
 /**
  * Fetches a company by its code.
  * @param {string} code - The code of the company.
+ * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDeleted=false] - Find soft deleted
+ * companies too.
  * @returns {Promise<Object>} A promise that resolves to the company object.
  */
-async function getCompany(code, client = null) {
+async function getCompany(
+  code,
+  client = null,
+  { includeDeleted = false } = {}
+) {
   try {
     if (!code) throw new Error("Company code is required.");
 
+    const query = `SELECT * FROM companies WHERE code = $1${
+      includeDeleted ? "" : " AND deleted_at IS NULL"
+    }`;
     let res;
     if (!client) {
-      res = await pool.query("SELECT * FROM companies WHERE code = $1", [
-        code,
-      ]);
+      res = await pool.query(query, [code]);
     } else {
-      res = await client.query("SELECT * FROM companies WHERE code = $1", [
-        code,
-      ]);
+      res = await client.query(query, [code]);
     }
     return res.rows[0];
   } catch (err) {
@@ -113,22 +488,98 @@ async function getCompany(code, client = null) {
   }
 }
 
+/**
+ * Normalizes a client-supplied company code and checks it against the slug
+ * rules. Throws a 400 if the normalized code isn't a valid slug.
+ * @param {string} code - The code as given, like `" Apple "`.
+ * @returns {string} The normalized code, like `"apple"`.
+ */
+function normalizeCompanyCode(code) {
+  const normalized = String(code).trim().toLowerCase();
+  if (!isSlug(normalized)) {
+    throw new ExpressError("Invalid fields: code", 400, [
+      {
+        field: "code",
+        message:
+          "must contain only letters, digits and single dashes between them",
+      },
+    ]);
+  }
+  return normalized;
+}
+
+/**
+ * Derives a unique company code from a company name.
+ * If the slug of the name is taken, a numeric suffix is added, like
+ * `apple-2`. Candidates are checked with the given client, inside the
+ * transaction that will insert the company, and concurrent requests for
+ * the same slug are serialized with a transaction-scoped advisory lock.
+ * @param {string} name - The name of the company.
+ * @param {import('pg').Client} client - The client of the current transaction.
+ * @returns {Promise<string>} A promise that resolves to an unused code.
+ */
+async function generateCompanyCode(name, client) {
+  const slug = slugify(name);
+  if (!slug) {
+    throw new ExpressError("Invalid fields: name", 400, [
+      { field: "name", message: "must contain letters or digits" },
+    ]);
+  }
+
+  await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [
+    `companies.code:${slug}`,
+  ]);
+  const res = await client.query(
+    "SELECT code FROM companies WHERE code = $1 OR code ~ ($1 || '-[0-9]+$')",
+    [slug]
+  );
+  const taken = new Set(res.rows.map((row) => row.code));
+  if (!taken.has(slug)) return slug;
+
+  let suffix = 2;
+  while (taken.has(`${slug}-${suffix}`)) suffix++;
+  return `${slug}-${suffix}`;
+}
+
 /**
  * Creates a new company in the database.
- * @param {string} code - The code of the company.
+ * When no code is given, one is derived from the name with
+ * `generateCompanyCode`. A given code is normalized first.
+ * @param {string} [code] - The code of the company.
  * @param {string} name - The name of the company.
  * @param {string} description - The description of the company.
+ * @param {string} [currency] - The ISO 4217 code of the currency the company
+ * is invoiced in, `DEFAULT_CURRENCY` by default.
+ * @param {number} [paymentTerms] - The days the company has to pay its
+ * invoices, one of `PAYMENT_TERMS`, `DEFAULT_PAYMENT_TERMS` by default.
  * @param {import('pg').Client} [client] - Optional client for transaction management.
  * @returns {Promise<Object>} A promise that resolves to the newly created company object.
  */
-async function createCompany(code, name, description = null, client = null) {
+async function createCompany(
+  code,
+  name,
+  description = null,
+  currency = DEFAULT_CURRENCY,
+  paymentTerms = DEFAULT_PAYMENT_TERMS,
+  client = null
+) {
   try {
-    if (!code || !name) throw new Error("Company code and name are required.");
+    if (!name) throw new Error("Company name is required.");
     if (!client) throw new Error("Client is required.");
 
+    ({ currency = DEFAULT_CURRENCY } = coerceValues({ currency }, toCurrency));
+    ({ payment_terms: paymentTerms = DEFAULT_PAYMENT_TERMS } = coerceValues(
+      { payment_terms: paymentTerms },
+      toPaymentTerms
+    ));
+    code = code
+      ? normalizeCompanyCode(code)
+      : await generateCompanyCode(name, client);
     const res = await client.query(
-      "INSERT INTO companies (code, name, description) VALUES ($1, $2, $3) RETURNING *",
-      [code, name, description]
+      `INSERT INTO companies (code, name, description, currency, payment_terms)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [code, name, description, currency, paymentTerms]
     );
     return res.rows[0];
   } catch (err) {
@@ -139,19 +590,31 @@ async function createCompany(code, name, description = null, client = null) {
 
 /**
  * Updates an existing company in the database.
+ * Only updates the fields provided, which must be in `COMPANY_UPDATE_COLUMNS`.
  * @param {string} code - The code of the company to update.
- * @param {string} name - The new name of the company.
- * @param {string} description - The new description of the company.
+ * @param {Object} fields - An object like `{name, description}`.
  * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @param {Object} [options]
+ * @param {number} [options.version] - Only update the company if it's still
+ * at this version, see `checkVersion`.
  * @returns {Promise<Object>} A promise that resolves to the updated company object.
  */
-async function updateCompany(code, name, description, client = null) {
+async function updateCompany(code, fields, client = null, { version } = {}) {
   try {
     if (!client) throw new Error("Client is required.");
 
+    const { setClause, values } = sqlForPartialUpdate(
+      fields,
+      COMPANY_UPDATE_COLUMNS
+    );
+    if (!(await checkVersion("companies", "code", code, version, client))) {
+      return undefined;
+    }
     const res = await client.query(
-      "UPDATE companies SET name = $1, description = $2 WHERE code = $3 RETURNING *",
-      [name, description, code]
+      `UPDATE companies SET ${setClause}
+       WHERE code = $${values.length + 1} AND deleted_at IS NULL
+       RETURNING *`,
+      [...values, code]
     );
     return res.rows[0];
   } catch (err) {
@@ -161,19 +624,39 @@ async function updateCompany(code, name, description, client = null) {
 }
 
 /**
- * Deletes a company from the database.
+ * Soft deletes a company, along with those of its invoices that aren't
+ * deleted yet. They all get the same `deleted_at`, so `restoreCompany` can
+ * bring them back together.
  * @param {string} code - The code of the company to delete.
  * @param {import('pg').Client} [client] - Optional client for transaction management.
- * @returns {Promise<Object>} A promise that resolves to the deleted company object.
+ * @param {Object} [options]
+ * @param {number} [options.version] - Only delete the company if it's still
+ * at this version, see `checkVersion`.
+ * @returns {Promise<Object>} A promise that resolves to the deleted company
+ * object, or undefined if there is no such company left to delete.
  */
-async function deleteCompany(code, client = null) {
+async function deleteCompany(code, client = null, { version } = {}) {
   try {
     if (!client) throw new Error("Client is required.");
+    if (!(await checkVersion("companies", "code", code, version, client))) {
+      return undefined;
+    }
     const res = await client.query(
-      "DELETE FROM companies WHERE code = $1 RETURNING *",
+      `UPDATE companies SET deleted_at = now()
+       WHERE code = $1 AND deleted_at IS NULL
+       RETURNING *`,
       [code]
     );
-    return res.rows[0];
+    const company = res.rows[0];
+    if (!company) return undefined;
+
+    await client.query(
+      `UPDATE invoices
+       SET deleted_at = (SELECT deleted_at FROM companies WHERE code = $1)
+       WHERE comp_code = $1 AND deleted_at IS NULL`,
+      [code]
+    );
+    return company;
   } catch (err) {
     console.error("Error deleting company:", err);
     throw err;
@@ -181,16 +664,116 @@ async function deleteCompany(code, client = null) {
 }
 
 /**
- * Fetches all invoices from the database.
+ * Restores a soft deleted company, along with the invoices that were
+ * deleted with it. Invoices deleted on their own before stay deleted.
+ * Restoring a company that isn't deleted changes nothing.
+ * @param {string} code - The code of the company to restore.
+ * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @returns {Promise<Object>} A promise that resolves to the restored company
+ * object, or undefined if it doesn't exist.
+ */
+async function restoreCompany(code, client = null) {
+  try {
+    if (!client) throw new Error("Client is required.");
+    await client.query(
+      `UPDATE invoices SET deleted_at = NULL
+       WHERE comp_code = $1
+         AND deleted_at = (SELECT deleted_at FROM companies WHERE code = $1)`,
+      [code]
+    );
+    const res = await client.query(
+      `UPDATE companies SET deleted_at = NULL
+       WHERE code = $1 AND deleted_at IS NOT NULL
+       RETURNING *`,
+      [code]
+    );
+    if (res.rows[0]) return res.rows[0];
+
+    // Not deleted, so left as it is, without a new version or audit row
+    const live = await client.query(
+      "SELECT * FROM companies WHERE code = $1",
+      [code]
+    );
+    return live.rows[0];
+  } catch (err) {
+    console.error("Error restoring company:", err);
+    throw err;
+  }
+}
+
+/**
+ * Fetches invoices from the database.
+ * Without options every invoice is returned, ordered by id.
+ * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @param {Object} [options] - Filters and paging, like
+ * `{filters: {comp_code, paid, overdue, min_amt, max_amt, from, to},
+ * sort: "-amt", cursor: [amt, id], limit, includeDeleted}`. `from` and `to`
+ * bound `add_date` (inclusive), `overdue` keeps the unpaid invoices past
+ * their `due_date`, and `sort` is one of `INVOICE_SORT_COLUMNS`,
+ * prefixed with `-` for descending order. Soft deleted invoices are left
+ * out unless `includeDeleted` is set.
  * @returns {Promise<Array>} A promise that resolves to an array of invoices.
  */
-async function getAllInvoices(client = null) {
+async function getAllInvoices(client = null, options = {}) {
   try {
+    const {
+      filters = {},
+      sort,
+      cursor = null,
+      limit = null,
+      includeDeleted = false,
+    } = options;
+    const conditions = includeDeleted ? [] : ["deleted_at IS NULL"];
+    const values = [];
+    const addFilter = (condition, value) => {
+      values.push(value);
+      conditions.push(condition.replace("?", `$${values.length}`));
+    };
+
+    if (filters.comp_code !== undefined) {
+      addFilter("comp_code = ?", filters.comp_code);
+    }
+    if (filters.paid !== undefined) {
+      addFilter("paid = ?", toBoolean(filters.paid));
+    }
+    if (filters.overdue !== undefined && toBoolean(filters.overdue)) {
+      conditions.push("paid = false AND due_date < CURRENT_DATE");
+    }
+    // Amounts are compared as exact decimals, like the column
+    const amounts = coerceValues(
+      { min_amt: filters.min_amt, max_amt: filters.max_amt },
+      toMoney
+    );
+    if (amounts.min_amt !== undefined) {
+      addFilter("amt >= ?", amounts.min_amt);
+    }
+    if (amounts.max_amt !== undefined) {
+      addFilter("amt <= ?", amounts.max_amt);
+    }
+    if (filters.from !== undefined) {
+      addFilter("add_date >= ?", getCalendarDate(filters.from));
+    }
+    if (filters.to !== undefined) {
+      addFilter("add_date <= ?", getCalendarDate(filters.to));
+    }
+
+    const { query, values: queryValues } = sqlForListQuery(
+      "invoices",
+      conditions,
+      values,
+      {
+        sort: parseSort(sort, INVOICE_SORT_COLUMNS, "id"),
+        key: "id",
+        cursor,
+        limit,
+      }
+    );
+
     let res;
     if (!client) {
-      res = await pool.query("SELECT * FROM invoices");
+      res = await pool.query(query, queryValues);
     } else {
-      res = await client.query("SELECT * FROM invoices");
+      res = await client.query(query, queryValues);
     }
     return res.rows;
   } catch (err) {
@@ -202,16 +785,23 @@ async function getAllInvoices(client = null) {
 /**
  * Fetches an invoice by its ID.
  * @param {number} id - The ID of the invoice.
+ * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDeleted=false] - Find soft deleted
+ * invoices too.
  * @returns {Promise<Object>} A promise that resolves to the invoice object.
  */
-async function getInvoice(id, client = null) {
+async function getInvoice(id, client = null, { includeDeleted = false } = {}) {
   try {
     if (!id) throw new Error("Invoice ID is required.");
+    const query = `SELECT * FROM invoices WHERE id = $1${
+      includeDeleted ? "" : " AND deleted_at IS NULL"
+    }`;
     let res;
     if (!client) {
-      res = await pool.query("SELECT * FROM invoices WHERE id = $1", [id]);
+      res = await pool.query(query, [id]);
     } else {
-      res = await client.query("SELECT * FROM invoices WHERE id = $1", [id]);
+      res = await client.query(query, [id]);
     }
     return res.rows[0];
   } catch (err) {
@@ -222,13 +812,22 @@ async function getInvoice(id, client = null) {
 
 /**
  * Creates a new invoice in the database.
+ * When given line items instead of an amount, the lines are inserted along
+ * with the invoice and `amt` is derived from them. The invoice is due after
+ * the payment terms of its company, counted from `add_date`. `paid` and
+ * `paid_date` follow the rules of `resolvePaidState`, as if an unpaid
+ * invoice was paid: a paid invoice without `paid_date` is paid today.
  * @param {string} comp_code - The code of the company for the invoice.
- * @param {number} amt - The amount of the invoice.
+ * @param {number|Array<Object>} amt - The amount of the invoice, or its lines
+ * like `[{description, quantity, unit_price, discount}, ...]`.
  * @param {boolean} paid - The paid status of the invoice.
  * @param {Date} add_date - The added date of the invoice.
  * @param {Date} paid_date - The paid date of the invoice.
+ * @param {string} [currency] - The ISO 4217 code of the currency of the
+ * invoice, the company's currency by default.
  * @param {import('pg').Client} [client] - Optional client for transaction management.
- * @returns {Promise<Object>} A promise that resolves to the newly created invoice object.
+ * @returns {Promise<Object>} A promise that resolves to the newly created
+ * invoice object, with its `lines` when it was given some.
  */
 async function createInvoice(
   comp_code,
@@ -236,59 +835,205 @@ async function createInvoice(
   paid = false,
   add_date = getCalendarDate(Date.now()),
   paid_date = null,
+  currency = null,
   client = null
 ) {
   try {
     if (!client) throw new Error("Client is required.");
+    ({ currency = null } = coerceValues({ currency }, toCurrency));
+    let lines = null;
+    if (Array.isArray(amt)) {
+      lines = amt.map((line, i) => {
+        const amounts = coerceValues(
+          {
+            [`lines[${i}].unit_price`]: line.unit_price,
+            [`lines[${i}].discount`]: line.discount,
+          },
+          toMoney
+        );
+        return {
+          ...line,
+          unit_price: amounts[`lines[${i}].unit_price`],
+          discount: amounts[`lines[${i}].discount`],
+        };
+      });
+      const totalRes = await client.query(
+        `SELECT SUM(round(quantity * unit_price - COALESCE(discount, 0), 2)) AS amt
+         FROM jsonb_to_recordset($1::jsonb)
+           AS line(quantity numeric, unit_price numeric, discount numeric)`,
+        [JSON.stringify(lines)]
+      );
+      amt = totalRes.rows[0].amt;
+    } else {
+      ({ amt } = coerceValues({ amt }, toMoney));
+    }
+    add_date = add_date ? getCalendarDate(add_date) : add_date;
+    ({ paid, paid_date } = resolvePaidState(
+      { paid: false, paid_date: null, add_date, amt, amt_paid: 0 },
+      { paid, paid_date: paid_date ? getCalendarDate(paid_date) : null }
+    ));
+
     const res = await client.query(
-      "INSERT INTO invoices (comp_code, amt, paid, add_date, paid_date) VALUES ($1, $2, $3, $4, $5) RETURNING *",
+      `INSERT INTO invoices
+         (comp_code, amt, paid, add_date, paid_date, currency, due_date)
+       VALUES ($1, $2, $3, $4, $5,
+         COALESCE($6, (SELECT currency FROM companies WHERE code = $1), $7),
+         $4::date + COALESCE(
+           (SELECT payment_terms FROM companies WHERE code = $1), $8
+         ))
+       RETURNING *`,
       [
         comp_code,
         amt,
         paid,
-        add_date ? getCalendarDate(add_date) : add_date,
-        paid_date ? getCalendarDate(paid_date) : paid_date,
+        add_date,
+        paid_date,
+        currency,
+        DEFAULT_CURRENCY,
+        DEFAULT_PAYMENT_TERMS,
       ]
     );
-    return res.rows[0];
+    if (!lines) return res.rows[0];
+
+    const linesRes = await client.query(
+      `INSERT INTO invoice_lines (inv_id, description, quantity, unit_price, discount)
+       SELECT $1, description, quantity, unit_price, COALESCE(discount, 0)
+       FROM jsonb_to_recordset($2::jsonb)
+         AS line(description text, quantity numeric, unit_price numeric, discount numeric)
+       RETURNING *`,
+      [res.rows[0].id, JSON.stringify(lines)]
+    );
+    return { ...res.rows[0], lines: linesRes.rows };
   } catch (err) {
     console.error("Error creating invoice:", err);
     throw err;
   }
 }
 
+/**
+ * Builds the SET assignments that derive `paid` and `paid_date` from
+ * `amt_paid` when the amount of an invoice changes: it's paid once its
+ * payments cover the new amount, as of its last payment, and unpaid
+ * otherwise. Invoices without payments, and ones paid by hand while their
+ * payments fell short, keep their `paid` and `paid_date`.
+ * @param {string} newAmt - The SQL expression of the new amount.
+ * @returns {string} Like `paid = ..., paid_date = ...`.
+ */
+function paidStateFromPayments(newAmt) {
+  // `amt` and `paid` are still the values before the update here
+  const byPayments = "amt_paid > 0 AND (NOT paid OR amt_paid >= amt)";
+  return `paid = CASE
+      WHEN ${byPayments} THEN amt_paid >= ${newAmt}
+      ELSE paid
+    END,
+    paid_date = CASE
+      WHEN NOT (${byPayments}) THEN paid_date
+      WHEN amt_paid < ${newAmt} THEN NULL
+      WHEN paid THEN paid_date
+      ELSE (SELECT MAX(paid_on) FROM payments WHERE payments.inv_id = invoices.id)
+    END`;
+}
+
+/**
+ * Applies the BizTime paid-state rules to the fields of an invoice update.
+ * - Paying an unpaid invoice stamps today's date as `paid_date`.
+ * - Un-paying an invoice clears `paid_date`, but an invoice its payments
+ *   cover can't be un-paid.
+ * - Paying an already paid invoice keeps its original `paid_date`.
+ * - An explicit `paid_date` backdates the payment, but it can't fall before
+ *   `add_date` and can't be set on an unpaid invoice.
+ * @param {Object} current - The invoice as stored, like
+ * `{paid, paid_date, add_date, amt, amt_paid}`.
+ * @param {Object} data - The coerced fields of the update.
+ * @returns {Object} The fields to write.
+ */
+function resolvePaidState(current, data) {
+  const paid = "paid" in data ? data.paid : current.paid;
+  const { paid_date: paidDate, ...rest } = data;
+
+  if (!paid) {
+    if (paidDate) {
+      throw new ExpressError("Invalid fields: paid_date", 400, [
+        { field: "paid_date", message: "cannot be set on an unpaid invoice" },
+      ]);
+    }
+    const amt = "amt" in data ? data.amt : current.amt;
+    if (Number(current.amt_paid) >= Number(amt)) {
+      throw new ExpressError("Invalid fields: paid", 400, [
+        {
+          field: "paid",
+          message: "cannot be false while payments cover the amount",
+        },
+      ]);
+    }
+    return { ...rest, paid_date: null };
+  }
+  if (paidDate) {
+    if (paidDate < getCalendarDate(current.add_date)) {
+      throw new ExpressError("Invalid fields: paid_date", 400, [
+        { field: "paid_date", message: "cannot be before add_date" },
+      ]);
+    }
+    return { ...rest, paid_date: paidDate };
+  }
+  if (current.paid && current.paid_date) return rest;
+  return { ...rest, paid_date: getCalendarDate(Date.now()) };
+}
+
 /**
  * Updates an existing invoice in the database.
- * Only updates the fields provided in the parameters.
+ * Only updates the fields provided, which must be in `INVOICE_UPDATE_COLUMNS`.
+ * Changes to `paid` or `paid_date` follow the rules of `resolvePaidState`,
+ * and `amt` can only be set on invoices without lines. A new `amt` without
+ * them pays or un-pays the invoice by its payments, see
+ * `paidStateFromPayments`.
  * @param {number} id - The ID of the invoice to update.
  * @param {Object} fields - An object containing the fields to update.
  * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @param {Object} [options]
+ * @param {number} [options.version] - Only update the invoice if it's still
+ * at this version, see `checkVersion`.
  * @returns {Promise<Object>} A promise that resolves to the updated invoice object.
  */
-async function updateInvoice(id, fields, client = null) {
-  const setClauses = [];
-  const values = [];
-  let paramIndex = 1;
-
-  // Build the SET clauses dynamically based on the provided fields
-  for (const field in fields) {
-    setClauses.push(`${field} = $${paramIndex}`);
-    values.push(fields[field]);
-    paramIndex++;
-  }
-
-  values.push(id); // Add the id to the end of the values array
-
-  const query = `
-    UPDATE invoices
-    SET ${setClauses.join(", ")}
-    WHERE id = $${paramIndex}
-    RETURNING *
-  `;
-
+async function updateInvoice(id, fields, client = null, { version } = {}) {
   try {
     if (!client) throw new Error("Client is required.");
-    const res = await client.query(query, values);
+
+    let data = coerceUpdateFields(fields, INVOICE_UPDATE_COLUMNS);
+    if (!(await checkVersion("invoices", "id", id, version, client))) {
+      return undefined;
+    }
+    const changesPaidState = "paid" in data || "paid_date" in data;
+    if (changesPaidState || "amt" in data) {
+      const current = await client.query(
+        `SELECT paid, paid_date, add_date, amt, amt_paid,
+           EXISTS (SELECT 1 FROM invoice_lines WHERE inv_id = invoices.id) AS has_lines
+         FROM invoices WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`,
+        [id]
+      );
+      if (!current.rows[0]) return undefined;
+      if ("amt" in data && current.rows[0].has_lines) {
+        throw new ExpressError("Invalid fields: amt", 400, [
+          { field: "amt", message: "is derived from the invoice lines" },
+        ]);
+      }
+      if (changesPaidState) data = resolvePaidState(current.rows[0], data);
+    }
+
+    let { setClause, values } = sqlForPartialUpdate(
+      data,
+      INVOICE_UPDATE_COLUMNS
+    );
+    if ("amt" in data && !changesPaidState) {
+      values = [...values, data.amt];
+      setClause += `, ${paidStateFromPayments(`$${values.length}::numeric`)}`;
+    }
+    const res = await client.query(
+      `UPDATE invoices SET ${setClause}
+       WHERE id = $${values.length + 1} AND deleted_at IS NULL
+       RETURNING *`,
+      [...values, id]
+    );
     return res.rows[0];
   } catch (err) {
     console.error("Error updating invoice:", err);
@@ -298,41 +1043,127 @@ async function updateInvoice(id, fields, client = null) {
 
 /**
  * Updates the amount field of an existing invoice in the database.
+ * Like `updateInvoice`, this is refused for invoices with lines.
  * @param {number} id - The ID of the invoice to update.
  * @param {number} amt - The new amount of the invoice.
  * @param {import('pg').Client} [client] - Optional client for transaction management.
  * @returns {Promise<Object>} A promise that resolves to the updated invoice object.
  */
 async function updateInvoiceAmt(id, amt, client = null) {
+  return updateInvoice(id, { amt }, client);
+}
+
+/**
+ * Soft deletes an invoice.
+ * @param {number} id - The ID of the invoice to delete.
+ * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @param {Object} [options]
+ * @param {number} [options.version] - Only delete the invoice if it's still
+ * at this version, see `checkVersion`.
+ * @returns {Promise<Object>} A promise that resolves to the deleted invoice
+ * object, or undefined if there is no such invoice left to delete.
+ */
+async function deleteInvoice(id, client = null, { version } = {}) {
   try {
     if (!client) throw new Error("Client is required.");
+    if (!(await checkVersion("invoices", "id", id, version, client))) {
+      return undefined;
+    }
     const res = await client.query(
-      "UPDATE invoices SET amt = $1 WHERE id = $2 RETURNING *",
-      [amt, id]
+      `UPDATE invoices SET deleted_at = now()
+       WHERE id = $1 AND deleted_at IS NULL
+       RETURNING *`,
+      [id]
     );
     return res.rows[0];
   } catch (err) {
-    console.error("Error updating invoice amount:", err);
+    console.error("Error deleting invoice:", err);
     throw err;
   }
 }
 
 /**
- * Deletes an invoice from the database.
- * @param {number} id - The ID of the invoice to delete.
+ * Restores a soft deleted invoice. The invoices of a deleted company can
+ * only come back with it, so this throws a 409 for them.
+ * Restoring an invoice that isn't deleted changes nothing.
+ * @param {number} id - The ID of the invoice to restore.
  * @param {import('pg').Client} [client] - Optional client for transaction management.
- * @returns {Promise<Object>} A promise that resolves to the deleted invoice object.
+ * @returns {Promise<Object>} A promise that resolves to the restored invoice
+ * object, or undefined if it doesn't exist.
  */
-async function deleteInvoice(id, client = null) {
+async function restoreInvoice(id, client = null) {
   try {
     if (!client) throw new Error("Client is required.");
+    const current = await client.query(
+      `SELECT i.comp_code, c.deleted_at IS NOT NULL AS company_deleted
+       FROM invoices AS i
+       JOIN companies AS c ON c.code = i.comp_code
+       WHERE i.id = $1
+       FOR UPDATE OF i`,
+      [id]
+    );
+    if (!current.rows[0]) return undefined;
+    if (current.rows[0].company_deleted) {
+      throw new ExpressError(
+        `Company ${current.rows[0].comp_code} is deleted; restore it first`,
+        409
+      );
+    }
+
     const res = await client.query(
-      "DELETE FROM invoices WHERE id = $1 RETURNING *",
+      `UPDATE invoices SET deleted_at = NULL
+       WHERE id = $1 AND deleted_at IS NOT NULL
+       RETURNING *`,
       [id]
     );
-    return res.rows[0];
+    if (res.rows[0]) return res.rows[0];
+
+    // Not deleted, so left as it is, without a new version or audit row
+    const live = await client.query("SELECT * FROM invoices WHERE id = $1", [
+      id,
+    ]);
+    return live.rows[0];
   } catch (err) {
-    console.error("Error deleting invoice:", err);
+    console.error("Error restoring invoice:", err);
+    throw err;
+  }
+}
+
+/**
+ * Removes companies and invoices for good once they've been soft deleted
+ * for longer than the retention period. The invoices of a purged company go
+ * with it.
+ * @param {number} [retentionDays] - How many days deleted rows are kept,
+ * `DELETED_RETENTION_DAYS` by default.
+ * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @returns {Promise<Object>} A promise that resolves to how many rows were
+ * removed, like `{companies, invoices}`.
+ */
+async function purgeDeleted(
+  retentionDays = DELETED_RETENTION_DAYS,
+  client = null
+) {
+  try {
+    if (!client) throw new Error("Client is required.");
+    if (!Number.isInteger(retentionDays) || retentionDays < 1) {
+      throw new Error(
+        "The retention period must be a positive number of days."
+      );
+    }
+
+    const invoices = await client.query(
+      `DELETE FROM invoices
+       WHERE deleted_at < now() - make_interval(days => $1)`,
+      [retentionDays]
+    );
+    const companies = await client.query(
+      `DELETE FROM companies
+       WHERE deleted_at < now() - make_interval(days => $1)`,
+      [retentionDays]
+    );
+    return { companies: companies.rowCount, invoices: invoices.rowCount };
+  } catch (err) {
+    console.error("Error purging deleted rows:", err);
     throw err;
   }
 }
@@ -340,11 +1171,21 @@ async function deleteInvoice(id, client = null) {
 /**
  * Fetches all invoices for a specific company from the database.
  * @param {string} code - The code of the company.
+ * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDeleted=false] - Fetch soft deleted
+ * invoices too.
  * @returns {Promise<Array>} A promise that resolves to an array of invoices for the company.
  */
-async function getAllCompanyInvoices(code, client = null) {
+async function getAllCompanyInvoices(
+  code,
+  client = null,
+  { includeDeleted = false } = {}
+) {
   try {
-    const query = "SELECT * FROM invoices WHERE comp_code = $1";
+    const query = `SELECT * FROM invoices WHERE comp_code = $1${
+      includeDeleted ? "" : " AND deleted_at IS NULL"
+    }`;
     let res;
     if (!client) {
       res = await pool.query(query, [code]);
@@ -364,7 +1205,7 @@ async function getAllCompanyInvoices(code, client = null) {
  */
 async function getInvoiceCount(client = null) {
   try {
-    const query = "SELECT COUNT(*) FROM invoices";
+    const query = "SELECT COUNT(*) FROM invoices WHERE deleted_at IS NULL";
     let res;
     if (!client) {
       res = await pool.query(query);
@@ -381,44 +1222,34 @@ async function getInvoiceCount(client = null) {
 
 /**
  * Fetches unpaid invoices from the database.
+ * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @param {Object} [options] - Paging, like `{sort, cursor, limit}`, as for
+ * `getAllInvoices`.
  * @returns {Promise<Array>} A promise that resolves to an array of unpaid invoices.
  */
-async function getUnpaidInvoices(client = null) {
-  try {
-    const query = "SELECT * FROM invoices WHERE paid = false";
-    let res;
-    if (!client) {
-      res = await pool.query(query);
-    } else {
-      res = await client.query(query);
-    }
-    let unpaidInvoices = res.rows;
-    return unpaidInvoices;
-  } catch (err) {
-    console.error("Error getting unpaid invoices:", err);
-    throw err;
-  }
+async function getUnpaidInvoices(client = null, { sort, cursor, limit } = {}) {
+  return getAllInvoices(client, {
+    filters: { paid: false },
+    sort,
+    cursor,
+    limit,
+  });
 }
 
 /**
  * Fetches paid invoices from the database.
+ * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @param {Object} [options] - Paging, like `{sort, cursor, limit}`, as for
+ * `getAllInvoices`.
  * @returns {Promise<Array>} A promise that resolves to an array of paid invoices.
  */
-async function getPaidInvoices(client = null) {
-  try {
-    const query = "SELECT * FROM invoices WHERE paid = true";
-    let res;
-    if (!client) {
-      res = await pool.query(query);
-    } else {
-      res = await client.query(query);
-    }
-    let paidInvoices = res.rows;
-    return paidInvoices;
-  } catch (err) {
-    console.error("Error getting paid invoices:", err);
-    throw err;
-  }
+async function getPaidInvoices(client = null, { sort, cursor, limit } = {}) {
+  return getAllInvoices(client, {
+    filters: { paid: true },
+    sort,
+    cursor,
+    limit,
+  });
 }
 
 /**
@@ -430,7 +1261,8 @@ async function getAllCompaniesWithInvoices(client = null) {
     SELECT c.code, c.name, c.description, i.id, i.amt, i.paid, i.add_date, i.paid_date
     FROM companies AS c
     LEFT JOIN invoices AS i
-    ON c.code = i.comp_code
+    ON c.code = i.comp_code AND i.deleted_at IS NULL
+    WHERE c.deleted_at IS NULL
   `;
   let res;
   if (!client) {
@@ -450,6 +1282,7 @@ async function getLatestInvoice(client = null) {
   try {
     const query = `
     SELECT * FROM invoices
+    WHERE deleted_at IS NULL
     ORDER BY add_date DESC, id DESC LIMIT 1
       `;
     let res;
@@ -468,44 +1301,40 @@ async function getLatestInvoice(client = null) {
 
 /**
  * Fetches invoices within a specific date range.
- * @param {Date} startDate - The start date of the range.
- * @param {Date} endDate - The end date of the range.
+ * @param {Date|string} [startDate] - The start date of the range, inclusive.
+ * @param {Date|string} [endDate] - The end date of the range, inclusive.
+ * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @param {Object} [options] - Other filters and paging, as for
+ * `getAllInvoices`. Either end of the range may be left out.
  * @returns {Promise<Array>} A promise that resolves to an array of invoices within the date range.
  */
-async function getInvoicesByDateRange(startDate, endDate, client = null) {
-  try {
-    const query = "SELECT * FROM invoices WHERE add_date BETWEEN $1 AND $2";
-    let res;
-    const queryArgs = [
-      startDate ? getCalendarDate(startDate) : startDate,
-      endDate ? getCalendarDate(endDate) : endDate,
-    ];
-    if (!client) {
-      res = await pool.query(query, queryArgs);
-    } else {
-      res = await client.query(query, queryArgs);
-    }
-    let invoicesByDateRange = res.rows;
-    return invoicesByDateRange;
-  } catch (err) {
-    console.error("Error getting invoices by date range:", err);
-    throw err;
-  }
+async function getInvoicesByDateRange(
+  startDate,
+  endDate,
+  client = null,
+  { filters = {}, ...options } = {}
+) {
+  return getAllInvoices(client, {
+    ...options,
+    filters: { ...filters, from: startDate, to: endDate },
+  });
 }
 
 /**
  * Fetches a company along with all its invoices.
+ * `currency` is the company's currency, not the invoice's.
  * @param {string} code - The company code.
  * @returns {Promise<Object>} A promise that resolves to a company object with its invoices.
  */
 async function getCompanyWithInvoices(code, client = null) {
   try {
     const query = `
-      SELECT c.code, c.name, c.description, i.id, i.amt, i.paid, i.add_date, i.paid_date
+      SELECT c.code, c.name, c.description, c.currency,
+        i.id, i.amt, i.paid, i.add_date, i.paid_date
       FROM companies AS c
       LEFT JOIN invoices AS i
-      ON c.code = i.comp_code
-      WHERE c.code = $1`;
+      ON c.code = i.comp_code AND i.deleted_at IS NULL
+      WHERE c.code = $1 AND c.deleted_at IS NULL`;
     let res;
     if (!client) {
       res = await pool.query(query, [code]);
@@ -521,31 +1350,128 @@ async function getCompanyWithInvoices(code, client = null) {
 }
 
 /**
- * Fetches invoices that are due (unpaid and past the paid date).
- * @returns {Promise<Array>} A promise that resolves to an array of due invoices.
- */
-async function getDueInvoices(client = null) {
+ * Builds the account statement of a company in one currency: the balance
+ * owed before `from`, every invoice and payment up to `to` in chronological
+ * order with the running balance after each, and the balance owed at the
+ * end. Invoices add their amount and payments take theirs off. An invoice
+ * marked paid without payments covering it is settled for the rest on its
+ * paid date. Only invoices in the currency are included, so nothing needs
+ * converting; on one day, invoices come before their payments.
+ * @param {string} code - The company code.
+ * @param {Object} [options]
+ * @param {Date|string} [options.from] - The first day of the statement, the
+ * first invoice by default.
+ * @param {Date|string} [options.to] - The last day of the statement, today
+ * by default.
+ * @param {string} [options.currency] - The ISO 4217 code of the currency, the
+ * company's by default.
+ * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @returns {Promise<Object>} A promise that resolves to a statement like
+ * `{company: {code, name, description}, currency, from, to, opening_balance,
+ *   events: [{date, type, inv_id, payment_id, amount, balance}, ...],
+ *   closing_balance}`, where `type` is `invoice`, `payment` or `settlement`,
+ * or undefined if the company doesn't exist.
+ */
+async function getCompanyStatement(
+  code,
+  { from, to, currency } = {},
+  client = null
+) {
   try {
-    let res;
-    if (!client) {
-      res = await pool.query(
-        "SELECT * FROM invoices WHERE paid = false AND paid_date < CURRENT_DATE"
-      );
-    } else {
-      res = await client.query(
-        "SELECT * FROM invoices WHERE paid = false AND paid_date < CURRENT_DATE"
-      );
+    const rows = await getCompanyWithInvoices(code, client);
+    if (!rows.length) return undefined;
+    const { name, description } = rows[0];
+
+    ({ currency = rows[0].currency } = coerceValues({ currency }, toCurrency));
+    from = from ? getCalendarDate(from) : null;
+    to = getCalendarDate(to || Date.now());
+    if (from && from > to) {
+      throw new ExpressError("Invalid fields: from", 400, [
+        { field: "from", message: "cannot be after to" },
+      ]);
     }
-    let dueInvoices = res.rows;
-    return dueInvoices;
+
+    const db = client || pool;
+    const values = [code, currency, from, to];
+    const events = `
+      WITH events AS (
+        SELECT add_date AS date, 0 AS seq, 'invoice' AS type, id AS inv_id,
+          NULL::integer AS payment_id, amt AS amount
+        FROM invoices
+        WHERE comp_code = $1 AND currency = $2 AND deleted_at IS NULL
+        UNION ALL
+        SELECT p.paid_on, 1, 'payment', p.inv_id, p.id, -p.amt
+        FROM payments AS p
+        JOIN invoices AS i ON i.id = p.inv_id
+        WHERE i.comp_code = $1 AND i.currency = $2 AND i.deleted_at IS NULL
+        UNION ALL
+        SELECT COALESCE(paid_date, add_date), 2, 'settlement', id, NULL,
+          amt_paid - amt
+        FROM invoices
+        WHERE comp_code = $1 AND currency = $2 AND deleted_at IS NULL
+          AND paid AND amt_paid < amt
+      )`;
+    const balances = await db.query(
+      `${events}
+       SELECT COALESCE(SUM(amount) FILTER (WHERE date < $3), 0.00)
+           AS opening_balance,
+         COALESCE(SUM(amount), 0.00) AS closing_balance
+       FROM events
+       WHERE date <= $4`,
+      values
+    );
+    const ledger = await db.query(
+      `${events}
+       SELECT date, type, inv_id, payment_id, amount, balance
+       FROM (
+         SELECT *, SUM(amount) OVER (
+           ORDER BY date, seq, inv_id, payment_id ROWS UNBOUNDED PRECEDING
+         ) AS balance
+         FROM events
+         WHERE date <= $4
+       ) AS ledger
+       WHERE $3::date IS NULL OR date >= $3
+       ORDER BY date, seq, inv_id, payment_id`,
+      values
+    );
+
+    const { opening_balance, closing_balance } = balances.rows[0];
+    return {
+      company: { code, name, description },
+      currency,
+      from,
+      to,
+      opening_balance,
+      events: ledger.rows,
+      closing_balance,
+    };
   } catch (err) {
-    console.error("Error getting due invoices:", err);
+    console.error("Error getting company statement:", err);
     throw err;
   }
 }
 
+/**
+ * Fetches invoices that are overdue (unpaid and past their due date).
+ * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @param {Object} [options] - Paging, like `{sort, cursor, limit}`, as for
+ * `getAllInvoices`.
+ * @returns {Promise<Array>} A promise that resolves to an array of due invoices.
+ */
+async function getDueInvoices(client = null, { sort, cursor, limit } = {}) {
+  return getAllInvoices(client, {
+    filters: { overdue: true },
+    sort,
+    cursor,
+    limit,
+  });
+}
+
 /**
  * Updates the paid status and paid date of an invoice.
+ * Follows the same paid-state rules as `updateInvoice`: without a paid date,
+ * paying stamps today's date (or keeps the original one) and un-paying
+ * clears it.
  * @param {number} id - The ID of the invoice.
  * @param {boolean} paid - The new paid status.
  * @param {Date} [paidDate] - The new paid date (optional).
@@ -558,51 +1484,861 @@ async function updateInvoicePaidStatus(
   paidDate = null,
   client = null
 ) {
+  const fields = { paid };
+  if (paidDate) fields.paid_date = paidDate;
+  return updateInvoice(id, fields, client);
+}
+
+/**
+ * Locks an invoice for the rest of the transaction, so that concurrent
+ * changes to its lines are applied one after the other.
+ * @param {number} invId - The ID of the invoice.
+ * @param {import('pg').Client} client - The client of the transaction.
+ * @returns {Promise<boolean>} Whether the invoice exists.
+ */
+async function lockInvoice(invId, client) {
+  const res = await client.query(
+    "SELECT id FROM invoices WHERE id = $1 AND deleted_at IS NULL FOR UPDATE",
+    [invId]
+  );
+  return res.rows.length > 0;
+}
+
+/**
+ * Sets the `amt` of an invoice to the total of its lines, paying or
+ * un-paying it by its payments.
+ * @param {number} invId - The ID of the invoice.
+ * @param {import('pg').Client} client - The client of the transaction.
+ * @returns {Promise<Object>} The updated invoice.
+ */
+async function syncInvoiceAmt(invId, client) {
+  const res = await client.query(
+    `UPDATE invoices
+     SET amt = lines.total, ${paidStateFromPayments("lines.total")}
+     FROM (SELECT SUM(total) AS total FROM invoice_lines WHERE inv_id = $1)
+       AS lines
+     WHERE invoices.id = $1
+     RETURNING invoices.*`,
+    [invId]
+  );
+  return res.rows[0];
+}
+
+/**
+ * Fetches the lines of an invoice, in the order they were added.
+ * @param {number} invId - The ID of the invoice.
+ * @returns {Promise<Array>} A promise that resolves to an array of lines like
+ * `[{id, inv_id, description, quantity, unit_price, discount, total}, ...]`.
+ */
+async function getInvoiceLines(invId, client = null) {
+  try {
+    const query = "SELECT * FROM invoice_lines WHERE inv_id = $1 ORDER BY id";
+    let res;
+    if (!client) {
+      res = await pool.query(query, [invId]);
+    } else {
+      res = await client.query(query, [invId]);
+    }
+    return res.rows;
+  } catch (err) {
+    console.error("Error getting invoice lines:", err);
+    throw err;
+  }
+}
+
+/**
+ * Adds a line to an invoice and updates its `amt` to the new total.
+ * @param {number} invId - The ID of the invoice.
+ * @param {Object} line - Like `{description, quantity, unit_price, discount}`,
+ * where `discount` is optional.
+ * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @returns {Promise<Object>} A promise that resolves to `{line, invoice}`, or
+ * undefined if the invoice doesn't exist.
+ */
+async function createInvoiceLine(invId, line, client = null) {
+  try {
+    if (!client) throw new Error("Client is required.");
+    if (!(await lockInvoice(invId, client))) return undefined;
+
+    const { description, quantity } = line;
+    const { unit_price, discount } = coerceValues(
+      {
+        unit_price: line.unit_price,
+        discount: line.discount ?? 0,
+      },
+      toMoney
+    );
+    const lineRes = await client.query(
+      `INSERT INTO invoice_lines (inv_id, description, quantity, unit_price, discount)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [invId, description, quantity, unit_price, discount]
+    );
+    const invoice = await syncInvoiceAmt(invId, client);
+    return { line: lineRes.rows[0], invoice };
+  } catch (err) {
+    console.error("Error creating invoice line:", err);
+    throw err;
+  }
+}
+
+/**
+ * Updates a line of an invoice and its `amt` along with it.
+ * Only updates the fields provided, which must be in
+ * `INVOICE_LINE_UPDATE_COLUMNS`.
+ * @param {number} invId - The ID of the invoice.
+ * @param {number} lineId - The ID of the line.
+ * @param {Object} fields - An object like `{quantity, unit_price}`.
+ * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @returns {Promise<Object>} A promise that resolves to `{line, invoice}`, or
+ * undefined if the invoice has no such line.
+ */
+async function updateInvoiceLine(invId, lineId, fields, client = null) {
   try {
     if (!client) throw new Error("Client is required.");
-    // if (paid && !paidDate) paidDate = new Date();
+
+    const { setClause, values } = sqlForPartialUpdate(
+      fields,
+      INVOICE_LINE_UPDATE_COLUMNS
+    );
+    if (!(await lockInvoice(invId, client))) return undefined;
+
+    const lineRes = await client.query(
+      `UPDATE invoice_lines SET ${setClause}
+       WHERE id = $${values.length + 1} AND inv_id = $${values.length + 2}
+       RETURNING *`,
+      [...values, lineId, invId]
+    );
+    if (!lineRes.rows[0]) return undefined;
+
+    const invoice = await syncInvoiceAmt(invId, client);
+    return { line: lineRes.rows[0], invoice };
+  } catch (err) {
+    console.error("Error updating invoice line:", err);
+    throw err;
+  }
+}
+
+/**
+ * Deletes a line of an invoice and updates its `amt` to the new total.
+ * The last line of an invoice can't be deleted.
+ * @param {number} invId - The ID of the invoice.
+ * @param {number} lineId - The ID of the line.
+ * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @returns {Promise<Object>} A promise that resolves to `{line, invoice}`, or
+ * undefined if the invoice has no such line.
+ */
+async function deleteInvoiceLine(invId, lineId, client = null) {
+  try {
+    if (!client) throw new Error("Client is required.");
+    if (!(await lockInvoice(invId, client))) return undefined;
+
+    const lineRes = await client.query(
+      "DELETE FROM invoice_lines WHERE id = $1 AND inv_id = $2 RETURNING *",
+      [lineId, invId]
+    );
+    if (!lineRes.rows[0]) return undefined;
+
+    const remaining = await client.query(
+      "SELECT COUNT(*) FROM invoice_lines WHERE inv_id = $1",
+      [invId]
+    );
+    if (Number(remaining.rows[0].count) === 0) {
+      throw new ExpressError("An invoice needs at least one line", 400);
+    }
+
+    const invoice = await syncInvoiceAmt(invId, client);
+    return { line: lineRes.rows[0], invoice };
+  } catch (err) {
+    console.error("Error deleting invoice line:", err);
+    throw err;
+  }
+}
+
+/**
+ * Records a payment against an invoice.
+ * Payments can't exceed the outstanding balance, be made on a paid invoice
+ * or be dated before the invoice was added. Once the payments cover the
+ * whole amount, the invoice is marked paid as of the latest one, which
+ * needn't be the one that completes it.
+ * @param {number} invId - The ID of the invoice being paid.
+ * @param {number} amt - The amount paid.
+ * @param {Date|string} [paidOn] - The date of the payment, today by default.
+ * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @returns {Promise<Object>} A promise that resolves to `{payment, invoice}`,
+ * or undefined if the invoice doesn't exist.
+ */
+async function createPayment(
+  invId,
+  amt,
+  paidOn = getCalendarDate(Date.now()),
+  client = null
+) {
+  try {
+    if (!client) throw new Error("Client is required.");
+    ({ amt } = coerceValues({ amt }, toMoney));
+
+    const current = await client.query(
+      `SELECT paid, add_date, balance, $2::numeric > balance AS exceeds_balance
+       FROM invoices WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`,
+      [invId, amt]
+    );
+    const invoice = current.rows[0];
+    if (!invoice) return undefined;
+
+    const paidOnDate = getCalendarDate(paidOn);
+    if (invoice.paid) {
+      throw new ExpressError("Invoice is already paid", 400);
+    }
+    if (invoice.exceeds_balance) {
+      throw new ExpressError("Invalid fields: amt", 400, [
+        {
+          field: "amt",
+          message: `exceeds the outstanding balance of ${invoice.balance}`,
+        },
+      ]);
+    }
+    if (paidOnDate < getCalendarDate(invoice.add_date)) {
+      throw new ExpressError("Invalid fields: paid_on", 400, [
+        { field: "paid_on", message: "cannot be before add_date" },
+      ]);
+    }
+
+    const paymentRes = await client.query(
+      `INSERT INTO payments (inv_id, amt, paid_on)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [invId, amt, paidOnDate]
+    );
+    const invoiceRes = await client.query(
+      `UPDATE invoices
+       SET amt_paid = amt_paid + $2,
+           paid = amt_paid + $2 >= amt,
+           paid_date = CASE
+             WHEN amt_paid + $2 >= amt
+               THEN (SELECT MAX(paid_on) FROM payments WHERE inv_id = $1)
+             ELSE paid_date
+           END
+       WHERE id = $1
+       RETURNING *`,
+      [invId, amt]
+    );
+    return { payment: paymentRes.rows[0], invoice: invoiceRes.rows[0] };
+  } catch (err) {
+    console.error("Error creating payment:", err);
+    throw err;
+  }
+}
+
+/**
+ * Fetches all payments made against an invoice, oldest first.
+ * @param {number} invId - The ID of the invoice.
+ * @returns {Promise<Array>} A promise that resolves to an array of payments.
+ */
+async function getInvoicePayments(invId, client = null) {
+  try {
     const query = `
-      UPDATE invoices
-      SET paid = $1, paid_date = $2
-      WHERE id = $3
-      RETURNING *`;
-    const res = await client.query(query, [
-      paid,
-      paidDate ? getCalendarDate(paidDate) : paidDate,
-      id,
+      SELECT * FROM payments
+      WHERE inv_id = $1
+      ORDER BY paid_on, id`;
+    let res;
+    if (!client) {
+      res = await pool.query(query, [invId]);
+    } else {
+      res = await client.query(query, [invId]);
+    }
+    return res.rows;
+  } catch (err) {
+    console.error("Error getting invoice payments:", err);
+    throw err;
+  }
+}
+
+/**
+ * Stores exchange rates, replacing the ones already stored for the same
+ * currency and date.
+ * @param {Array<Object>} rates - Like `[{currency, rate_date, rate}, ...]`,
+ * where `rate` is how many units of `currency` one `DEFAULT_CURRENCY` buys.
+ * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @returns {Promise<number>} A promise that resolves to the number of rates stored.
+ */
+async function upsertExchangeRates(rates, client = null) {
+  try {
+    if (!client) throw new Error("Client is required.");
+    const res = await client.query(
+      `INSERT INTO exchange_rates (currency, rate_date, rate)
+       SELECT currency, rate_date, rate
+       FROM jsonb_to_recordset($1::jsonb)
+         AS rate(currency text, rate_date date, rate numeric)
+       ON CONFLICT (currency, rate_date) DO UPDATE SET rate = EXCLUDED.rate`,
+      [JSON.stringify(rates)]
+    );
+    return res.rowCount;
+  } catch (err) {
+    console.error("Error storing exchange rates:", err);
+    throw err;
+  }
+}
+
+/**
+ * Makes sure some invoices can all be converted to a currency, with the
+ * exchange rates in effect on their `add_date`. Throws a 422 naming the
+ * missing rates otherwise.
+ * @param {import('pg').Client|import('pg').Pool} db - Where to query.
+ * @param {string} currency - The ISO 4217 code of the currency, as `$1`.
+ * @param {string} where - The condition on the invoices, using `$2...$n`.
+ * @param {Array} values - The values of the condition.
+ * @returns {Promise<void>}
+ */
+async function checkExchangeRates(db, currency, where, values) {
+  const missing = await db.query(
+    `SELECT DISTINCT
+       CASE WHEN exchange_rate(currency, add_date) IS NULL
+         THEN currency ELSE $1 END AS currency,
+       add_date
+     FROM invoices
+     WHERE ${where}
+       AND (exchange_rate(currency, add_date) IS NULL
+         OR exchange_rate($1, add_date) IS NULL)
+     ORDER BY add_date, currency`,
+    [currency, ...values]
+  );
+  if (missing.rows.length) {
+    throw new ExpressError(
+      "Missing exchange rates",
+      422,
+      missing.rows.map((row) => ({
+        field: "currency",
+        message: `no ${row.currency} rate on or before ${getCalendarDate(
+          row.add_date
+        )}`,
+      }))
+    );
+  }
+}
+
+/**
+ * Totals the invoices of each company in one currency.
+ * Every invoice is converted with the exchange rates in effect on its
+ * `add_date`, that is the latest ones stored on or before it. Returns 422
+ * naming the missing rates if any invoice can't be converted.
+ * @param {string} [currency] - The ISO 4217 code of the currency to report in.
+ * @param {string} [code] - The code of a single company to report on.
+ * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @returns {Promise<Array>} A promise that resolves to an array like
+ * `[{comp_code, currency, invoice_count, total, outstanding}, ...]`, ordered by company.
+ */
+async function getCompanyTotals(
+  currency = DEFAULT_CURRENCY,
+  code = null,
+  client = null
+) {
+  try {
+    ({ currency } = coerceValues({ currency }, toCurrency));
+    const db = client || pool;
+    await checkExchangeRates(
+      db,
+      currency,
+      "deleted_at IS NULL AND ($2::text IS NULL OR comp_code = $2)",
+      [code]
+    );
+
+    const res = await db.query(
+      `SELECT c.code AS comp_code, $1::text AS currency,
+         COUNT(i.id)::int AS invoice_count,
+         COALESCE(SUM(round(i.amt * r.factor, 2)), 0) AS total,
+         COALESCE(SUM(round(i.balance * r.factor, 2)), 0) AS outstanding
+       FROM companies AS c
+       LEFT JOIN invoices AS i
+         ON i.comp_code = c.code AND i.deleted_at IS NULL
+       LEFT JOIN LATERAL (
+         SELECT exchange_rate($1, i.add_date)
+           / exchange_rate(i.currency, i.add_date) AS factor
+       ) AS r ON true
+       WHERE c.deleted_at IS NULL AND ($2::text IS NULL OR c.code = $2)
+       GROUP BY c.code
+       ORDER BY c.code`,
+      [currency, code]
+    );
+    return res.rows;
+  } catch (err) {
+    console.error("Error getting company totals:", err);
+    throw err;
+  }
+}
+
+/**
+ * Buckets the outstanding balances of unpaid invoices by how many days past
+ * their due date they are on `asOf`: current (not yet due), 1–30, 31–60,
+ * 61–90 and over 90 days. Balances are the ones on `asOf`, leaving out
+ * later payments, and are converted to one currency like in
+ * `getCompanyTotals`.
+ * @param {string} [currency] - The ISO 4217 code of the currency to report in.
+ * @param {Date|string} [asOf] - The day to age the invoices on, today by default.
+ * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @returns {Promise<Object>} A promise that resolves to
+ * `{currency, as_of, companies: [{comp_code, current, days_1_30, days_31_60,
+ * days_61_90, days_over_90, total}, ...], overall: {current, ...}}`, where
+ * only companies with outstanding balances are listed.
+ */
+async function getAgingReport(
+  currency = DEFAULT_CURRENCY,
+  asOf = getCalendarDate(Date.now()),
+  client = null
+) {
+  try {
+    ({ currency } = coerceValues({ currency }, toCurrency));
+    asOf = getCalendarDate(asOf);
+    const db = client || pool;
+    // Balance of an invoice on `asOf` ($2), before any later payment
+    const balanceAsOf = (invoice) => `${invoice}.amt - COALESCE(
+        (SELECT SUM(p.amt) FROM payments AS p
+         WHERE p.inv_id = ${invoice}.id AND p.paid_on <= $2),
+        0
+      )`;
+    // Invoices still unpaid on `asOf`, even if they've been paid since
+    const outstanding = (invoice) => `${invoice}.deleted_at IS NULL
+       AND ${invoice}.add_date <= $2
+       AND (${invoice}.paid = false OR ${invoice}.paid_date > $2)
+       AND ${balanceAsOf(invoice)} > 0`;
+    await checkExchangeRates(db, currency, outstanding("invoices"), [asOf]);
+
+    const res = await db.query(
+      `SELECT i.comp_code,
+         COALESCE(SUM(a.amount) FILTER (WHERE a.days <= 0), 0) AS current,
+         COALESCE(SUM(a.amount) FILTER (WHERE a.days BETWEEN 1 AND 30), 0)
+           AS days_1_30,
+         COALESCE(SUM(a.amount) FILTER (WHERE a.days BETWEEN 31 AND 60), 0)
+           AS days_31_60,
+         COALESCE(SUM(a.amount) FILTER (WHERE a.days BETWEEN 61 AND 90), 0)
+           AS days_61_90,
+         COALESCE(SUM(a.amount) FILTER (WHERE a.days > 90), 0) AS days_over_90,
+         COALESCE(SUM(a.amount), 0) AS total
+       FROM invoices AS i
+       CROSS JOIN LATERAL (
+         SELECT $2::date - i.due_date AS days,
+           round((${balanceAsOf("i")}) * exchange_rate($1, i.add_date)
+             / exchange_rate(i.currency, i.add_date), 2) AS amount
+       ) AS a
+       WHERE ${outstanding("i")}
+       GROUP BY GROUPING SETS ((i.comp_code), ())
+       ORDER BY i.comp_code NULLS LAST`,
+      [currency, asOf]
+    );
+
+    const companies = res.rows.filter((row) => row.comp_code !== null);
+    const overall = { ...res.rows[res.rows.length - 1] };
+    delete overall.comp_code;
+    return { currency, as_of: asOf, companies, overall };
+  } catch (err) {
+    console.error("Error getting aging report:", err);
+    throw err;
+  }
+}
+
+/**
+ * Fetches all industries along with the codes of their associated companies.
+ * @returns {Promise<Array>} A promise that resolves to an array of industries
+ * like `[{code, industry, companies: [comp_code, ...]}, ...]`.
+ */
+async function getAllIndustries(client = null) {
+  try {
+    const query = `
+      SELECT ind.code, ind.industry,
+        COALESCE(
+          array_agg(c.code ORDER BY c.code) FILTER (WHERE c.code IS NOT NULL),
+          '{}'
+        ) AS companies
+      FROM industries AS ind
+      LEFT JOIN companies_industries AS ci
+      ON ind.code = ci.ind_code
+      LEFT JOIN companies AS c
+      ON c.code = ci.comp_code AND c.deleted_at IS NULL
+      GROUP BY ind.code, ind.industry
+      ORDER BY ind.code`;
+    let res;
+    if (!client) {
+      res = await pool.query(query);
+    } else {
+      res = await client.query(query);
+    }
+    return res.rows;
+  } catch (err) {
+    console.error("Error getting industries:", err);
+    throw err;
+  }
+}
+
+/**
+ * Fetches an industry by its code.
+ * @param {string} code - The code of the industry.
+ * @returns {Promise<Object>} A promise that resolves to the industry object.
+ */
+async function getIndustry(code, client = null) {
+  try {
+    if (!code) throw new Error("Industry code is required.");
+
+    const query = "SELECT * FROM industries WHERE code = $1";
+    let res;
+    if (!client) {
+      res = await pool.query(query, [code]);
+    } else {
+      res = await client.query(query, [code]);
+    }
+    return res.rows[0];
+  } catch (err) {
+    console.error("Error getting industry:", err);
+    throw err;
+  }
+}
+
+/**
+ * Creates a new industry in the database.
+ * @param {string} code - The code of the industry.
+ * @param {string} industry - The name of the industry.
+ * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @returns {Promise<Object>} A promise that resolves to the newly created industry object.
+ */
+async function createIndustry(code, industry, client = null) {
+  try {
+    if (!code || !industry) {
+      throw new Error("Industry code and name are required.");
+    }
+    if (!client) throw new Error("Client is required.");
+
+    const res = await client.query(
+      "INSERT INTO industries (code, industry) VALUES ($1, $2) RETURNING *",
+      [code, industry]
+    );
+    return res.rows[0];
+  } catch (err) {
+    console.error("Error creating industry:", err);
+    throw err;
+  }
+}
+
+/**
+ * Associates a company with an industry.
+ * @param {string} indCode - The code of the industry.
+ * @param {string} compCode - The code of the company.
+ * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @returns {Promise<Object>} A promise that resolves to the new association
+ * like `{comp_code, ind_code}`.
+ */
+async function addCompanyToIndustry(indCode, compCode, client = null) {
+  try {
+    if (!indCode || !compCode) {
+      throw new Error("Industry code and company code are required.");
+    }
+    if (!client) throw new Error("Client is required.");
+
+    const res = await client.query(
+      `INSERT INTO companies_industries (comp_code, ind_code)
+       VALUES ($1, $2)
+       RETURNING comp_code, ind_code`,
+      [compCode, indCode]
+    );
+    return res.rows[0];
+  } catch (err) {
+    console.error("Error adding company to industry:", err);
+    throw err;
+  }
+}
+
+/**
+ * Fetches all industries a company belongs to.
+ * @param {string} code - The code of the company.
+ * @returns {Promise<Array>} A promise that resolves to an array of industries
+ * like `[{code, industry}, ...]`.
+ */
+async function getCompanyIndustries(code, client = null) {
+  try {
+    const query = `
+      SELECT ind.code, ind.industry
+      FROM industries AS ind
+      JOIN companies_industries AS ci
+      ON ind.code = ci.ind_code
+      WHERE ci.comp_code = $1
+      ORDER BY ind.code`;
+    let res;
+    if (!client) {
+      res = await pool.query(query, [code]);
+    } else {
+      res = await client.query(query, [code]);
+    }
+    return res.rows;
+  } catch (err) {
+    console.error("Error getting company industries:", err);
+    throw err;
+  }
+}
+
+/**
+ * Issues a new API key. Only a hash of the key is stored, so this is the
+ * only time the key itself is returned.
+ * @param {string} name - Who or what the key is for.
+ * @param {string} role - One of `read-only`, `accountant` or `admin`.
+ * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @returns {Promise<Object>} A promise that resolves to the new key, like
+ * `{id, name, role, key_prefix, created_at, revoked_at, key}`.
+ */
+async function createApiKey(name, role, client = null) {
+  try {
+    if (!client) throw new Error("Client is required.");
+    const key = generateApiKey();
+    const res = await client.query(
+      `INSERT INTO api_keys (name, role, key_prefix, key_hash)
+       VALUES ($1, $2, $3, $4)
+       RETURNING ${API_KEY_COLUMNS}`,
+      [name, role, key.slice(0, KEY_PREFIX_LENGTH), hashApiKey(key)]
+    );
+    return { ...res.rows[0], key };
+  } catch (err) {
+    console.error("Error creating API key:", err);
+    throw err;
+  }
+}
+
+/**
+ * Finds the API key a request was made with, unless it was revoked.
+ * @param {string} key - The key as sent by the client.
+ * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @returns {Promise<Object>} A promise that resolves to `{id, name, role}`,
+ * or undefined for an unknown or revoked key.
+ */
+async function findApiKey(key, client = null) {
+  try {
+    const db = client || pool;
+    const res = await db.query(
+      `SELECT id, name, role FROM api_keys
+       WHERE key_hash = $1 AND revoked_at IS NULL`,
+      [hashApiKey(key)]
+    );
+    return res.rows[0];
+  } catch (err) {
+    console.error("Error finding API key:", err);
+    throw err;
+  }
+}
+
+/**
+ * Fetches every API key, revoked ones included, without their hashes.
+ * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @returns {Promise<Array>} A promise that resolves to an array like
+ * `[{id, name, role, key_prefix, created_at, revoked_at}, ...]`.
+ */
+async function getAllApiKeys(client = null) {
+  try {
+    const db = client || pool;
+    const res = await db.query(
+      `SELECT ${API_KEY_COLUMNS} FROM api_keys ORDER BY id`
+    );
+    return res.rows;
+  } catch (err) {
+    console.error("Error getting API keys:", err);
+    throw err;
+  }
+}
+
+/**
+ * Revokes an API key, so it can't authenticate anymore. Revoking a key twice
+ * keeps the time it was first revoked.
+ * @param {number} id - The ID of the key.
+ * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @returns {Promise<Object>} A promise that resolves to the revoked key, or
+ * undefined if it doesn't exist.
+ */
+async function revokeApiKey(id, client = null) {
+  try {
+    const db = client || pool;
+    const res = await db.query(
+      `UPDATE api_keys SET revoked_at = COALESCE(revoked_at, now())
+       WHERE id = $1
+       RETURNING ${API_KEY_COLUMNS}`,
+      [id]
+    );
+    return res.rows[0];
+  } catch (err) {
+    console.error("Error revoking API key:", err);
+    throw err;
+  }
+}
+
+/**
+ * Fetches entries of the audit log, newest first.
+ * @param {import('pg').Client} [client] - Optional client for transaction management.
+ * @param {Object} [options] - Filters and paging, like
+ * `{filters: {entity, id}, cursor: [id, id], limit}`. `entity` is a table
+ * name, like `invoices`, and `id` the key of one of its rows, with the
+ * columns of a composite key joined by `/`, like `apple/tech`.
+ * @returns {Promise<Array>} A promise that resolves to an array like
+ * `[{id, entity, entity_id, action, before, after, actor, changed_at}, ...]`.
+ */
+async function getAuditLog(client = null, options = {}) {
+  try {
+    const { filters = {}, cursor = null, limit = null } = options;
+    const conditions = [];
+    const values = [];
+    if (filters.entity !== undefined) {
+      values.push(filters.entity);
+      conditions.push(`entity = $${values.length}`);
+    }
+    if (filters.id !== undefined) {
+      values.push(filters.id);
+      conditions.push(`entity_id = $${values.length}`);
+    }
+
+    const { query, values: queryValues } = sqlForListQuery(
+      "audit_log",
+      conditions,
+      values,
+      { sort: { column: "id", direction: "DESC" }, key: "id", cursor, limit }
+    );
+
+    const db = client || pool;
+    const res = await db.query(query, queryValues);
+    return res.rows;
+  } catch (err) {
+    console.error("Error getting audit log:", err);
+    throw err;
+  }
+}
+
+/**
+ * Finds the stored response to an idempotency key of an API key.
+ *
+ * Takes a transaction-level advisory lock on the key first, so a concurrent
+ * request with the same key waits until this transaction is finished and
+ * then finds its response. Keys of the API key older than `ttlHours` are
+ * deleted, which lets an expired key be used again.
+ * @param {number} apiKeyId - The ID of the API key that sent the key.
+ * @param {string} key - The `Idempotency-Key` header.
+ * @param {number} [ttlHours] - How many hours keys are kept,
+ * `config.idempotencyKeyTtlHours` by default.
+ * @param {import('pg').Client} client - Client of the transaction the
+ * response will be saved in.
+ * @returns {Promise<Object>} A promise that resolves to the stored response,
+ * like `{request_hash, response_status, response_body}`, or undefined if the
+ * key is new.
+ */
+async function findIdempotencyKey(
+  apiKeyId,
+  key,
+  ttlHours = config.idempotencyKeyTtlHours,
+  client = null
+) {
+  try {
+    if (!client) throw new Error("Client is required.");
+
+    await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [
+      `idempotency_keys:${apiKeyId}:${key}`,
     ]);
-    let updatedInvoice = res.rows[0];
-    return updatedInvoice;
+    await client.query(
+      `DELETE FROM idempotency_keys
+       WHERE api_key_id = $1
+         AND created_at <= now() - make_interval(hours => $2)`,
+      [apiKeyId, ttlHours]
+    );
+    const res = await client.query(
+      `SELECT request_hash, response_status, response_body
+       FROM idempotency_keys
+       WHERE api_key_id = $1 AND key = $2`,
+      [apiKeyId, key]
+    );
+    return res.rows[0];
   } catch (err) {
-    console.error("Error updating invoice:", err);
+    console.error("Error finding idempotency key:", err);
+    throw err;
+  }
+}
+
+/**
+ * Stores the response to a request sent with an idempotency key, in the
+ * transaction that made its changes, so it's only kept if they are.
+ * @param {number} apiKeyId - The ID of the API key that sent the key.
+ * @param {string} key - The `Idempotency-Key` header.
+ * @param {string} requestHash - Hash of the request the key was sent with.
+ * @param {number} status - The status code of the response.
+ * @param {*} body - The JSON body of the response.
+ * @param {import('pg').Client} client - Client of the request's transaction.
+ * @returns {Promise<void>}
+ */
+async function saveIdempotencyKey(
+  apiKeyId,
+  key,
+  requestHash,
+  status,
+  body,
+  client = null
+) {
+  try {
+    if (!client) throw new Error("Client is required.");
+
+    await client.query(
+      `INSERT INTO idempotency_keys
+         (api_key_id, key, request_hash, response_status, response_body)
+       VALUES ($1, $2, $3, $4, $5::jsonb)`,
+      [apiKeyId, key, requestHash, status, JSON.stringify(body)]
+    );
+  } catch (err) {
+    console.error("Error saving idempotency key:", err);
     throw err;
   }
 }
 
 export {
+  addCompanyToIndustry,
   beginTransactions,
   commitTransactions,
+  createApiKey,
   createCompany,
+  createIndustry,
   createInvoice,
+  createInvoiceLine,
+  createLazyTransaction,
+  createPayment,
+  createPool,
+  DELETED_RETENTION_DAYS,
   deleteCompany,
   deleteInvoice,
+  deleteInvoiceLine,
+  findApiKey,
+  findIdempotencyKey,
+  getAgingReport,
+  getAllApiKeys,
   getAllCompanies,
   getAllCompaniesWithInvoices,
   getAllCompanyInvoices,
+  getAllIndustries,
   getAllInvoices,
+  getAuditLog,
   getCompany,
+  getCompanyIndustries,
+  getCompanyStatement,
+  getCompanyTotals,
   getCompanyWithInvoices,
   getDueInvoices,
+  getIndustry,
   getInvoice,
   getInvoiceCount,
+  getInvoiceLines,
+  getInvoicePayments,
   getInvoicesByDateRange,
   getLatestInvoice,
   getPaidInvoices,
   getUnpaidInvoices,
+  importRecords,
   pool,
+  purgeDeleted,
+  restoreCompany,
+  restoreInvoice,
+  revokeApiKey,
   rollbackTransactions,
+  saveIdempotencyKey,
   updateCompany,
   updateInvoice,
   updateInvoiceAmt,
+  updateInvoiceLine,
   updateInvoicePaidStatus,
+  upsertExchangeRates,
 };
@@ -1,14 +1,16 @@
 /** ExpressError extends the normal JS error so we can easily
  *  add a status when we make an instance of it.
+ *  An optional list of `errors` can describe each failing field.
  *
  *  The error-handling middleware will return this.
  */
 
 class ExpressError extends Error {
-  constructor(message, status) {
+  constructor(message, status, errors = undefined) {
     super();
     this.message = message;
     this.status = status;
+    this.errors = errors;
     console.error(this.stack);
   }
 }
@@ -0,0 +1,84 @@
+// ./middleware/auth.js
+import { findApiKey } from "../db.js";
+import ExpressError from "../expressError.js";
+
+/** Methods read-only keys may call */
+const READ_METHODS = new Set(["GET", "HEAD"]);
+
+/**
+ * Builds the 401 for a request that isn't authenticated, asking for a
+ * bearer token.
+ * @param {import('express').Response} res
+ * @param {String} message
+ * @returns {ExpressError}
+ */
+function unauthorized(res, message) {
+  res.set("WWW-Authenticate", "Bearer");
+  return new ExpressError(message, 401);
+}
+
+/**
+ * Middleware to authenticate each request by its API key, sent as
+ * `Authorization: Bearer <key>`, and attach the key as `req.apiKey`, like
+ * `{id, name, role}`.
+ *
+ * It runs before `dbClient`, so requests without a valid key never get a
+ * transaction; the key is looked up on the app's pool. Returns 401 without a key
+ * or with an unknown or revoked one, and 403 when a read-only key calls
+ * anything but a GET route.
+ */
+async function authenticate(req, res, next) {
+  try {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get("Authorization") || "");
+    if (!match) throw unauthorized(res, "Authentication required");
+
+    const apiKey = await findApiKey(match[1], req.app.locals.pool);
+    if (!apiKey) throw unauthorized(res, "Invalid API key");
+    req.apiKey = apiKey;
+
+    if (apiKey.role === "read-only" && !READ_METHODS.has(req.method)) {
+      throw new ExpressError(
+        "Read-only API keys can only call GET routes",
+        403
+      );
+    }
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Middleware factory that only lets requests through whose API key has one
+ * of the given roles. Others get a 403.
+ * @param {...String} roles - like `"admin"`
+ * @returns {Function} The authorization middleware.
+ */
+function requireRole(...roles) {
+  return function (req, res, next) {
+    if (!req.apiKey || !roles.includes(req.apiKey.role)) {
+      return next(
+        new ExpressError(`Requires the ${roles.join(" or ")} role`, 403)
+      );
+    }
+    return next();
+  };
+}
+
+/**
+ * Reads the `include_deleted` query parameter, which asks for soft deleted
+ * companies and invoices along with the others. Only admins may ask for
+ * them: other keys get a 403.
+ * @param {Object} apiKey - The key of the request, like `{id, name, role}`.
+ * @param {String} [param] - The value of `include_deleted`, if given.
+ * @returns {Boolean} Whether to include deleted records.
+ */
+function includeDeleted(apiKey, param) {
+  if (param !== "true") return false;
+  if (!apiKey || apiKey.role !== "admin") {
+    throw new ExpressError("Requires the admin role to include deleted", 403);
+  }
+  return true;
+}
+
+export { authenticate, includeDeleted, requireRole };
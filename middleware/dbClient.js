@@ -1,36 +1,77 @@
-// ./middleware/dbMiddleware.js
-import {
-  beginTransactions,
-  commitTransactions,
-  rollbackTransactions,
-} from "../db.js";
+// ./middleware/dbClient.js
+import { createLazyTransaction } from "../db.js";
+
+/** Methods that don't change anything, so they run read-only transactions */
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
 
 /**
- * Middleware to initialize a database client for each request.
- * The client is attached to the req object and a transaction is started.
- * On response finish, the transaction is committed or rolled back based on
- * whether an error occurred.
+ * Body sent instead of the handler's response when the transaction behind it
+ * could not be committed.
  */
-async function dbClient(req, res, next) {
-  try {
-    // Begin a new transaction and attach the client to the request object
-    const client = await beginTransactions();
-    req.dbClient = client;
-
-    // Commit the transaction if the response is successful
-    res.on("finish", async () => {
-      if (res.statusCode < 400) {
-        await commitTransactions(client);
-      } else {
-        await rollbackTransactions(client);
-      }
-      client.release();
-    });
-
-    next();
-  } catch (err) {
-    next(err);
-  }
+const COMMIT_FAILED_BODY = JSON.stringify({
+  error: { message: "The changes could not be saved", status: 500 },
+});
+
+/**
+ * Middleware to attach a database transaction to each request as
+ * `req.dbClient`.
+ *
+ * The transaction is lazy: a client of the app's pool, `app.locals.pool`,
+ * is only checked out, and the transaction begun, when the handler runs its
+ * first query. Requests that never reach the database, like 404s and
+ * invalid bodies, don't hold a client at all. Safe methods (GET, HEAD,
+ * OPTIONS) get a `READ ONLY` transaction; every other method gets a full
+ * one, whose changes are recorded in the audit log under the id of the
+ * request's API key, like `key:3`. Key names aren't unique, so they can't
+ * tell who made a change.
+ *
+ * The transaction is finished inside `res.end`, before anything is sent:
+ * it's committed for responses below 400 and rolled back otherwise. If the
+ * COMMIT fails, the handler's response is replaced by a 500, so the client
+ * never sees a success for a write that was lost. Handlers have to build
+ * their whole response before ending it; bodies streamed with `res.write`
+ * would be flushed before the transaction is finished.
+ *
+ * The pool client is always released once the transaction is finished. If
+ * the request is aborted, the transaction is rolled back when the handler
+ * ends its response, since the handler may still be using the client.
+ */
+function dbClient(req, res, next) {
+  const readOnly = SAFE_METHODS.has(req.method);
+  const transaction = createLazyTransaction({
+    readOnly,
+    actor: !readOnly && req.apiKey ? `key:${req.apiKey.id}` : null,
+    pool: req.app.locals.pool,
+  });
+  req.dbClient = transaction;
+
+  let aborted = false;
+  res.on("close", () => {
+    if (!res.writableEnded) aborted = true;
+  });
+
+  const end = res.end;
+  res.end = function (chunk, encoding, callback) {
+    res.end = end;
+    const commit = res.statusCode < 400 && !aborted;
+
+    transaction
+      .finish(commit)
+      .then(() => end.call(res, chunk, encoding, callback))
+      .catch((err) => {
+        console.error("Error finishing transaction:", err);
+        if (!commit) return end.call(res, chunk, encoding, callback);
+        res.statusCode = 500;
+        res.removeHeader("ETag");
+        res.setHeader("Content-Type", "application/json; charset=utf-8");
+        res.setHeader("Content-Length", Buffer.byteLength(COMMIT_FAILED_BODY));
+        return end.call(res, COMMIT_FAILED_BODY, "utf8", callback);
+      });
+
+    return res;
+  };
+
+  return next();
 }
 
 export default dbClient;
@@ -0,0 +1,88 @@
+// ./middleware/idempotency.js
+import { createHash } from "crypto";
+import { findIdempotencyKey, saveIdempotencyKey } from "../db.js";
+import ExpressError from "../expressError.js";
+
+/** Longest `Idempotency-Key` header accepted */
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Hashes what a request asks for, so a retry can be told apart from a
+ * different request sent with the same key.
+ * @param {import('express').Request} req
+ * @returns {String}
+ */
+function hashRequest(req) {
+  return createHash("sha256")
+    .update(JSON.stringify([req.method, req.originalUrl, req.body]))
+    .digest("hex");
+}
+
+/**
+ * Middleware to make a create route idempotent for requests sent with an
+ * `Idempotency-Key` header, so a client can safely retry one that failed on
+ * the network.
+ *
+ * The first request with a key runs as usual, and a successful response is
+ * saved with the key in `req.dbClient`'s transaction, right before it's
+ * sent; failed requests are rolled back, so their key can be retried. A
+ * later request with the same key and the same method, path and body gets
+ * the saved response again, with an `Idempotent-Replayed: true` header,
+ * while one with a different request gets a 422. Keys are scoped to the API
+ * key that sent them and expire after the app's `idempotencyKeyTtlHours`.
+ * Requests without the header aren't affected.
+ */
+async function idempotency(req, res, next) {
+  try {
+    const key = req.get("Idempotency-Key");
+    if (key === undefined) return next();
+    if (key.length < 1 || key.length > MAX_KEY_LENGTH) {
+      throw new ExpressError(
+        `The Idempotency-Key header must be 1 to ${MAX_KEY_LENGTH} characters`,
+        400
+      );
+    }
+
+    const requestHash = hashRequest(req);
+    const stored = await findIdempotencyKey(
+      req.apiKey.id,
+      key,
+      req.app.locals.config.idempotencyKeyTtlHours,
+      req.dbClient
+    );
+    if (stored) {
+      if (stored.request_hash !== requestHash) {
+        throw new ExpressError(
+          "The Idempotency-Key was already used for a different request",
+          422
+        );
+      }
+      res.set("Idempotent-Replayed", "true");
+      return res.status(stored.response_status).json(stored.response_body);
+    }
+
+    const json = res.json;
+    res.json = function (body) {
+      res.json = json;
+      if (res.statusCode >= 400) return json.call(res, body);
+
+      saveIdempotencyKey(
+        req.apiKey.id,
+        key,
+        requestHash,
+        res.statusCode,
+        body,
+        req.dbClient
+      )
+        .then(() => json.call(res, body))
+        .catch(next);
+      return res;
+    };
+
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+export default idempotency;
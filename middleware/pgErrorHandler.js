@@ -0,0 +1,201 @@
+// ./middleware/pgErrorHandler.js
+import ExpressError from "../expressError.js";
+
+/** Names used in messages for the rows of each table */
+const TABLE_LABELS = {
+  companies: "Company",
+  invoices: "Invoice",
+  invoice_lines: "Invoice line",
+  industries: "Industry",
+  companies_industries: "Company industry",
+  payments: "Payment",
+  exchange_rates: "Exchange rate",
+  api_keys: "API key",
+};
+
+/** Fields and messages for the CHECK constraints of the migrations */
+const CHECK_CONSTRAINTS = {
+  api_keys_role_check: {
+    field: "role",
+    message: "must be one of read-only, accountant, admin",
+  },
+  companies_currency_check: {
+    field: "currency",
+    message: "must be an ISO 4217 currency code",
+  },
+  companies_payment_terms_check: {
+    field: "payment_terms",
+    message: "must be one of 15, 30, 60",
+  },
+  invoices_due_date_check: {
+    field: "due_date",
+    message: "cannot be before add_date",
+  },
+  invoices_currency_check: {
+    field: "currency",
+    message: "must be an ISO 4217 currency code",
+  },
+  invoices_amt_check: { field: "amt", message: "must be greater than 0" },
+  invoices_amt_paid_check: {
+    field: "amt",
+    message: "cannot be less than the amount already paid",
+  },
+  invoice_lines_quantity_check: {
+    field: "quantity",
+    message: "must be greater than 0",
+  },
+  invoice_lines_unit_price_check: {
+    field: "unit_price",
+    message: "cannot be negative",
+  },
+  invoice_lines_discount_check: {
+    field: "discount",
+    message: "must be between 0 and quantity * unit_price",
+  },
+  payments_amt_check: { field: "amt", message: "must be greater than 0" },
+};
+
+/**
+ * Reads the column names out of the detail of a constraint violation, like
+ * `Key (comp_code, ind_code)=(apple, tech) already exists.`
+ * @param {String} [detail]
+ * @returns {Array<String>}
+ */
+function keyFields(detail) {
+  const match = /^Key \((.+?)\)=/.exec(detail || "");
+  return match ? match[1].split(", ") : [];
+}
+
+/**
+ * Builds the 400 for a value PostgreSQL rejected.
+ * @param {String|null} field - The field involved, if known.
+ * @param {String} message - What is wrong with it.
+ * @returns {ExpressError}
+ */
+function invalidField(field, message) {
+  const summary = field ? `Invalid fields: ${field}` : "Invalid input";
+  return new ExpressError(summary, 400, [{ field, message }]);
+}
+
+/**
+ * Finds which request field held a value PostgreSQL couldn't parse.
+ * The route params kept by `keepRouteParam` are searched first, then the
+ * query string and the body.
+ * @param {import('express').Request} req
+ * @param {String} value - The value quoted in the error message.
+ * @returns {String|null}
+ */
+function fieldWithValue(req, value) {
+  for (const source of [req.routeParams, req.query, req.body]) {
+    for (const [field, fieldValue] of Object.entries(source || {})) {
+      if (String(fieldValue) === value) return field;
+    }
+  }
+  return null;
+}
+
+/**
+ * Translates an error from PostgreSQL into an ExpressError with a useful
+ * status, naming the fields involved but not the SQL behind them.
+ * @param {Error} err - An error with a PostgreSQL `code`.
+ * @param {import('express').Request} req - The request that caused it.
+ * @returns {ExpressError}
+ */
+function translatePgError(err, req) {
+  const label = TABLE_LABELS[err.table] || "Record";
+
+  // unique_violation
+  if (err.code === "23505") {
+    const fields = keyFields(err.detail);
+    return new ExpressError(
+      `${label} with this ${fields.join(" and ")} already exists`,
+      409,
+      fields.map((field) => ({ field, message: "is already taken" }))
+    );
+  }
+  // foreign_key_violation
+  if (err.code === "23503") {
+    const [field] = keyFields(err.detail);
+    const parentMatch = /in table "(.+?)"/.exec(err.detail || "");
+    const parent = TABLE_LABELS[parentMatch && parentMatch[1]] || "Record";
+    if (/is still referenced/.test(err.detail || "")) {
+      return new ExpressError(
+        `${label} is still referenced by another ${parent.toLowerCase()}`,
+        409
+      );
+    }
+    const inBody = req.body && Object.hasOwn(req.body, field);
+    return new ExpressError(`${parent} not found`, inBody ? 422 : 404, [
+      {
+        field,
+        message: `does not match an existing ${parent.toLowerCase()}`,
+      },
+    ]);
+  }
+  // check_violation
+  if (err.code === "23514") {
+    const check = CHECK_CONSTRAINTS[err.constraint];
+    if (check) return invalidField(check.field, check.message);
+    const match = new RegExp(`^${err.table}_(.+)_check$`).exec(
+      err.constraint || ""
+    );
+    return invalidField(match ? match[1] : null, "is not allowed");
+  }
+  // not_null_violation
+  if (err.code === "23502") {
+    return invalidField(err.column, "is required");
+  }
+  // invalid_text_representation
+  if (err.code === "22P02") {
+    const match = /type (\w+): "(.*)"$/.exec(err.message);
+    if (!match) return invalidField(null, "is not a valid value");
+    return invalidField(
+      fieldWithValue(req, match[2]),
+      `is not a valid ${match[1]}`
+    );
+  }
+  // numeric_value_out_of_range, like `value "99999999999" is out of range
+  // for type integer`, or `numeric field overflow` without the value
+  if (err.code === "22003") {
+    const match = /^value "(.*)" is out of range/.exec(err.message);
+    return invalidField(
+      match ? fieldWithValue(req, match[1]) : null,
+      "is out of range"
+    );
+  }
+  // datetime_field_overflow, like `date/time field value out of range:
+  // "2024-00-10"`
+  if (err.code === "22008") {
+    const match = /: "(.*)"$/.exec(err.message);
+    return invalidField(
+      match ? fieldWithValue(req, match[1]) : null,
+      "is not a valid date"
+    );
+  }
+  return new ExpressError("Internal Server Error", 500);
+}
+
+/**
+ * Param callback, for `router.param`, that keeps the route params on
+ * `req.routeParams`. Express empties `req.params` once a router is done, so
+ * `pgErrorHandler`, mounted on the app, can't read them there.
+ */
+function keepRouteParam(req, res, next, value, name) {
+  req.routeParams = { ...req.routeParams, [name]: value };
+  return next();
+}
+
+/**
+ * Error-handling middleware that turns errors from PostgreSQL into
+ * ExpressErrors before they reach the generic error handler.
+ * Any other error is passed on untouched.
+ */
+function pgErrorHandler(err, req, res, next) {
+  const isPgError = typeof err.code === "string" && err.severity !== undefined;
+  if (!isPgError) return next(err);
+  console.error("Database error:", err);
+  return next(translatePgError(err, req));
+}
+
+export { keepRouteParam, translatePgError };
+export default pgErrorHandler;
@@ -0,0 +1,44 @@
+// ./middleware/validateSchema.js
+import jsonschema from "jsonschema";
+import ExpressError from "../expressError.js";
+
+/**
+ * Turns a jsonschema validation error into `{field, message}`.
+ * Errors about an object as a whole (missing or unknown properties) name the
+ * offending property as the field instead of the object itself, like
+ * `lines[0].quantity`.
+ */
+function formatValidationError(error) {
+  let field = error.property.replace(/^instance\.?/, "");
+  if (error.name === "required" || error.name === "additionalProperties") {
+    field = field ? `${field}.${error.argument}` : error.argument;
+  }
+  return { field, message: error.message };
+}
+
+/**
+ * Middleware factory that validates `req.body` (or `req.query`) against a
+ * JSON Schema. If it is invalid, a 400 error listing every failing field is
+ * passed on to the error handler.
+ * @param {Object} schema - The JSON Schema to validate against.
+ * @param {String} [source="body"] - Which part of the request to validate,
+ * `"body"` or `"query"`.
+ * @returns {Function} The validation middleware.
+ */
+function validateSchema(schema, source = "body") {
+  return function (req, res, next) {
+    const result = jsonschema.validate(req[source], schema);
+    if (!result.valid) {
+      const errors = result.errors.map(formatValidationError);
+      const message =
+        source === "query"
+          ? "Invalid query parameters"
+          : "Invalid request body";
+      return next(new ExpressError(message, 400, errors));
+    }
+    return next();
+  };
+}
+
+export { formatValidationError };
+export default validateSchema;
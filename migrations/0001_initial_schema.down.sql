@@ -0,0 +1,14 @@
+DROP TABLE payments;
+DROP TABLE invoice_lines;
+DROP TABLE companies_industries;
+DROP TABLE industries;
+DROP TABLE invoices;
+DROP TABLE companies;
+DROP TABLE exchange_rates;
+DROP TABLE idempotency_keys;
+DROP TABLE api_keys;
+DROP TABLE audit_log;
+DROP FUNCTION exchange_rate;
+DROP FUNCTION audit_row;
+DROP FUNCTION check_company_not_deleted;
+DROP FUNCTION bump_version;
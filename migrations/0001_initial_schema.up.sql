@@ -0,0 +1,224 @@
+-- The schema as it was kept in data.sql before there were migrations
+
+CREATE TABLE companies (
+    code text PRIMARY KEY,
+    name text NOT NULL UNIQUE,
+    description text,
+    currency text DEFAULT 'USD' NOT NULL,
+    payment_terms integer DEFAULT 30 NOT NULL,
+    deleted_at timestamptz,
+    version integer DEFAULT 1 NOT NULL,
+    CONSTRAINT companies_currency_check CHECK ((currency ~ '^[A-Z]{3}$')),
+    CONSTRAINT companies_payment_terms_check CHECK ((payment_terms IN (15, 30, 60)))
+);
+
+CREATE TABLE invoices (
+    id serial PRIMARY KEY,
+    comp_code text NOT NULL REFERENCES companies ON DELETE CASCADE,
+    amt numeric(12,2) NOT NULL,
+    paid boolean DEFAULT false NOT NULL,
+    add_date date DEFAULT CURRENT_DATE NOT NULL,
+    paid_date date,
+    due_date date NOT NULL,
+    currency text NOT NULL,
+    amt_paid numeric(12,2) DEFAULT 0 NOT NULL,
+    balance numeric(12,2) GENERATED ALWAYS AS (
+      CASE WHEN paid THEN 0 ELSE amt - amt_paid END
+    ) STORED,
+    deleted_at timestamptz,
+    version integer DEFAULT 1 NOT NULL,
+    CONSTRAINT invoices_amt_check CHECK ((amt > 0)),
+    CONSTRAINT invoices_amt_paid_check CHECK ((amt_paid >= 0 AND amt_paid <= amt)),
+    CONSTRAINT invoices_currency_check CHECK ((currency ~ '^[A-Z]{3}$')),
+    CONSTRAINT invoices_due_date_check CHECK ((due_date >= add_date))
+);
+
+CREATE TABLE invoice_lines (
+    id serial PRIMARY KEY,
+    inv_id integer NOT NULL REFERENCES invoices ON DELETE CASCADE,
+    description text NOT NULL,
+    quantity numeric(12,3) NOT NULL,
+    unit_price numeric(12,2) NOT NULL,
+    discount numeric(12,2) DEFAULT 0 NOT NULL,
+    total numeric(12,2) GENERATED ALWAYS AS (
+      round(quantity * unit_price - discount, 2)
+    ) STORED,
+    CONSTRAINT invoice_lines_quantity_check CHECK ((quantity > 0)),
+    CONSTRAINT invoice_lines_unit_price_check CHECK ((unit_price >= 0)),
+    CONSTRAINT invoice_lines_discount_check CHECK ((discount >= 0 AND discount <= quantity * unit_price))
+);
+
+CREATE TABLE payments (
+    id serial PRIMARY KEY,
+    inv_id integer NOT NULL REFERENCES invoices ON DELETE CASCADE,
+    amt numeric(12,2) NOT NULL,
+    paid_on date DEFAULT CURRENT_DATE NOT NULL,
+    CONSTRAINT payments_amt_check CHECK ((amt > 0))
+);
+
+-- How many units of `currency` one USD buys, from `rate_date` on
+CREATE TABLE exchange_rates (
+    currency text NOT NULL,
+    rate_date date NOT NULL,
+    rate numeric(18,8) NOT NULL,
+    PRIMARY KEY (currency, rate_date),
+    CONSTRAINT exchange_rates_currency_check CHECK ((currency ~ '^[A-Z]{3}$')),
+    CONSTRAINT exchange_rates_rate_check CHECK ((rate > 0))
+);
+
+-- The USD rate of `cur` in effect on `on_date`, or NULL if there is none
+CREATE FUNCTION exchange_rate(cur text, on_date date) RETURNS numeric AS $$
+  SELECT CASE WHEN cur = 'USD' THEN 1 ELSE (
+    SELECT rate FROM exchange_rates
+    WHERE currency = cur AND rate_date <= on_date
+    ORDER BY rate_date DESC
+    LIMIT 1
+  ) END
+$$ LANGUAGE sql STABLE;
+
+-- Companies and invoices count their updates in version, for optimistic
+-- concurrency: clients send the version they last read in If-Match, and
+-- changes to a row that moved on since are refused.
+CREATE FUNCTION bump_version() RETURNS trigger AS $$
+BEGIN
+  NEW.version := OLD.version + 1;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER companies_version BEFORE UPDATE ON companies
+  FOR EACH ROW EXECUTE FUNCTION bump_version();
+CREATE TRIGGER invoices_version BEFORE UPDATE ON invoices
+  FOR EACH ROW EXECUTE FUNCTION bump_version();
+
+-- Companies and invoices are soft deleted: deleted_at is set, and they are
+-- left out of everything but admin requests. Deleting a company soft deletes
+-- its invoices along with it, at the same time. Rows are only removed for
+-- good by the purge, once they've been deleted for the retention period.
+-- New rows can't reference a soft deleted company: this raises a foreign
+-- key violation for them, as if the company were gone already.
+CREATE FUNCTION check_company_not_deleted() RETURNS trigger AS $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM companies
+    WHERE code = NEW.comp_code AND deleted_at IS NOT NULL
+  ) THEN
+    RAISE foreign_key_violation USING
+      MESSAGE = format('company %s is deleted', NEW.comp_code),
+      DETAIL = format('Key (comp_code)=(%s) is not present in table "companies".', NEW.comp_code),
+      TABLE = TG_TABLE_NAME;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER invoices_company_not_deleted BEFORE INSERT ON invoices
+  FOR EACH ROW EXECUTE FUNCTION check_company_not_deleted();
+
+CREATE TABLE industries (
+    code text PRIMARY KEY,
+    industry text NOT NULL UNIQUE
+);
+
+CREATE TABLE companies_industries (
+    comp_code text NOT NULL REFERENCES companies ON DELETE CASCADE,
+    ind_code text NOT NULL REFERENCES industries ON DELETE CASCADE,
+    PRIMARY KEY (comp_code, ind_code)
+);
+
+CREATE TRIGGER companies_industries_company_not_deleted BEFORE INSERT ON companies_industries
+  FOR EACH ROW EXECUTE FUNCTION check_company_not_deleted();
+
+-- Only a SHA-256 hash of each key is stored; key_prefix, its first
+-- characters, tells keys apart in listings.
+CREATE TABLE api_keys (
+    id serial PRIMARY KEY,
+    name text NOT NULL,
+    role text NOT NULL,
+    key_prefix text NOT NULL,
+    key_hash text NOT NULL UNIQUE,
+    created_at timestamptz DEFAULT now() NOT NULL,
+    revoked_at timestamptz,
+    CONSTRAINT api_keys_role_check CHECK ((role IN ('read-only', 'accountant', 'admin')))
+);
+
+-- One row per created, updated or deleted row of the tables above, with the
+-- row before and after the change. actor is who made it: the id of the API
+-- key of a request, like `key:3`, the script, like `migrate`, or NULL.
+CREATE TABLE audit_log (
+    id bigserial PRIMARY KEY,
+    entity text NOT NULL,
+    entity_id text NOT NULL,
+    action text NOT NULL,
+    before jsonb,
+    after jsonb,
+    actor text,
+    changed_at timestamptz DEFAULT now() NOT NULL,
+    CONSTRAINT audit_log_action_check CHECK ((action IN ('create', 'update', 'delete')))
+);
+
+CREATE INDEX audit_log_entity_idx ON audit_log (entity, entity_id, id);
+
+-- The response to each create request sent with an Idempotency-Key header,
+-- so a retry gets the same response instead of creating the row twice. Keys
+-- are scoped to the API key that sent them; request_hash is a SHA-256 hash of
+-- the method, path and body the key was first used with.
+CREATE TABLE idempotency_keys (
+    api_key_id integer NOT NULL REFERENCES api_keys ON DELETE CASCADE,
+    key text NOT NULL,
+    request_hash text NOT NULL,
+    response_status integer NOT NULL,
+    response_body jsonb NOT NULL,
+    created_at timestamptz DEFAULT now() NOT NULL,
+    PRIMARY KEY (api_key_id, key)
+);
+
+-- Trigger function that writes a changed row to audit_log, in the same
+-- transaction as the change. Its arguments are the key columns of the
+-- table, joined with '/' into entity_id. The actor comes from the
+-- `biztime.actor` setting of the transaction. Updates that change nothing
+-- are skipped, and API key hashes are never copied.
+CREATE FUNCTION audit_row() RETURNS trigger AS $$
+DECLARE
+  old_row jsonb := CASE WHEN TG_OP <> 'INSERT' THEN to_jsonb(OLD) - 'key_hash' END;
+  new_row jsonb := CASE WHEN TG_OP <> 'DELETE' THEN to_jsonb(NEW) - 'key_hash' END;
+  row_id text;
+BEGIN
+  IF old_row = new_row THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT string_agg(COALESCE(new_row, old_row) ->> key_column, '/' ORDER BY n)
+    INTO row_id
+    FROM unnest(TG_ARGV) WITH ORDINALITY AS args (key_column, n);
+
+  INSERT INTO audit_log (entity, entity_id, action, before, after, actor)
+    VALUES (
+      TG_TABLE_NAME,
+      row_id,
+      CASE TG_OP WHEN 'INSERT' THEN 'create' WHEN 'UPDATE' THEN 'update' ELSE 'delete' END,
+      old_row,
+      new_row,
+      NULLIF(current_setting('biztime.actor', true), '')
+    );
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Audit every change to the tables above
+CREATE TRIGGER companies_audit AFTER INSERT OR UPDATE OR DELETE ON companies
+  FOR EACH ROW EXECUTE FUNCTION audit_row('code');
+CREATE TRIGGER invoices_audit AFTER INSERT OR UPDATE OR DELETE ON invoices
+  FOR EACH ROW EXECUTE FUNCTION audit_row('id');
+CREATE TRIGGER invoice_lines_audit AFTER INSERT OR UPDATE OR DELETE ON invoice_lines
+  FOR EACH ROW EXECUTE FUNCTION audit_row('id');
+CREATE TRIGGER payments_audit AFTER INSERT OR UPDATE OR DELETE ON payments
+  FOR EACH ROW EXECUTE FUNCTION audit_row('id');
+CREATE TRIGGER exchange_rates_audit AFTER INSERT OR UPDATE OR DELETE ON exchange_rates
+  FOR EACH ROW EXECUTE FUNCTION audit_row('currency', 'rate_date');
+CREATE TRIGGER industries_audit AFTER INSERT OR UPDATE OR DELETE ON industries
+  FOR EACH ROW EXECUTE FUNCTION audit_row('code');
+CREATE TRIGGER companies_industries_audit AFTER INSERT OR UPDATE OR DELETE ON companies_industries
+  FOR EACH ROW EXECUTE FUNCTION audit_row('comp_code', 'ind_code');
+CREATE TRIGGER api_keys_audit AFTER INSERT OR UPDATE OR DELETE ON api_keys
+  FOR EACH ROW EXECUTE FUNCTION audit_row('id');
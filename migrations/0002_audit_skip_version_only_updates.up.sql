@@ -0,0 +1,30 @@
+-- 0002_audit_skip_version_only_updates up
+
+-- bump_version changes `version` on every update of a versioned table, so
+-- updates that change nothing else are now skipped too.
+CREATE OR REPLACE FUNCTION audit_row() RETURNS trigger AS $$
+DECLARE
+  old_row jsonb := CASE WHEN TG_OP <> 'INSERT' THEN to_jsonb(OLD) - 'key_hash' END;
+  new_row jsonb := CASE WHEN TG_OP <> 'DELETE' THEN to_jsonb(NEW) - 'key_hash' END;
+  row_id text;
+BEGIN
+  IF old_row - 'version' = new_row - 'version' THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT string_agg(COALESCE(new_row, old_row) ->> key_column, '/' ORDER BY n)
+    INTO row_id
+    FROM unnest(TG_ARGV) WITH ORDINALITY AS args (key_column, n);
+
+  INSERT INTO audit_log (entity, entity_id, action, before, after, actor)
+    VALUES (
+      TG_TABLE_NAME,
+      row_id,
+      CASE TG_OP WHEN 'INSERT' THEN 'create' WHEN 'UPDATE' THEN 'update' ELSE 'delete' END,
+      old_row,
+      new_row,
+      NULLIF(current_setting('biztime.actor', true), '')
+    );
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
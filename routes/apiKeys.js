@@ -0,0 +1,65 @@
+// routes/apiKeys.js
+import express from "express";
+import { createApiKey, getAllApiKeys, revokeApiKey } from "../db.js";
+import ExpressError from "../expressError.js";
+import { requireRole } from "../middleware/auth.js";
+import validateSchema from "../middleware/validateSchema.js";
+import { apiKeyNewSchema } from "../schemas/apiKeySchemas.js";
+
+const router = express.Router();
+
+// Only admins can manage API keys
+router.use(requireRole("admin"));
+
+/**
+ * GET /api-keys
+ * Returns every API key, revoked ones included, without the keys themselves:
+ * `{api_keys: [{id, name, role, key_prefix, created_at, revoked_at}, ...]}`
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const apiKeys = await getAllApiKeys(req.dbClient);
+    return res.json({ api_keys: apiKeys });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * POST /api-keys
+ * Issues an API key. Needs to be given JSON like: `{name, role}`, where
+ * `role` is `read-only` (GET routes only), `accountant` or `admin`.
+ * Returns `{api_key: {id, name, role, key_prefix, created_at, revoked_at, key}}`
+ * This is the only time `key` is shown: only a hash of it is stored.
+ * Returns 400 listing the failing fields if the body is invalid.
+ */
+router.post("/", validateSchema(apiKeyNewSchema), async (req, res, next) => {
+  try {
+    const { name, role } = req.body;
+    const apiKey = await createApiKey(name, role, req.dbClient);
+    return res.status(201).json({ api_key: apiKey });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * DELETE /api-keys/:id
+ * Revokes an API key, so it can't be used anymore.
+ * Returns `{api_key: {id, name, role, key_prefix, created_at, revoked_at}}`
+ * If the key cannot be found, returns 404.
+ */
+router.delete("/:id", async (req, res, next) => {
+  try {
+    const apiKey = await revokeApiKey(req.params.id, req.dbClient);
+    if (!apiKey) {
+      const error = new ExpressError("API key not found", 404);
+      throw error;
+    }
+    return res.json({ api_key: apiKey });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+export default router;
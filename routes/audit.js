@@ -0,0 +1,51 @@
+// routes/audit.js
+import express from "express";
+import { getAuditLog } from "../db.js";
+import { requireRole } from "../middleware/auth.js";
+import validateSchema from "../middleware/validateSchema.js";
+import { auditQuerySchema } from "../schemas/auditSchemas.js";
+import { decodeCursor, paginate, parseLimit } from "../utils/pagination.js";
+
+const router = express.Router();
+
+// The log holds every old value, so only admins and accountants can read it
+router.use(requireRole("admin", "accountant"));
+
+/**
+ * GET /audit
+ * Returns a page of the audit log, newest entries first:
+ * `{audit: [{id, entity, entity_id, action, before, after, actor,
+ *   changed_at}, ...], paging: {limit, sort, count, next_cursor, next}}`
+ * `action` is `create`, `update` or `delete`, and `before` and `after` are
+ * the row as it was and as it became: `before` is null for a create and
+ * `after` for a delete. `actor` is the API key that made the change, like
+ * `key:3` (see `GET /api-keys`), or the script, like `migrate`.
+ * Accepts `entity` (a table name, like `invoices`) and `id` (the key of one
+ * of its rows, like `42`, or `apple/tech` for a company's industry) to
+ * follow the history of one record, plus `limit` and `cursor` for paging.
+ */
+router.get(
+  "/",
+  validateSchema(auditQuerySchema, "query"),
+  async (req, res, next) => {
+    try {
+      const { limit, cursor, ...filters } = req.query;
+      const pageSize = parseLimit(limit);
+      const rows = await getAuditLog(req.dbClient, {
+        filters,
+        cursor: decodeCursor(cursor),
+        limit: pageSize + 1,
+      });
+      const { items, paging } = paginate(
+        rows,
+        { limit: pageSize, sort: "-id", key: "id" },
+        req
+      );
+      return res.json({ audit: items, paging });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+export default router;
@@ -6,78 +6,378 @@ import {
   getAllCompanies,
   getAllCompanyInvoices,
   getCompany,
+  getCompanyIndustries,
+  getCompanyStatement,
+  getCompanyTotals,
+  importRecords,
+  restoreCompany,
   updateCompany,
 } from "../db.js";
 import ExpressError from "../expressError.js";
+import { includeDeleted, requireRole } from "../middleware/auth.js";
+import idempotency from "../middleware/idempotency.js";
+import { keepRouteParam } from "../middleware/pgErrorHandler.js";
+import validateSchema from "../middleware/validateSchema.js";
+import {
+  companyListQuerySchema,
+  companyNewSchema,
+  companyStatementQuerySchema,
+  companyTotalsQuerySchema,
+  companyUpdateSchema,
+} from "../schemas/companySchemas.js";
+import { importQuerySchema } from "../schemas/importSchemas.js";
+import { toCsv } from "../utils/csv.js";
+import { csvBody, importError, parseCsvImport } from "../utils/csvImport.js";
+import { ifMatchVersion, setVersionETag } from "../utils/etag.js";
+import { getCalendarDate } from "../utils/dateTime.js";
+import { decodeCursor, paginate, parseLimit } from "../utils/pagination.js";
 
 const router = express.Router();
 
+router.param("code", keepRouteParam);
+
+/** Columns of the CSV account statement, in order */
+const STATEMENT_CSV_COLUMNS = [
+  "date",
+  "type",
+  "inv_id",
+  "payment_id",
+  "amount",
+  "balance",
+];
+
+/**
+ * Formats an account statement from `getCompanyStatement` as CSV, with the
+ * opening and closing balances as the first and last lines. Statements
+ * without `from` start at the first invoice, so they have no opening line.
+ * @param {Object} statement
+ * @returns {String}
+ */
+function statementToCsv(statement) {
+  const records = [
+    ...statement.events.map((event) => ({
+      ...event,
+      date: getCalendarDate(event.date),
+    })),
+    {
+      date: statement.to,
+      type: "closing_balance",
+      balance: statement.closing_balance,
+    },
+  ];
+  if (statement.from) {
+    records.unshift({
+      date: statement.from,
+      type: "opening_balance",
+      balance: statement.opening_balance,
+    });
+  }
+  return toCsv(records, STATEMENT_CSV_COLUMNS);
+}
+
 /**
  * GET /companies
- * Returns list of companies, like `{companies: [{code, name}, ...]}`
+ * Returns list of companies, one page at a time:
+ * `{companies: [{code, name, description, currency, payment_terms}, ...],
+ *   paging: {limit, sort, count, next_cursor, next}}`
+ * Accepts `limit`, `cursor` (from `paging.next_cursor`) and `sort` (`code`
+ * or `name`, prefixed with `-` for descending order), and filters `name`
+ * (case-insensitive, partial match) and `industry` (an industry code).
+ * Deleted companies are left out; admins can list them too with
+ * `include_deleted=true`. `paging.next` links to the next page, if any.
  */
-router.get("/", async (req, res, next) => {
-  try {
-    const companies = await getAllCompanies(req.dbClient);
-    return res.json({ companies });
-  } catch (err) {
-    return next(err);
+router.get(
+  "/",
+  validateSchema(companyListQuerySchema, "query"),
+  async (req, res, next) => {
+    try {
+      const { limit, cursor, sort, include_deleted, ...filters } = req.query;
+      const pageSize = parseLimit(limit);
+      const rows = await getAllCompanies(req.dbClient, {
+        filters,
+        sort,
+        cursor: decodeCursor(cursor),
+        limit: pageSize + 1,
+        includeDeleted: includeDeleted(req.apiKey, include_deleted),
+      });
+      const { items, paging } = paginate(
+        rows,
+        { limit: pageSize, sort, key: "code" },
+        req
+      );
+      return res.json({ companies: items, paging });
+    } catch (err) {
+      return next(err);
+    }
   }
-});
+);
+
+/**
+ * GET /companies/totals
+ * Returns the invoice totals of every company in one currency:
+ * `{totals: [{comp_code, currency, invoice_count, total, outstanding}, ...]}`
+ * Accepts `currency` (ISO 4217, like `EUR`), USD by default. Each invoice is
+ * converted with the exchange rate in effect on its `add_date`; returns 422
+ * naming the missing rates if some can't be converted.
+ * Registered before `/:code`, which would match it too.
+ */
+router.get(
+  "/totals",
+  validateSchema(companyTotalsQuerySchema, "query"),
+  async (req, res, next) => {
+    try {
+      const totals = await getCompanyTotals(
+        req.query.currency,
+        undefined,
+        req.dbClient
+      );
+      return res.json({ totals });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
 
 /**
  * GET /companies/:code
  * Returns obj of company:
- * `{company: {code, name, description,invoices: [id, ...]}}`
+ * `{company: {code, name, description, currency, payment_terms,
+ *   invoices: [id, ...],
+ *   industries: [industry, ...]}}`
+ * Deleted companies return 404, unless an admin asks for them with
+ * `include_deleted=true`, which lists their deleted invoices too.
+ * The `ETag` header holds the company's version, for `If-Match`.
  */
 router.get("/:code", async (req, res, next) => {
   try {
-    const company = await getCompany(req.params.code, req.dbClient);
+    const options = {
+      includeDeleted: includeDeleted(req.apiKey, req.query.include_deleted),
+    };
+    const company = await getCompany(req.params.code, req.dbClient, options);
     if (!company) {
       const error = new ExpressError("Company not found", 404);
       throw error;
     }
     const invoices = await getAllCompanyInvoices(
       req.params.code,
-      req.dbClient
+      req.dbClient,
+      options
     );
     company.invoices = invoices.map((inv) => inv.id);
-    return res.json({ company });
+    const industries = await getCompanyIndustries(
+      req.params.code,
+      req.dbClient
+    );
+    company.industries = industries.map((ind) => ind.industry);
+    return setVersionETag(res, company).json({ company });
   } catch (err) {
     return next(err);
   }
 });
 
+/**
+ * GET /companies/:code/statement
+ * Returns the account statement of a company:
+ * `{statement: {company: {code, name, description}, currency, from, to,
+ *   opening_balance,
+ *   events: [{date, type, inv_id, payment_id, amount, balance}, ...],
+ *   closing_balance}}`
+ * Events are the invoices (`type: "invoice"`, adding their amount), their
+ * payments (`payment`, taking theirs off) and invoices marked paid without
+ * payments covering them (`settlement`), in chronological order, each with
+ * the running balance after it.
+ * Accepts `from` and `to` (YYYY-MM-DD), from the first invoice to today by
+ * default, and `currency` (ISO 4217), the company's by default; invoices in
+ * other currencies have statements of their own.
+ * Sent as CSV instead when asked for with `Accept: text/csv`, opening with
+ * the opening balance when `from` is given. If company cannot be found,
+ * returns 404.
+ */
+router.get(
+  "/:code/statement",
+  validateSchema(companyStatementQuerySchema, "query"),
+  async (req, res, next) => {
+    try {
+      const statement = await getCompanyStatement(
+        req.params.code,
+        req.query,
+        req.dbClient
+      );
+      if (!statement) {
+        const error = new ExpressError("Company not found", 404);
+        throw error;
+      }
+      return res.format({
+        json: () => res.json({ statement }),
+        csv: () =>
+          res
+            .attachment(`${statement.company.code}-statement.csv`)
+            .send(statementToCsv(statement)),
+      });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /companies/:code/totals
+ * Returns the invoice totals of a company in one currency:
+ * `{totals: {comp_code, currency, invoice_count, total, outstanding}}`
+ * Accepts `currency` like `GET /companies/totals`. If company cannot be
+ * found, returns 404.
+ */
+router.get(
+  "/:code/totals",
+  validateSchema(companyTotalsQuerySchema, "query"),
+  async (req, res, next) => {
+    try {
+      const [totals] = await getCompanyTotals(
+        req.query.currency,
+        req.params.code,
+        req.dbClient
+      );
+      if (!totals) {
+        const error = new ExpressError("Company not found", 404);
+        throw error;
+      }
+      return res.json({ totals });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
 /**
  * POST /companies
- * Adds a company. Needs to be given JSON like: `{code, name, description}`
- * Returns obj of new company: `{company: {code, name, description}}`
+ * Adds a company. Needs to be given JSON like:
+ * `{code, name, description, currency, payment_terms}`
+ * `code` is optional: when missing, it's derived from `name` as a slug like
+ * `apple-computer`, with a numeric suffix if that code is taken. A given
+ * `code` is lowercased and has to follow the same slug rules. `currency`
+ * (ISO 4217, like `EUR`) is the default for the company's invoices, USD if
+ * missing. `payment_terms` is how many days the company has to pay its
+ * invoices: 15, 30 (the default) or 60.
+ * Returns obj of new company:
+ * `{company: {code, name, description, currency, payment_terms}}`
+ * Returns 400 listing the failing fields if the body is invalid.
+ * With an `Idempotency-Key` header, a retry gets the first response again
+ * instead of adding another company, see `middleware/idempotency.js`.
  */
-router.post("/", async (req, res, next) => {
-  try {
-    const { code, name, description } = req.body;
-    const company = await createCompany(code, name, description, req.dbClient);
-    return res.status(201).json({ company });
-  } catch (err) {
-    return next(err);
+router.post(
+  "/",
+  validateSchema(companyNewSchema),
+  idempotency,
+  async (req, res, next) => {
+    try {
+      const { code, name, description, currency, payment_terms } = req.body;
+      const company = await createCompany(
+        code,
+        name,
+        description,
+        currency,
+        payment_terms,
+        req.dbClient
+      );
+      return res.status(201).json({ company });
+    } catch (err) {
+      return next(err);
+    }
   }
-});
+);
+
+/**
+ * POST /companies/import
+ * Adds companies from a CSV body (`Content-Type: text/csv`) with a header
+ * line naming the columns `code`, `name`, `description`, `currency` and
+ * `payment_terms`, any of them but `name` optional, like the fields of
+ * `POST /companies`. Empty fields are left out.
+ * Every row is checked and either all of them are added, or none are and
+ * 400 lists the errors of each row like `{row, field, message}`, where `row`
+ * is the line of the CSV the row starts on. With `dry_run=true` the rows are
+ * checked the same way, but nothing is saved.
+ * Returns `{companies: [{code, name, ...}, ...]}`, with 201, or 200 for a
+ * dry run.
+ */
+router.post(
+  "/import",
+  csvBody,
+  validateSchema(importQuerySchema, "query"),
+  async (req, res, next) => {
+    try {
+      const rows = parseCsvImport(req.body, companyNewSchema);
+      const dryRun = req.query.dry_run === "true";
+      const { created, failures } = await importRecords(
+        rows.records,
+        (record, client) =>
+          createCompany(
+            record.code,
+            record.name,
+            record.description,
+            record.currency,
+            record.payment_terms,
+            client
+          ),
+        dryRun,
+        req.dbClient
+      );
+      if (failures.length) throw importError(rows, failures);
+      return res.status(dryRun ? 200 : 201).json({ companies: created });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
 
 /**
  * PUT /companies/:code
  * Edit existing company. Should return 404 if company cannot be found.
- * Needs to be given JSON like: `{name, description}`
- * Returns updated company object: `{company: {code, name, description}}`
+ * Allows partial updates, given JSON like:
+ * `{name, description, currency, payment_terms}`
+ * Changing `currency` or `payment_terms` only affects new invoices.
+ * Returns updated company object:
+ * `{company: {code, name, description, currency, payment_terms}}`
+ * Returns 400 listing the failing fields if the body is invalid.
+ * Honors `If-Match` with the `ETag` of `GET /companies/:code`: returns 412
+ * if the company changed since, and 428 without the header when
+ * `REQUIRE_IF_MATCH=true` is set. The new `ETag` is sent back.
+ */
+router.put(
+  "/:code",
+  validateSchema(companyUpdateSchema),
+  async (req, res, next) => {
+    try {
+      if (Object.keys(req.body).length === 0) {
+        const error = new ExpressError("No fields to update provided", 400);
+        throw error;
+      }
+      const company = await updateCompany(
+        req.params.code,
+        req.body,
+        req.dbClient,
+        { version: ifMatchVersion(req) }
+      );
+      if (!company) {
+        const error = new ExpressError("Company not found", 404);
+        throw error;
+      }
+      return setVersionETag(res, company).json({ company });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * POST /companies/:code/restore
+ * Restores a deleted company, along with the invoices deleted with it.
+ * Only admins can restore companies. If company cannot be found, returns 404.
+ * Returns `{company: {code, name, description, currency, payment_terms,
+ *   deleted_at}}`
  */
-router.put("/:code", async (req, res, next) => {
+router.post("/:code/restore", requireRole("admin"), async (req, res, next) => {
   try {
-    const { name, description } = req.body;
-    const company = await updateCompany(
-      req.params.code,
-      name,
-      description,
-      req.dbClient
-    );
+    const company = await restoreCompany(req.params.code, req.dbClient);
     if (!company) {
       const error = new ExpressError("Company not found", 404);
       throw error;
@@ -90,12 +390,18 @@ router.put("/:code", async (req, res, next) => {
 
 /**
  * DELETE /companies/:code
- * Deletes company. Should return 404 if company cannot be found.
+ * Deletes company, along with its invoices. Should return 404 if company
+ * cannot be found. Only admins can delete companies.
+ * Deleted companies are kept for a retention period, during which they can
+ * be restored, before they are purged for good.
+ * Honors `If-Match` like `PUT /companies/:code`.
  * Returns `{status: "deleted"}`
  */
-router.delete("/:code", async (req, res, next) => {
+router.delete("/:code", requireRole("admin"), async (req, res, next) => {
   try {
-    const company = await deleteCompany(req.params.code, req.dbClient);
+    const company = await deleteCompany(req.params.code, req.dbClient, {
+      version: ifMatchVersion(req),
+    });
     if (!company) {
       const error = new ExpressError("Company not found", 404);
       throw error;
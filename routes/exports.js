@@ -0,0 +1,106 @@
+// routes/exports.js
+import express from "express";
+import { getAllCompanies, getAllInvoices } from "../db.js";
+import ExpressError from "../expressError.js";
+import validateSchema from "../middleware/validateSchema.js";
+import { companyExportQuerySchema } from "../schemas/companySchemas.js";
+import { invoiceExportQuerySchema } from "../schemas/invoiceSchemas.js";
+import { toCsv } from "../utils/csv.js";
+import { getCalendarDate } from "../utils/dateTime.js";
+
+const router = express.Router();
+
+/**
+ * Columns of `GET /companies.csv`, in order. `POST /companies/import` reads
+ * the same ones.
+ */
+const COMPANY_CSV_COLUMNS = [
+  "code",
+  "name",
+  "description",
+  "currency",
+  "payment_terms",
+];
+
+/** Columns of `GET /invoices.csv`, in order */
+const INVOICE_CSV_COLUMNS = [
+  "id",
+  "comp_code",
+  "amt",
+  "currency",
+  "paid",
+  "add_date",
+  "paid_date",
+  "due_date",
+  "amt_paid",
+  "balance",
+];
+
+/**
+ * Sends rows as a CSV download, with dates written as YYYY-MM-DD.
+ * @param {import('express').Response} res
+ * @param {String} filename
+ * @param {Array<Object>} rows
+ * @param {Array<String>} columns
+ */
+function sendCsv(res, filename, rows, columns) {
+  const records = rows.map((row) =>
+    Object.fromEntries(
+      Object.entries(row).map(([key, value]) => [
+        key,
+        value instanceof Date ? getCalendarDate(value) : value,
+      ])
+    )
+  );
+  return res.attachment(filename).send(toCsv(records, columns));
+}
+
+/**
+ * GET /companies.csv
+ * Returns every company as CSV, with the columns `code`, `name`,
+ * `description`, `currency` and `payment_terms`.
+ * Accepts the filters and `sort` of `GET /companies`.
+ */
+router.get(
+  "/companies.csv",
+  validateSchema(companyExportQuerySchema, "query"),
+  async (req, res, next) => {
+    try {
+      const { sort, ...filters } = req.query;
+      const companies = await getAllCompanies(req.dbClient, { filters, sort });
+      return sendCsv(res, "companies.csv", companies, COMPANY_CSV_COLUMNS);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /invoices.csv
+ * Returns every invoice as CSV, with the columns `id`, `comp_code`, `amt`,
+ * `currency`, `paid`, `add_date`, `paid_date`, `due_date`, `amt_paid` and
+ * `balance`.
+ * Accepts the filters and `sort` of `GET /invoices`. Returns 400 if `from`
+ * is after `to`.
+ */
+router.get(
+  "/invoices.csv",
+  validateSchema(invoiceExportQuerySchema, "query"),
+  async (req, res, next) => {
+    try {
+      const { sort, ...filters } = req.query;
+      if (filters.from && filters.to && filters.from > filters.to) {
+        const error = new ExpressError("Invalid query parameters", 400, [
+          { field: "to", message: "must not be before from" },
+        ]);
+        throw error;
+      }
+      const invoices = await getAllInvoices(req.dbClient, { filters, sort });
+      return sendCsv(res, "invoices.csv", invoices, INVOICE_CSV_COLUMNS);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+export default router;
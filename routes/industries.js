@@ -0,0 +1,86 @@
+// routes/industries.js
+import express from "express";
+import {
+  addCompanyToIndustry,
+  createIndustry,
+  getAllIndustries,
+  getCompany,
+  getIndustry,
+} from "../db.js";
+import ExpressError from "../expressError.js";
+import { keepRouteParam } from "../middleware/pgErrorHandler.js";
+import validateSchema from "../middleware/validateSchema.js";
+import {
+  industryCompanySchema,
+  industryNewSchema,
+} from "../schemas/industrySchemas.js";
+
+const router = express.Router();
+
+router.param("code", keepRouteParam);
+
+/**
+ * GET /industries
+ * Returns list of industries with the codes of their companies, like
+ * `{industries: [{code, industry, companies: [comp_code, ...]}, ...]}`
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const industries = await getAllIndustries(req.dbClient);
+    return res.json({ industries });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * POST /industries
+ * Adds an industry. Needs to be given JSON like: `{code, industry}`
+ * Returns obj of new industry: `{industry: {code, industry}}`
+ * Returns 400 listing the failing fields if the body is invalid.
+ */
+router.post("/", validateSchema(industryNewSchema), async (req, res, next) => {
+  try {
+    const { code, industry } = req.body;
+    const newIndustry = await createIndustry(code, industry, req.dbClient);
+    return res.status(201).json({ industry: newIndustry });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * POST /industries/:code/companies
+ * Associates a company with an industry. Needs to be given JSON like:
+ * `{comp_code}`. Should return 404 if the industry or company cannot be found.
+ * Returns `{industry_company: {comp_code, ind_code}}`
+ */
+router.post(
+  "/:code/companies",
+  validateSchema(industryCompanySchema),
+  async (req, res, next) => {
+    try {
+      const { comp_code } = req.body;
+      const industry = await getIndustry(req.params.code, req.dbClient);
+      if (!industry) {
+        const error = new ExpressError("Industry not found", 404);
+        throw error;
+      }
+      const company = await getCompany(comp_code, req.dbClient);
+      if (!company) {
+        const error = new ExpressError("Company not found", 404);
+        throw error;
+      }
+      const industryCompany = await addCompanyToIndustry(
+        req.params.code,
+        comp_code,
+        req.dbClient
+      );
+      return res.status(201).json({ industry_company: industryCompany });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+export default router;
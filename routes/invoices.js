@@ -2,93 +2,591 @@
 import express from "express";
 import {
   createInvoice,
+  createInvoiceLine,
+  createPayment,
   deleteInvoice,
-  getAllInvoices,
+  deleteInvoiceLine,
+  getCompany,
+  getDueInvoices,
   getInvoice,
+  getInvoiceCount,
+  getInvoiceLines,
+  getInvoicePayments,
+  getInvoicesByDateRange,
+  getLatestInvoice,
+  getPaidInvoices,
+  getUnpaidInvoices,
+  importRecords,
+  restoreInvoice,
   updateInvoice,
+  updateInvoiceLine,
 } from "../db.js";
 import ExpressError from "../expressError.js";
+import { includeDeleted, requireRole } from "../middleware/auth.js";
+import idempotency from "../middleware/idempotency.js";
+import { keepRouteParam } from "../middleware/pgErrorHandler.js";
+import validateSchema from "../middleware/validateSchema.js";
+import {
+  invoiceLineNewSchema,
+  invoiceLineUpdateSchema,
+} from "../schemas/invoiceLineSchemas.js";
+import {
+  invoiceImportSchema,
+  invoiceListQuerySchema,
+  invoiceNewSchema,
+  invoicePageQuerySchema,
+  invoiceUpdateSchema,
+} from "../schemas/invoiceSchemas.js";
+import { importQuerySchema } from "../schemas/importSchemas.js";
+import { paymentNewSchema } from "../schemas/paymentSchemas.js";
+import { csvBody, importError, parseCsvImport } from "../utils/csvImport.js";
+import { getCalendarDate } from "../utils/dateTime.js";
+import { ifMatchVersion, setVersionETag } from "../utils/etag.js";
+import { decodeCursor, paginate, parseLimit } from "../utils/pagination.js";
+import { textToPdf } from "../utils/pdf.js";
 
 const router = express.Router();
 
+router.param("id", keepRouteParam);
+router.param("lineId", keepRouteParam);
+
+/**
+ * Gathers what the invoice templates show: `{invoice, company, lines}`, with
+ * dates as YYYY-MM-DD.
+ * @param {Object} invoice
+ * @param {Object} company
+ * @param {Array<Object>} lines
+ * @returns {Object}
+ */
+function invoiceDocument(invoice, company, lines) {
+  const date = (value) => (value ? getCalendarDate(value) : value);
+  return {
+    invoice: {
+      ...invoice,
+      add_date: date(invoice.add_date),
+      due_date: date(invoice.due_date),
+      paid_date: date(invoice.paid_date),
+    },
+    company,
+    lines,
+  };
+}
+
+// Amounts of money (`amt`, `amt_paid`, `balance`, `unit_price`, ...) are exact
+// decimals: they're returned as strings like "100.50", and accepted as numbers
+// or strings with at most 2 decimals.
+
+// The fixed paths below (`/unpaid`, `/paid`, `/overdue`, `/latest` and
+// `/count`) have to be registered before `/:id`, which would match them too.
+
 /**
  * GET /invoices
- * Return info on invoices: `{invoices: [{id, comp_code}, ...]}`
+ * Return info on invoices, one page at a time:
+ * `{invoices: [{id, comp_code, ...}, ...],
+ *   paging: {limit, sort, count, next_cursor, next}}`
+ * Accepts `limit`, `cursor` (from `paging.next_cursor`) and `sort` (`id`,
+ * `comp_code`, `amt` or `add_date`, prefixed with `-` for descending order),
+ * and filters `comp_code`, `paid`, `min_amt`, `max_amt` and the `add_date`
+ * range `from`/`to` (YYYY-MM-DD, inclusive). Returns 400 if `from` is after
+ * `to`. Deleted invoices are left out; admins can list them too with
+ * `include_deleted=true`. `paging.next` links to the next page, if any.
+ */
+router.get(
+  "/",
+  validateSchema(invoiceListQuerySchema, "query"),
+  async (req, res, next) => {
+    try {
+      const { limit, cursor, sort, include_deleted, from, to, ...filters } =
+        req.query;
+      if (from && to && from > to) {
+        const error = new ExpressError("Invalid query parameters", 400, [
+          { field: "to", message: "must not be before from" },
+        ]);
+        throw error;
+      }
+      const pageSize = parseLimit(limit);
+      const rows = await getInvoicesByDateRange(from, to, req.dbClient, {
+        filters,
+        sort,
+        cursor: decodeCursor(cursor),
+        limit: pageSize + 1,
+        includeDeleted: includeDeleted(req.apiKey, include_deleted),
+      });
+      const { items, paging } = paginate(
+        rows,
+        { limit: pageSize, sort, key: "id" },
+        req
+      );
+      return res.json({ invoices: items, paging });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * Builds the handler of a fixed list of invoices, paged like `GET /invoices`.
+ * @param {Function} getInvoices - Fetches the list, like `getUnpaidInvoices`.
+ * @returns {Function} The route handler.
+ */
+function listInvoices(getInvoices) {
+  return async (req, res, next) => {
+    try {
+      const { limit, cursor, sort } = req.query;
+      const pageSize = parseLimit(limit);
+      const rows = await getInvoices(req.dbClient, {
+        sort,
+        cursor: decodeCursor(cursor),
+        limit: pageSize + 1,
+      });
+      const { items, paging } = paginate(
+        rows,
+        { limit: pageSize, sort, key: "id" },
+        req
+      );
+      return res.json({ invoices: items, paging });
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+/**
+ * GET /invoices/unpaid
+ * Returns the unpaid invoices, one page at a time:
+ * `{invoices: [{id, comp_code, ...}, ...],
+ *   paging: {limit, sort, count, next_cursor, next}}`
+ * Accepts `limit`, `cursor` and `sort`, like `GET /invoices`.
+ */
+router.get(
+  "/unpaid",
+  validateSchema(invoicePageQuerySchema, "query"),
+  listInvoices(getUnpaidInvoices)
+);
+
+/**
+ * GET /invoices/paid
+ * Returns the paid invoices, paged like `GET /invoices/unpaid`.
+ */
+router.get(
+  "/paid",
+  validateSchema(invoicePageQuerySchema, "query"),
+  listInvoices(getPaidInvoices)
+);
+
+/**
+ * GET /invoices/overdue
+ * Returns the unpaid invoices past their `due_date`, paged like
+ * `GET /invoices/unpaid`.
+ */
+router.get(
+  "/overdue",
+  validateSchema(invoicePageQuerySchema, "query"),
+  listInvoices(getDueInvoices)
+);
+
+/**
+ * GET /invoices/latest
+ * Returns the most recently added invoice. If there are no invoices,
+ * returns 404.
+ * Returns `{invoice: {id, comp_code, amt, paid, add_date, paid_date, amt_paid, balance, due_date, currency}}`
  */
-router.get("/", async (req, res, next) => {
+router.get("/latest", async (req, res, next) => {
   try {
-    const invoices = await getAllInvoices(req.dbClient);
-    return res.json({ invoices });
+    const invoice = await getLatestInvoice(req.dbClient);
+    if (!invoice) {
+      const error = new ExpressError("Invoice not found", 404);
+      throw error;
+    }
+    return res.json({ invoice });
   } catch (err) {
     return next(err);
   }
 });
 
 /**
- * GET /invoices/:id
- * Returns obj on given invoice.
+ * GET /invoices/count
+ * Returns the total number of invoices: `{count}`
+ */
+router.get("/count", async (req, res, next) => {
+  try {
+    const count = await getInvoiceCount(req.dbClient);
+    return res.json({ count });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * GET /invoices/:id.html and GET /invoices/:id.pdf
+ * Renders an invoice as a document to send to the customer, with its
+ * company's name and description, its lines and amounts.
+ * The HTML comes from the `invoice.html` template and the PDF lays out the
+ * text of `invoice.txt`; both can be overridden by templates of the same name
+ * in `TEMPLATES_DIR`. The PDF is generated by the app itself.
  * If invoice cannot be found, returns 404.
- * Returns `{invoice: {id, amt, paid, add_date, paid_date, company: {code, name, description}}}`
+ * Registered before `/:id`, which would match it too.
  */
-router.get("/:id", async (req, res, next) => {
+router.get("/:id.:format(html|pdf)", async (req, res, next) => {
   try {
     const invoice = await getInvoice(req.params.id, req.dbClient);
     if (!invoice) {
       const error = new ExpressError("Invoice not found", 404);
       throw error;
     }
-    return res.json({ invoice });
+    const company = await getCompany(invoice.comp_code, req.dbClient);
+    const lines = await getInvoiceLines(req.params.id, req.dbClient);
+    const document = invoiceDocument(invoice, company, lines);
+
+    if (req.params.format === "html") {
+      return res.render("invoice.html", { data: document });
+    }
+    const text = await new Promise((resolve, reject) => {
+      res.render("invoice.txt", { data: document }, (err, rendered) =>
+        err ? reject(err) : resolve(rendered)
+      );
+    });
+    const pdf = await textToPdf(text, { Title: `Invoice ${invoice.id}` });
+    return res.type("pdf").send(pdf);
   } catch (err) {
     return next(err);
   }
 });
 
 /**
- * POST /invoices
- * Adds an invoice. Needs to be passed in JSON body of: `{comp_code, amt}`
- * Returns `{invoice: {id, comp_code, amt, paid, add_date, paid_date}}`
+ * GET /invoices/:id
+ * Returns obj on given invoice, with its lines.
+ * If invoice cannot be found, returns 404.
+ * Returns `{invoice: {id, comp_code, amt, paid, add_date, paid_date, amt_paid, balance, due_date, currency, lines: [...]}}`
+ * Deleted invoices return 404, unless an admin asks for them with
+ * `include_deleted=true`.
+ * The `ETag` header holds the invoice's version, for `If-Match`.
  */
-router.post("/", async (req, res, next) => {
+router.get("/:id", async (req, res, next) => {
   try {
-    const { comp_code, amt } = req.body;
-    const invoice = await createInvoice(
-      comp_code,
-      amt,
-      undefined,
-      undefined,
-      undefined,
-      req.dbClient
-    );
-    return res.status(201).json({ invoice });
+    const invoice = await getInvoice(req.params.id, req.dbClient, {
+      includeDeleted: includeDeleted(req.apiKey, req.query.include_deleted),
+    });
+    if (!invoice) {
+      const error = new ExpressError("Invoice not found", 404);
+      throw error;
+    }
+    const lines = await getInvoiceLines(req.params.id, req.dbClient);
+    return setVersionETag(res, invoice).json({
+      invoice: { ...invoice, lines },
+    });
   } catch (err) {
     return next(err);
   }
 });
 
+/**
+ * POST /invoices
+ * Adds an invoice. Needs to be passed in JSON body of: `{comp_code, amt}`,
+ * or `{comp_code, lines: [{description, quantity, unit_price, discount}, ...]}`
+ * to bill line items, in which case `amt` is their total. An optional
+ * `currency` (ISO 4217, like `EUR`) defaults to the company's currency.
+ * `due_date` is set from the company's payment terms.
+ * Returns `{invoice: {id, comp_code, amt, paid, add_date, paid_date, amt_paid, balance, due_date, currency}}`,
+ * plus the invoice's `lines` if it was given some.
+ * Returns 400 listing the failing fields if the body is invalid.
+ * With an `Idempotency-Key` header, a retry gets the first response again
+ * instead of adding another invoice, see `middleware/idempotency.js`.
+ */
+router.post(
+  "/",
+  validateSchema(invoiceNewSchema),
+  idempotency,
+  async (req, res, next) => {
+    try {
+      const { comp_code, amt, lines, currency } = req.body;
+      if ((amt === undefined) === (lines === undefined)) {
+        const error = new ExpressError("Invalid request body", 400, [
+          {
+            field: "amt",
+            message:
+              amt === undefined
+                ? "is required unless lines are given"
+                : "cannot be given along with lines",
+          },
+        ]);
+        throw error;
+      }
+      const invoice = await createInvoice(
+        comp_code,
+        lines || amt,
+        undefined,
+        undefined,
+        undefined,
+        currency,
+        req.dbClient
+      );
+      return res.status(201).json({ invoice });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * POST /invoices/import
+ * Adds invoices from a CSV body (`Content-Type: text/csv`) with a header
+ * line naming the columns `comp_code`, `amt`, `currency`, `paid`, `add_date`
+ * and `paid_date` (YYYY-MM-DD), of which `comp_code` and `amt` are required.
+ * Empty fields are left out, so they take the defaults of `POST /invoices`.
+ * `paid` and `paid_date` follow the rules of `PUT /invoices/:id`: a paid
+ * row without `paid_date` is paid today, and `paid_date` can't be set on an
+ * unpaid row or fall before `add_date`.
+ * Every row is checked and either all of them are added, or none are and
+ * 400 lists the errors of each row like `{row, field, message}`, where `row`
+ * is the line of the CSV the row starts on. With `dry_run=true` the rows are
+ * checked the same way, but nothing is saved.
+ * Returns `{invoices: [{id, comp_code, ...}, ...]}`, with 201, or 200 for a
+ * dry run.
+ */
+router.post(
+  "/import",
+  csvBody,
+  validateSchema(importQuerySchema, "query"),
+  async (req, res, next) => {
+    try {
+      const rows = parseCsvImport(req.body, invoiceImportSchema);
+      const dryRun = req.query.dry_run === "true";
+      const { created, failures } = await importRecords(
+        rows.records,
+        (record, client) =>
+          createInvoice(
+            record.comp_code,
+            record.amt,
+            record.paid,
+            record.add_date,
+            record.paid_date,
+            record.currency,
+            client
+          ),
+        dryRun,
+        req.dbClient
+      );
+      if (failures.length) throw importError(rows, failures);
+      return res.status(dryRun ? 200 : 201).json({ invoices: created });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
 /**
  * PUT /invoices/:id
  * Updates an invoice. If invoice cannot be found, returns a 404.
  * Allows partial updates by only updating fields provided in the request body.
- * Returns `{invoice: {id, comp_code, amt, paid, add_date, paid_date}}`
+ * Accepts JSON like: `{amt, paid, paid_date}`, but `amt` only for invoices
+ * without lines; the amount of the others follows their lines.
+ * Paying an unpaid invoice sets `paid_date` to today, un-paying clears it and
+ * paying an already paid invoice keeps its date. An explicit `paid_date`
+ * backdates the payment, but returns 400 if it falls before `add_date`.
+ * Honors `If-Match` with the `ETag` of `GET /invoices/:id`: returns 412 if
+ * the invoice changed since, like through a payment, and 428 without the
+ * header when `REQUIRE_IF_MATCH=true` is set. The new `ETag` is sent back.
+ * Returns `{invoice: {id, comp_code, amt, paid, add_date, paid_date, amt_paid, balance, due_date, currency}}`
  */
-router.put("/:id", async (req, res, next) => {
-  try {
-    const invoiceId = req.params.id;
-    const fields = req.body;
+router.put(
+  "/:id",
+  validateSchema(invoiceUpdateSchema),
+  async (req, res, next) => {
+    try {
+      const invoiceId = req.params.id;
+      const fields = req.body;
+
+      // Check if the fields object is empty
+      if (Object.keys(fields).length === 0) {
+        const error = new ExpressError("No fields to update provided", 400);
+        throw error;
+      }
+
+      const invoice = await updateInvoice(invoiceId, fields, req.dbClient, {
+        version: ifMatchVersion(req),
+      });
+
+      if (!invoice) {
+        const error = new ExpressError("Invoice not found", 404);
+        throw error;
+      }
+
+      return setVersionETag(res, invoice).json({ invoice });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
 
-    // Check if the fields object is empty
-    if (Object.keys(fields).length === 0) {
-      const error = new ExpressError("No fields to update provided", 400);
+/**
+ * GET /invoices/:id/lines
+ * Returns the lines of an invoice, in the order they were added.
+ * If invoice cannot be found, returns 404.
+ * Returns `{lines: [{id, inv_id, description, quantity, unit_price, discount, total}, ...]}`
+ */
+router.get("/:id/lines", async (req, res, next) => {
+  try {
+    const invoice = await getInvoice(req.params.id, req.dbClient);
+    if (!invoice) {
+      const error = new ExpressError("Invoice not found", 404);
       throw error;
     }
+    const lines = await getInvoiceLines(req.params.id, req.dbClient);
+    return res.json({ lines });
+  } catch (err) {
+    return next(err);
+  }
+});
 
-    const invoice = await updateInvoice(invoiceId, fields, req.dbClient);
+/**
+ * POST /invoices/:id/lines
+ * Adds a line to an invoice. Needs to be given JSON like:
+ * `{description, quantity, unit_price, discount}`, where `discount` is an
+ * amount off the line and defaults to 0. The invoice's `amt` becomes the
+ * total of its lines. If invoice cannot be found, returns 404.
+ * Returns `{line: {id, inv_id, ..., total}, invoice: {id, comp_code, amt, ...}}`
+ */
+router.post(
+  "/:id/lines",
+  validateSchema(invoiceLineNewSchema),
+  async (req, res, next) => {
+    try {
+      const result = await createInvoiceLine(
+        req.params.id,
+        req.body,
+        req.dbClient
+      );
+      if (!result) {
+        const error = new ExpressError("Invoice not found", 404);
+        throw error;
+      }
+      return res.status(201).json(result);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * PUT /invoices/:id/lines/:lineId
+ * Updates a line of an invoice, along with the invoice's `amt`.
+ * Allows partial updates, like `{quantity, unit_price}`.
+ * If the invoice has no such line, returns 404.
+ * Returns `{line: {id, inv_id, ..., total}, invoice: {id, comp_code, amt, ...}}`
+ */
+router.put(
+  "/:id/lines/:lineId",
+  validateSchema(invoiceLineUpdateSchema),
+  async (req, res, next) => {
+    try {
+      const result = await updateInvoiceLine(
+        req.params.id,
+        req.params.lineId,
+        req.body,
+        req.dbClient
+      );
+      if (!result) {
+        const error = new ExpressError("Invoice line not found", 404);
+        throw error;
+      }
+      return res.json(result);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /invoices/:id/lines/:lineId
+ * Deletes a line of an invoice, along with its share of the invoice's `amt`.
+ * If the invoice has no such line, returns 404. Returns 400 for the last
+ * line of an invoice.
+ * Returns `{status: "deleted", invoice: {id, comp_code, amt, ...}}`
+ */
+router.delete("/:id/lines/:lineId", async (req, res, next) => {
+  try {
+    const result = await deleteInvoiceLine(
+      req.params.id,
+      req.params.lineId,
+      req.dbClient
+    );
+    if (!result) {
+      const error = new ExpressError("Invoice line not found", 404);
+      throw error;
+    }
+    return res.json({ status: "deleted", invoice: result.invoice });
+  } catch (err) {
+    return next(err);
+  }
+});
 
+/**
+ * GET /invoices/:id/payments
+ * Returns the payments made against an invoice, oldest first.
+ * If invoice cannot be found, returns 404.
+ * Returns `{payments: [{id, inv_id, amt, paid_on}, ...]}`
+ */
+router.get("/:id/payments", async (req, res, next) => {
+  try {
+    const invoice = await getInvoice(req.params.id, req.dbClient);
     if (!invoice) {
       const error = new ExpressError("Invoice not found", 404);
       throw error;
     }
+    const payments = await getInvoicePayments(req.params.id, req.dbClient);
+    return res.json({ payments });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * POST /invoices/:id/payments
+ * Records a payment. Needs to be given JSON like: `{amt, paid_on}`, where
+ * `paid_on` defaults to today. If invoice cannot be found, returns 404.
+ * Returns 400 if the invoice is already paid, if `amt` exceeds its balance
+ * or if `paid_on` falls before its `add_date`. Once the payments cover the
+ * invoice, it's marked paid as of its latest `paid_on`.
+ * Returns `{payment: {id, inv_id, amt, paid_on}, invoice: {..., amt_paid, balance, due_date, currency}}`
+ */
+router.post(
+  "/:id/payments",
+  validateSchema(paymentNewSchema),
+  async (req, res, next) => {
+    try {
+      const { amt, paid_on } = req.body;
+      const result = await createPayment(
+        req.params.id,
+        amt,
+        paid_on,
+        req.dbClient
+      );
+      if (!result) {
+        const error = new ExpressError("Invoice not found", 404);
+        throw error;
+      }
+      return res.status(201).json(result);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
 
+/**
+ * POST /invoices/:id/restore
+ * Restores a deleted invoice. Only admins can restore invoices. If invoice
+ * cannot be found, returns 404. Returns 409 if its company is deleted, which
+ * has to be restored first.
+ * Returns `{invoice: {id, comp_code, amt, ..., deleted_at}}`
+ */
+router.post("/:id/restore", requireRole("admin"), async (req, res, next) => {
+  try {
+    const invoice = await restoreInvoice(req.params.id, req.dbClient);
+    if (!invoice) {
+      const error = new ExpressError("Invoice not found", 404);
+      throw error;
+    }
     return res.json({ invoice });
   } catch (err) {
     return next(err);
@@ -98,11 +596,16 @@ router.put("/:id", async (req, res, next) => {
 /**
  * DELETE /invoices/:id
  * Deletes an invoice. If invoice cannot be found, returns a 404.
+ * Deleted invoices are kept for a retention period, during which admins can
+ * restore them, before they are purged for good.
+ * Honors `If-Match` like `PUT /invoices/:id`.
  * Returns `{status: "deleted"}`
  */
 router.delete("/:id", async (req, res, next) => {
   try {
-    const invoice = await deleteInvoice(req.params.id, req.dbClient);
+    const invoice = await deleteInvoice(req.params.id, req.dbClient, {
+      version: ifMatchVersion(req),
+    });
     if (!invoice) {
       const error = new ExpressError("Invoice not found", 404);
       throw error;
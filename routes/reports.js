@@ -0,0 +1,39 @@
+// routes/reports.js
+import express from "express";
+import { getAgingReport } from "../db.js";
+import validateSchema from "../middleware/validateSchema.js";
+import { agingQuerySchema } from "../schemas/reportSchemas.js";
+
+const router = express.Router();
+
+/**
+ * GET /reports/aging
+ * Returns the outstanding balances of unpaid invoices, bucketed by how many
+ * days past their due date they are, per company and overall:
+ * `{aging: {currency, as_of,
+ *   companies: [{comp_code, current, days_1_30, days_31_60, days_61_90,
+ *     days_over_90, total}, ...],
+ *   overall: {current, days_1_30, days_31_60, days_61_90, days_over_90, total}}}`
+ * Accepts `currency` (ISO 4217, like `EUR`), USD by default, and `as_of`
+ * (YYYY-MM-DD), today by default. Balances are converted with the exchange
+ * rate in effect on each invoice's `add_date`; returns 422 naming the
+ * missing rates if some can't be converted.
+ */
+router.get(
+  "/aging",
+  validateSchema(agingQuerySchema, "query"),
+  async (req, res, next) => {
+    try {
+      const aging = await getAgingReport(
+        req.query.currency,
+        req.query.as_of,
+        req.dbClient
+      );
+      return res.json({ aging });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,18 @@
+// schemas/apiKeySchemas.js
+
+/**
+ * JSON Schema for the body of `POST /api-keys`.
+ * Like `{name, role}`
+ */
+const apiKeyNewSchema = {
+  $id: "apiKeyNew",
+  type: "object",
+  properties: {
+    name: { type: "string", minLength: 1 },
+    role: { type: "string", enum: ["read-only", "accountant", "admin"] },
+  },
+  required: ["name", "role"],
+  additionalProperties: false,
+};
+
+export { apiKeyNewSchema };
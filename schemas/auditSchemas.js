@@ -0,0 +1,31 @@
+// schemas/auditSchemas.js
+
+/**
+ * JSON Schema for the query string of `GET /audit`.
+ * Like `?entity=invoices&id=42&limit=10`
+ */
+const auditQuerySchema = {
+  $id: "auditQuery",
+  type: "object",
+  properties: {
+    entity: {
+      type: "string",
+      enum: [
+        "api_keys",
+        "companies",
+        "companies_industries",
+        "exchange_rates",
+        "industries",
+        "invoice_lines",
+        "invoices",
+        "payments",
+      ],
+    },
+    id: { type: "string", minLength: 1 },
+    limit: { type: "string", pattern: "^[0-9]+$" },
+    cursor: { type: "string" },
+  },
+  additionalProperties: false,
+};
+
+export { auditQuerySchema };
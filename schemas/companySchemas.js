@@ -0,0 +1,107 @@
+// schemas/companySchemas.js
+import { dateSchema } from "./dateSchema.js";
+
+/**
+ * JSON Schema for the body of `POST /companies`.
+ * Like `{code, name, description, currency, payment_terms}`, where only
+ * `name` is required
+ */
+const companyNewSchema = {
+  $id: "companyNew",
+  type: "object",
+  properties: {
+    code: { type: "string", minLength: 1 },
+    name: { type: "string", minLength: 1 },
+    description: { type: ["string", "null"] },
+    currency: { type: "string", pattern: "^[A-Za-z]{3}$" },
+    payment_terms: { type: "integer", enum: [15, 30, 60] },
+  },
+  required: ["name"],
+  additionalProperties: false,
+};
+
+/**
+ * JSON Schema for the body of `PUT /companies/:code`.
+ * Every field is optional, like `{name, description, currency, payment_terms}`
+ */
+const companyUpdateSchema = {
+  $id: "companyUpdate",
+  type: "object",
+  properties: {
+    name: { type: "string", minLength: 1 },
+    description: { type: ["string", "null"] },
+    currency: { type: "string", pattern: "^[A-Za-z]{3}$" },
+    payment_terms: { type: "integer", enum: [15, 30, 60] },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * JSON Schema for the query string of `GET /companies.csv`: the filters and
+ * sort of `GET /companies`, without paging.
+ * Like `?name=apple&industry=tech&sort=-name`
+ */
+const companyExportQuerySchema = {
+  $id: "companyExportQuery",
+  type: "object",
+  properties: {
+    sort: { type: "string" },
+    name: { type: "string", minLength: 1 },
+    industry: { type: "string", minLength: 1 },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * JSON Schema for the query string of `GET /companies`.
+ * Like `?name=apple&industry=tech&sort=-name&limit=10`
+ */
+const companyListQuerySchema = {
+  $id: "companyListQuery",
+  type: "object",
+  properties: {
+    limit: { type: "string", pattern: "^[0-9]+$" },
+    cursor: { type: "string" },
+    ...companyExportQuerySchema.properties,
+    include_deleted: { type: "string", enum: ["true", "false"] },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * JSON Schema for the query string of `GET /companies/totals` and
+ * `GET /companies/:code/totals`.
+ * Like `?currency=EUR`
+ */
+const companyTotalsQuerySchema = {
+  $id: "companyTotalsQuery",
+  type: "object",
+  properties: {
+    currency: { type: "string", pattern: "^[A-Za-z]{3}$" },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * JSON Schema for the query string of `GET /companies/:code/statement`.
+ * Like `?from=2024-01-01&to=2024-03-31&currency=EUR`
+ */
+const companyStatementQuerySchema = {
+  $id: "companyStatementQuery",
+  type: "object",
+  properties: {
+    from: dateSchema,
+    to: dateSchema,
+    currency: { type: "string", pattern: "^[A-Za-z]{3}$" },
+  },
+  additionalProperties: false,
+};
+
+export {
+  companyExportQuerySchema,
+  companyListQuerySchema,
+  companyNewSchema,
+  companyStatementQuerySchema,
+  companyTotalsQuerySchema,
+  companyUpdateSchema,
+};
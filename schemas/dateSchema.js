@@ -0,0 +1,22 @@
+// schemas/dateSchema.js
+import jsonschema from "jsonschema";
+import { isCalendarDate } from "../utils/dateTime.js";
+
+// The built-in "date" format lets through dates like 2024-00-10 and
+// 2030-02-31, which then fail in the database, so dates use this one.
+// Like every format, it only applies to strings.
+jsonschema.Validator.prototype.customFormats["calendar-date"] = (input) =>
+  typeof input !== "string" || isCalendarDate(input);
+
+/**
+ * JSON Schema for a date, shared by the schemas of every body and query
+ * string with dates in it.
+ * Dates are strings in the format of YYYY-MM-DD, like `"2024-06-30"`, that
+ * exist on the calendar.
+ */
+const dateSchema = {
+  type: "string",
+  format: "calendar-date",
+};
+
+export { dateSchema };
@@ -0,0 +1,17 @@
+// schemas/importSchemas.js
+
+/**
+ * JSON Schema for the query string of the CSV imports, like
+ * `POST /companies/import`.
+ * Like `?dry_run=true`
+ */
+const importQuerySchema = {
+  $id: "importQuery",
+  type: "object",
+  properties: {
+    dry_run: { type: "string", enum: ["true", "false"] },
+  },
+  additionalProperties: false,
+};
+
+export { importQuerySchema };
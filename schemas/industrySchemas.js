@@ -0,0 +1,32 @@
+// schemas/industrySchemas.js
+
+/**
+ * JSON Schema for the body of `POST /industries`.
+ * Like `{code, industry}`
+ */
+const industryNewSchema = {
+  $id: "industryNew",
+  type: "object",
+  properties: {
+    code: { type: "string", minLength: 1 },
+    industry: { type: "string", minLength: 1 },
+  },
+  required: ["code", "industry"],
+  additionalProperties: false,
+};
+
+/**
+ * JSON Schema for the body of `POST /industries/:code/companies`.
+ * Like `{comp_code}`
+ */
+const industryCompanySchema = {
+  $id: "industryCompany",
+  type: "object",
+  properties: {
+    comp_code: { type: "string", minLength: 1 },
+  },
+  required: ["comp_code"],
+  additionalProperties: false,
+};
+
+export { industryCompanySchema, industryNewSchema };
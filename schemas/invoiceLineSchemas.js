@@ -0,0 +1,39 @@
+// schemas/invoiceLineSchemas.js
+import { moneySchema } from "./moneySchema.js";
+
+/**
+ * JSON Schema for an invoice line, the body of `POST /invoices/:id/lines`
+ * and each of the `lines` of `POST /invoices`.
+ * Like `{description, quantity, unit_price, discount}`, where `discount` is
+ * optional
+ */
+const invoiceLineNewSchema = {
+  $id: "invoiceLineNew",
+  type: "object",
+  properties: {
+    description: { type: "string", minLength: 1 },
+    quantity: { type: "number", exclusiveMinimum: 0 },
+    unit_price: { ...moneySchema, minimum: 0 },
+    discount: { ...moneySchema, minimum: 0 },
+  },
+  required: ["description", "quantity", "unit_price"],
+  additionalProperties: false,
+};
+
+/**
+ * JSON Schema for the body of `PUT /invoices/:id/lines/:lineId`.
+ * Every field is optional, like `{quantity, unit_price}`
+ */
+const invoiceLineUpdateSchema = {
+  $id: "invoiceLineUpdate",
+  type: "object",
+  properties: {
+    description: { type: "string", minLength: 1 },
+    quantity: { type: "number", exclusiveMinimum: 0 },
+    unit_price: { ...moneySchema, minimum: 0 },
+    discount: { ...moneySchema, minimum: 0 },
+  },
+  additionalProperties: false,
+};
+
+export { invoiceLineNewSchema, invoiceLineUpdateSchema };
@@ -0,0 +1,119 @@
+// schemas/invoiceSchemas.js
+import { dateSchema } from "./dateSchema.js";
+import { invoiceLineNewSchema } from "./invoiceLineSchemas.js";
+import { moneySchema } from "./moneySchema.js";
+
+/**
+ * JSON Schema for the body of `POST /invoices`.
+ * Like `{comp_code, amt}` or `{comp_code, lines: [{description, ...}, ...]}`,
+ * plus an optional `currency`.
+ * Exactly one of `amt` and `lines` is expected, which the route checks.
+ */
+const invoiceNewSchema = {
+  $id: "invoiceNew",
+  type: "object",
+  properties: {
+    comp_code: { type: "string", minLength: 1 },
+    amt: { ...moneySchema, exclusiveMinimum: 0 },
+    lines: { type: "array", minItems: 1, items: invoiceLineNewSchema },
+    currency: { type: "string", pattern: "^[A-Za-z]{3}$" },
+  },
+  required: ["comp_code"],
+  additionalProperties: false,
+};
+
+/**
+ * JSON Schema for each row of `POST /invoices/import`.
+ * Like `{comp_code, amt, currency, paid, add_date, paid_date}`, where only
+ * `comp_code` and `amt` are required
+ */
+const invoiceImportSchema = {
+  $id: "invoiceImport",
+  type: "object",
+  properties: {
+    comp_code: { type: "string", minLength: 1 },
+    amt: { ...moneySchema, exclusiveMinimum: 0 },
+    currency: { type: "string", pattern: "^[A-Za-z]{3}$" },
+    paid: { type: "boolean" },
+    add_date: dateSchema,
+    paid_date: dateSchema,
+  },
+  required: ["comp_code", "amt"],
+  additionalProperties: false,
+};
+
+/**
+ * JSON Schema for the body of `PUT /invoices/:id`.
+ * Every field is optional, like `{amt, paid, paid_date}`
+ */
+const invoiceUpdateSchema = {
+  $id: "invoiceUpdate",
+  type: "object",
+  properties: {
+    amt: { ...moneySchema, exclusiveMinimum: 0 },
+    paid: { type: "boolean" },
+    paid_date: { ...dateSchema, type: ["string", "null"] },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * JSON Schema for the query string of `GET /invoices.csv`: the filters and
+ * sort of `GET /invoices`, without paging.
+ * Like `?comp_code=apple&paid=false&min_amt=100&from=2024-01-01&sort=-amt`
+ */
+const invoiceExportQuerySchema = {
+  $id: "invoiceExportQuery",
+  type: "object",
+  properties: {
+    sort: { type: "string" },
+    comp_code: { type: "string", minLength: 1 },
+    paid: { type: "string", enum: ["true", "false"] },
+    min_amt: { type: "string", pattern: moneySchema.pattern },
+    max_amt: { type: "string", pattern: moneySchema.pattern },
+    from: dateSchema,
+    to: dateSchema,
+  },
+  additionalProperties: false,
+};
+
+/**
+ * JSON Schema for the query string of `GET /invoices`.
+ * Like `?comp_code=apple&paid=false&min_amt=100&from=2024-01-01&sort=-amt`
+ */
+const invoiceListQuerySchema = {
+  $id: "invoiceListQuery",
+  type: "object",
+  properties: {
+    limit: { type: "string", pattern: "^[0-9]+$" },
+    cursor: { type: "string" },
+    ...invoiceExportQuerySchema.properties,
+    include_deleted: { type: "string", enum: ["true", "false"] },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * JSON Schema for the query string of `GET /invoices/unpaid`, `/paid` and
+ * `/overdue`: the paging and sort of `GET /invoices`, without filters.
+ * Like `?limit=10&sort=-amt`
+ */
+const invoicePageQuerySchema = {
+  $id: "invoicePageQuery",
+  type: "object",
+  properties: {
+    limit: { type: "string", pattern: "^[0-9]+$" },
+    cursor: { type: "string" },
+    sort: { type: "string" },
+  },
+  additionalProperties: false,
+};
+
+export {
+  invoiceExportQuerySchema,
+  invoiceImportSchema,
+  invoiceListQuerySchema,
+  invoicePageQuerySchema,
+  invoiceNewSchema,
+  invoiceUpdateSchema,
+};
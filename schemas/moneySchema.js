@@ -0,0 +1,16 @@
+// schemas/moneySchema.js
+
+/**
+ * JSON Schema for an amount of money, shared by the schemas of every body
+ * with amounts in it.
+ * Amounts are numbers or numeric strings, like `10.5` or `"10.50"`, with at
+ * most 2 decimals. Each schema adds its own lower bound.
+ */
+const moneySchema = {
+  type: ["number", "string"],
+  pattern: "^[0-9]{1,10}(\\.[0-9]{1,2})?$",
+  multipleOf: 0.01,
+  maximum: 9999999999.99,
+};
+
+export { moneySchema };
@@ -0,0 +1,20 @@
+// schemas/paymentSchemas.js
+import { dateSchema } from "./dateSchema.js";
+import { moneySchema } from "./moneySchema.js";
+
+/**
+ * JSON Schema for the body of `POST /invoices/:id/payments`.
+ * Like `{amt, paid_on}`, where `paid_on` is optional
+ */
+const paymentNewSchema = {
+  $id: "paymentNew",
+  type: "object",
+  properties: {
+    amt: { ...moneySchema, exclusiveMinimum: 0 },
+    paid_on: dateSchema,
+  },
+  required: ["amt"],
+  additionalProperties: false,
+};
+
+export { paymentNewSchema };
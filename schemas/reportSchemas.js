@@ -0,0 +1,18 @@
+// schemas/reportSchemas.js
+import { dateSchema } from "./dateSchema.js";
+
+/**
+ * JSON Schema for the query string of `GET /reports/aging`.
+ * Like `?currency=EUR&as_of=2024-06-30`
+ */
+const agingQuerySchema = {
+  $id: "agingQuery",
+  type: "object",
+  properties: {
+    currency: { type: "string", pattern: "^[A-Za-z]{3}$" },
+    as_of: dateSchema,
+  },
+  additionalProperties: false,
+};
+
+export { agingQuerySchema };
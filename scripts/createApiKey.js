@@ -0,0 +1,50 @@
+/**
+ * Issues an API key from the command line, like the first admin key, which
+ * can't be issued through `POST /api-keys` without a key to begin with.
+ *
+ * Run with `npm run keys:create -- <name> [role]`, where the role is
+ * `read-only`, `accountant` or `admin` (the default). The key is printed
+ * once: only a hash of it is stored.
+ */
+
+import {
+  beginTransactions,
+  commitTransactions,
+  createApiKey,
+  pool,
+  rollbackTransactions,
+} from "../db.js";
+
+const [name, role = "admin"] = process.argv.slice(2);
+
+/** Issues the key, setting the exit code to 1 if it fails */
+async function main() {
+  let client;
+  try {
+    if (!name) throw new Error("Usage: npm run keys:create -- <name> [role]");
+
+    client = await beginTransactions();
+    const apiKey = await createApiKey(name, role, client);
+    await commitTransactions(client);
+    console.log(`Issued ${apiKey.role} key ${apiKey.id} for ${apiKey.name}:`);
+    console.log(apiKey.key);
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+    if (client) {
+      try {
+        await rollbackTransactions(client);
+      } catch (rollbackErr) {
+        console.error(rollbackErr.message);
+      }
+    }
+  } finally {
+    if (client) client.release();
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
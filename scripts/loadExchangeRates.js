@@ -0,0 +1,95 @@
+/**
+ * Loads exchange rates from a local CSV file into the 'exchange_rates' table.
+ *
+ * The file needs a header line and the columns `date` (YYYY-MM-DD),
+ * `currency` (an ISO 4217 code) and `rate`, how many units of the currency
+ * one USD buys from that date on:
+ *
+ *     date,currency,rate
+ *     2024-01-02,EUR,0.9133
+ *
+ * Every row is checked before anything is stored, and the rates are stored
+ * in a single transaction, so a bad file changes nothing. Rates already
+ * stored for the same currency and date are replaced.
+ *
+ * Run with `npm run rates:load -- [file]`, which defaults to
+ * `exchange_rates.csv`.
+ */
+
+import { readFile } from "fs/promises";
+import {
+  beginTransactions,
+  commitTransactions,
+  pool,
+  rollbackTransactions,
+  upsertExchangeRates,
+} from "../db.js";
+import { parseCsvLines } from "../utils/csv.js";
+import { toCurrency } from "../utils/partialUpdate.js";
+
+const file = process.argv[2] || "exchange_rates.csv";
+
+/**
+ * Checks the records of the CSV and turns them into rates for
+ * `upsertExchangeRates`.
+ * @param {Array<Object>} rows - From `parseCsvLines`, like
+ * `[{line, record: {date, currency, rate}}, ...]`
+ * @returns {{rates: Array<Object>, errors: Array<String>}}
+ */
+function toRates(rows) {
+  const rates = [];
+  const errors = [];
+  rows.forEach(({ line, record: { date, currency, rate } }) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "")) {
+      errors.push(`line ${line}: date must be like YYYY-MM-DD`);
+    }
+    if (!/^\d{1,10}(\.\d{1,8})?$/.test(rate || "") || Number(rate) <= 0) {
+      errors.push(`line ${line}: rate must be a positive number`);
+    }
+    try {
+      currency = toCurrency(currency);
+    } catch (err) {
+      errors.push(`line ${line}: currency ${err.message}`);
+    }
+    rates.push({ currency, rate_date: date, rate });
+  });
+  return { rates, errors };
+}
+
+/** Loads the file, setting the exit code to 1 if it fails */
+async function main() {
+  let client;
+  try {
+    const { rates, errors } = toRates(
+      parseCsvLines(await readFile(file, "utf8"))
+    );
+    if (errors.length) {
+      throw new Error(
+        `Invalid exchange rates in ${file}:\n${errors.join("\n")}`
+      );
+    }
+
+    client = await beginTransactions();
+    const count = await upsertExchangeRates(rates, client);
+    await commitTransactions(client);
+    console.log(`Loaded ${count} exchange rates from ${file}`);
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+    if (client) {
+      try {
+        await rollbackTransactions(client);
+      } catch (rollbackErr) {
+        console.error(rollbackErr.message);
+      }
+    }
+  } finally {
+    if (client) client.release();
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,116 @@
+/**
+ * Applies and reverts the schema migrations in `migrations/`, keeping track
+ * of the applied ones in the 'schema_migrations' table.
+ *
+ * Run with `npm run migrate -- <command>`, where the command is one of:
+ *
+ *     up [count]     apply the pending migrations, or only the next `count`
+ *     down [count]   revert the latest migration, or the latest `count`
+ *     status         list the migrations and whether they're applied
+ *     create <name>  add the empty up and down files of a new migration
+ *
+ * Migrations run against the app's database, `DATABASE_URL` (see
+ * `config.js`), so the test database is migrated with
+ * `NODE_ENV=test npm run migrate -- up`.
+ * Each migration runs in its own transaction, so its files must not BEGIN
+ * or COMMIT themselves. Sample data is loaded separately, with
+ * `npm run seed`.
+ *
+ * A database set up from the old `data.sql` already has the schema of
+ * `0001_initial_schema`. Run `status` once to create 'schema_migrations',
+ * then mark it as applied with
+ * `INSERT INTO schema_migrations VALUES (1, 'initial_schema')`.
+ */
+
+import path from "path";
+import { pool } from "../db.js";
+import {
+  createMigration,
+  migrateDown,
+  migrateUp,
+  migrationId,
+  migrationStatus,
+  readMigrations,
+} from "../utils/migrations.js";
+
+const MIGRATIONS_DIR = path.resolve("migrations");
+
+const USAGE =
+  "Usage: npm run migrate -- up|down [count] | status | create <name>";
+
+const [command, ...args] = process.argv.slice(2);
+
+/**
+ * Reads the optional count of `up` and `down`.
+ * @param {String} [arg]
+ * @param {Number} fallback - The count without the argument.
+ * @returns {Number}
+ */
+function parseCount(arg, fallback) {
+  if (arg === undefined) return fallback;
+  if (!/^[1-9][0-9]*$/.test(arg)) throw new Error(USAGE);
+  return Number(arg);
+}
+
+/** Runs the command, setting the exit code to 1 if it fails */
+async function main() {
+  let client;
+  try {
+    if (command === "create") {
+      if (!args.length) throw new Error(USAGE);
+      for (const file of await createMigration(
+        MIGRATIONS_DIR,
+        args.join(" ")
+      )) {
+        console.log(`Created ${path.relative(process.cwd(), file)}`);
+      }
+    } else if (["up", "down", "status"].includes(command)) {
+      const migrations = await readMigrations(MIGRATIONS_DIR);
+      client = await pool.connect();
+
+      if (command === "up") {
+        const applied = await migrateUp(
+          client,
+          migrations,
+          parseCount(args[0], Infinity)
+        );
+        for (const migration of applied) {
+          console.log(`Applied ${migrationId(migration)}`);
+        }
+        if (!applied.length) console.log("No pending migrations");
+      } else if (command === "down") {
+        const reverted = await migrateDown(
+          client,
+          migrations,
+          parseCount(args[0], 1)
+        );
+        for (const migration of reverted) {
+          console.log(`Reverted ${migrationId(migration)}`);
+        }
+        if (!reverted.length) console.log("No applied migrations");
+      } else {
+        for (const migration of await migrationStatus(client, migrations)) {
+          const appliedAt = migration.applied_at
+            ? ` ${migration.applied_at.toISOString()}`
+            : "";
+          console.log(
+            `${migration.state.padEnd(8)}${migrationId(migration)}${appliedAt}`
+          );
+        }
+      }
+    } else {
+      throw new Error(USAGE);
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  } finally {
+    if (client) client.release();
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,54 @@
+/**
+ * Removes deleted companies and invoices for good, once they've been deleted
+ * for longer than the retention period. Meant to run on a schedule, like a
+ * nightly cron job.
+ *
+ * Run with `npm run purge -- [days]`, where `days` is the retention period,
+ * `DELETED_RETENTION_DAYS` from `db.js` by default.
+ */
+
+import {
+  beginTransactions,
+  commitTransactions,
+  DELETED_RETENTION_DAYS,
+  pool,
+  purgeDeleted,
+  rollbackTransactions,
+} from "../db.js";
+
+const [days = String(DELETED_RETENTION_DAYS)] = process.argv.slice(2);
+
+/** Purges the rows, setting the exit code to 1 if it fails */
+async function main() {
+  let client;
+  try {
+    if (!/^[0-9]+$/.test(days))
+      throw new Error("Usage: npm run purge -- [days]");
+
+    client = await beginTransactions({ actor: "purge" });
+    const purged = await purgeDeleted(Number(days), client);
+    await commitTransactions(client);
+    console.log(
+      `Purged ${purged.companies} companies and ${purged.invoices} invoices ` +
+        `deleted more than ${days} days ago`
+    );
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+    if (client) {
+      try {
+        await rollbackTransactions(client);
+      } catch (rollbackErr) {
+        console.error(rollbackErr.message);
+      }
+    }
+  } finally {
+    if (client) client.release();
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,47 @@
+/**
+ * Loads the sample data of `seed.sql` into a migrated database, replacing
+ * the companies, invoices and industries it has. Meant for development
+ * databases only.
+ *
+ * Run with `npm run seed`, after `npm run migrate -- up`, with the same
+ * `DATABASE_URL` or `NODE_ENV`.
+ */
+
+import { readFile } from "fs/promises";
+import {
+  beginTransactions,
+  commitTransactions,
+  pool,
+  rollbackTransactions,
+} from "../db.js";
+
+/** Loads seed.sql, setting the exit code to 1 if it fails */
+async function main() {
+  let client;
+  try {
+    const seed = await readFile("seed.sql", "utf8");
+
+    client = await beginTransactions({ actor: "seed" });
+    await client.query(seed);
+    await commitTransactions(client);
+    console.log("Loaded seed.sql");
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+    if (client) {
+      try {
+        await rollbackTransactions(client);
+      } catch (rollbackErr) {
+        console.error(rollbackErr.message);
+      }
+    }
+  } finally {
+    if (client) client.release();
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,36 @@
+-- Sample data for development, loaded with `npm run seed` once the
+-- migrations are applied. It replaces every company, invoice and industry,
+-- along with their lines, payments and links, and restarts their ids. The
+-- new rows are in the audit log, with `seed` as the actor.
+
+TRUNCATE companies, industries RESTART IDENTITY CASCADE;
+
+INSERT INTO companies
+  VALUES ('apple', 'Apple Computer', 'Maker of OSX.', 'USD', 30),
+         ('ibm', 'IBM', 'Big blue.', 'EUR', 60);
+
+INSERT INTO invoices (comp_Code, amt, paid, add_date, paid_date, due_date, currency, amt_paid)
+  VALUES ('apple', 100, false, CURRENT_DATE, null, CURRENT_DATE + 30, 'USD', 0),
+         ('apple', 200, false, CURRENT_DATE - 45, null, CURRENT_DATE - 15, 'USD', 50),
+         ('apple', 300, true, '2017-12-01', '2018-01-01', '2017-12-31', 'USD', 300),
+         ('ibm', 400, false, CURRENT_DATE - 100, null, CURRENT_DATE - 40, 'EUR', 0);
+
+INSERT INTO invoice_lines (inv_id, description, quantity, unit_price, discount)
+  VALUES (1, 'Consulting hours', 2, 50, 0),
+         (2, 'Support plan', 1, 250, 50),
+         (3, 'Laptop repairs', 3, 100, 0),
+         (4, 'Mainframe lease', 1, 400, 0);
+
+INSERT INTO payments (inv_id, amt, paid_on)
+  VALUES (2, 50, CURRENT_DATE - 20),
+         (3, 300, '2018-01-01');
+
+INSERT INTO industries
+  VALUES ('tech', 'Technology'),
+         ('hw', 'Hardware'),
+         ('acct', 'Accounting');
+
+INSERT INTO companies_industries (comp_code, ind_code)
+  VALUES ('apple', 'tech'),
+         ('apple', 'hw'),
+         ('ibm', 'tech');
@@ -1,7 +1,19 @@
 /** Server startup for BizTime. */
 
-import app from "./app.js";
+import app, { endPools } from "./app.js";
+import config from "./config.js";
+import { pool } from "./db.js";
 
-app.listen(3300, function () {
-  console.log("Listening on 3300");
+const server = app.listen(config.port, function () {
+  console.log(`Listening on ${config.port}`);
 });
+
+/** Stops taking requests, then closes the database connections */
+function shutdown() {
+  server.close(async () => {
+    await Promise.all([endPools(), pool.end()]);
+  });
+}
+
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
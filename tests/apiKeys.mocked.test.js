@@ -0,0 +1,113 @@
+import request from "supertest";
+import app from "../app.js";
+import {
+  createApiKey,
+  createLazyTransaction,
+  findApiKey,
+  getAllApiKeys,
+  revokeApiKey,
+} from "../db.js";
+
+jest.mock("pg", () => {
+  const mClient = {
+    connect: jest.fn(),
+    end: jest.fn(),
+    query: jest.fn(),
+    on: jest.fn(),
+  };
+  return { Pool: jest.fn(() => mClient) };
+});
+
+jest.mock("../db.js");
+
+const mockDbClient = {
+  query: jest.fn(),
+  finish: jest.fn(async () => {}),
+};
+
+/** Sends every request with an admin's API key */
+const api = request.agent(app).set("Authorization", "Bearer admin-key");
+
+describe("API Keys Routes", () => {
+  const apiKey = {
+    id: 2,
+    name: "books",
+    role: "accountant",
+    key_prefix: "Zm9vYmFy",
+    created_at: "2024-01-05T10:00:00.000Z",
+    revoked_at: null,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    createLazyTransaction.mockReturnValue(mockDbClient);
+    findApiKey.mockResolvedValue({ id: 1, name: "admin", role: "admin" });
+  });
+
+  test("GET /api-keys - should list the keys", async () => {
+    getAllApiKeys.mockResolvedValueOnce([apiKey]);
+
+    const res = await api.get("/api-keys");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ api_keys: [apiKey] });
+  });
+
+  test("POST /api-keys - should issue a key", async () => {
+    createApiKey.mockResolvedValueOnce({ ...apiKey, key: "Zm9vYmFy..." });
+
+    const res = await api
+      .post("/api-keys")
+      .send({ name: "books", role: "accountant" });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.api_key.key).toBe("Zm9vYmFy...");
+    expect(createApiKey).toHaveBeenCalledWith(
+      "books",
+      "accountant",
+      mockDbClient
+    );
+  });
+
+  test("POST /api-keys - should return 400 for an unknown role", async () => {
+    const res = await api
+      .post("/api-keys")
+      .send({ name: "books", role: "owner" });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.errors[0].field).toBe("role");
+    expect(createApiKey).not.toHaveBeenCalled();
+  });
+
+  test("DELETE /api-keys/:id - should revoke a key", async () => {
+    const revoked = { ...apiKey, revoked_at: "2024-02-01T10:00:00.000Z" };
+    revokeApiKey.mockResolvedValueOnce(revoked);
+
+    const res = await api.delete("/api-keys/2");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ api_key: revoked });
+    expect(revokeApiKey).toHaveBeenCalledWith("2", mockDbClient);
+  });
+
+  test("DELETE /api-keys/:id - should return 404 if key not found", async () => {
+    revokeApiKey.mockResolvedValueOnce(undefined);
+
+    const res = await api.delete("/api-keys/99");
+
+    expect(res.statusCode).toBe(404);
+  });
+
+  test("should only let admins manage keys", async () => {
+    findApiKey.mockResolvedValueOnce({
+      id: 2,
+      name: "books",
+      role: "accountant",
+    });
+
+    const res = await api.get("/api-keys");
+
+    expect(res.statusCode).toBe(403);
+    expect(getAllApiKeys).not.toHaveBeenCalled();
+  });
+});
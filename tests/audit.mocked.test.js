@@ -0,0 +1,87 @@
+import request from "supertest";
+import app from "../app.js";
+import { createLazyTransaction, findApiKey, getAuditLog } from "../db.js";
+
+jest.mock("pg", () => {
+  const mClient = {
+    connect: jest.fn(),
+    end: jest.fn(),
+    query: jest.fn(),
+    on: jest.fn(),
+  };
+  return { Pool: jest.fn(() => mClient) };
+});
+
+jest.mock("../db.js");
+
+const mockDbClient = {
+  query: jest.fn(),
+  finish: jest.fn(async () => {}),
+};
+
+/** Sends every request with an admin's API key */
+const api = request.agent(app).set("Authorization", "Bearer admin-key");
+
+const entry = {
+  id: "3",
+  entity: "invoices",
+  entity_id: "42",
+  action: "update",
+  before: { id: 42, amt: "100.00" },
+  after: { id: 42, amt: "150.00" },
+  actor: "key:2",
+  changed_at: "2024-02-01T10:00:00.000Z",
+};
+
+describe("Audit Routes", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    createLazyTransaction.mockReturnValue(mockDbClient);
+    findApiKey.mockResolvedValue({ id: 1, name: "admin", role: "admin" });
+  });
+
+  test("GET /audit - should return the history of a record", async () => {
+    getAuditLog.mockResolvedValueOnce([entry]);
+
+    const res = await api.get("/audit?entity=invoices&id=42");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.audit).toEqual([entry]);
+    expect(res.body.paging).toMatchObject({ sort: "-id", count: 1 });
+    expect(getAuditLog).toHaveBeenCalledWith(mockDbClient, {
+      filters: { entity: "invoices", id: "42" },
+      cursor: null,
+      limit: 26,
+    });
+  });
+
+  test("GET /audit - should link to the next page", async () => {
+    getAuditLog.mockResolvedValueOnce([entry, { ...entry, id: "2" }]);
+
+    const res = await api.get("/audit?limit=1");
+
+    expect(res.body.audit).toEqual([entry]);
+    expect(res.body.paging.next).toMatch(/^\/audit\?limit=1&cursor=/);
+  });
+
+  test("GET /audit - should return 400 for an unknown entity", async () => {
+    const res = await api.get("/audit?entity=users");
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.errors[0].field).toBe("entity");
+    expect(getAuditLog).not.toHaveBeenCalled();
+  });
+
+  test("GET /audit - should be hidden from read-only keys", async () => {
+    findApiKey.mockResolvedValueOnce({
+      id: 3,
+      name: "dashboard",
+      role: "read-only",
+    });
+
+    const res = await api.get("/audit");
+
+    expect(res.statusCode).toBe(403);
+    expect(getAuditLog).not.toHaveBeenCalled();
+  });
+});
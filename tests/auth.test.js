@@ -0,0 +1,109 @@
+import express from "express";
+import request from "supertest";
+import { findApiKey } from "../db.js";
+import {
+  authenticate,
+  includeDeleted,
+  requireRole,
+} from "../middleware/auth.js";
+
+jest.mock("pg", () => {
+  const mPool = { connect: jest.fn(), query: jest.fn(), on: jest.fn() };
+  return { Pool: jest.fn(() => mPool) };
+});
+
+jest.mock("../db.js");
+
+/** Builds an app that runs `handlers` behind the authenticate middleware */
+function appWith(...handlers) {
+  const app = express();
+  app.use(authenticate);
+  app.all("/", ...handlers, (req, res) => res.json({ apiKey: req.apiKey }));
+  app.use((err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    return res.status(err.status).json({ error: err.message });
+  });
+  return app;
+}
+
+describe("authenticate middleware", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("should attach the API key of the request", async () => {
+    const apiKey = { id: 1, name: "books", role: "accountant" };
+    findApiKey.mockResolvedValueOnce(apiKey);
+
+    const res = await request(appWith())
+      .post("/")
+      .set("Authorization", "Bearer s3cret");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ apiKey });
+    expect(findApiKey).toHaveBeenCalledWith("s3cret", undefined);
+  });
+
+  test("should return 401 without an API key", async () => {
+    const res = await request(appWith()).get("/");
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error).toBe("Authentication required");
+    expect(res.headers["www-authenticate"]).toBe("Bearer");
+    expect(findApiKey).not.toHaveBeenCalled();
+  });
+
+  test("should return 401 for an unknown or revoked API key", async () => {
+    findApiKey.mockResolvedValueOnce(undefined);
+
+    const res = await request(appWith())
+      .get("/")
+      .set("Authorization", "Bearer nope");
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error).toBe("Invalid API key");
+  });
+
+  test("should only let read-only keys call GET routes", async () => {
+    const readOnly = { id: 3, name: "viewer", role: "read-only" };
+    findApiKey.mockResolvedValue(readOnly);
+    const app = appWith();
+
+    const get = await request(app).get("/").set("Authorization", "Bearer r");
+    const put = await request(app).put("/").set("Authorization", "Bearer r");
+
+    expect(get.statusCode).toBe(200);
+    expect(put.statusCode).toBe(403);
+    expect(put.body.error).toBe("Read-only API keys can only call GET routes");
+    findApiKey.mockReset();
+  });
+});
+
+describe("requireRole middleware", () => {
+  test("should only let the given roles through", async () => {
+    const app = appWith(requireRole("admin"));
+
+    findApiKey.mockResolvedValueOnce({ id: 1, role: "admin" });
+    const admin = await request(app).get("/").set("Authorization", "Bearer a");
+    findApiKey.mockResolvedValueOnce({ id: 2, role: "accountant" });
+    const other = await request(app).get("/").set("Authorization", "Bearer b");
+
+    expect(admin.statusCode).toBe(200);
+    expect(other.statusCode).toBe(403);
+    expect(other.body.error).toBe("Requires the admin role");
+  });
+});
+
+describe("includeDeleted", () => {
+  test("should only let admins include deleted records", () => {
+    const admin = { id: 1, role: "admin" };
+    const accountant = { id: 2, role: "accountant" };
+
+    expect(includeDeleted(admin, "true")).toBe(true);
+    expect(includeDeleted(admin, "false")).toBe(false);
+    expect(includeDeleted(accountant, undefined)).toBe(false);
+    expect(() => includeDeleted(accountant, "true")).toThrow(
+      expect.objectContaining({ status: 403 })
+    );
+  });
+});
@@ -1,11 +1,20 @@
 import request from "supertest";
-import app from "../app.js";
+import app, { createApp, endPools } from "../app.js";
+import config from "../config.js";
 import {
   createCompany,
+  createLazyTransaction,
+  createPool,
   deleteCompany,
+  findApiKey,
   getAllCompanies,
   getAllCompanyInvoices,
   getCompany,
+  getCompanyIndustries,
+  getCompanyStatement,
+  getCompanyTotals,
+  importRecords,
+  restoreCompany,
   updateCompany,
 } from "../db.js";
 
@@ -16,14 +25,31 @@ jest.mock("pg", () => {
     query: jest.fn(),
     on: jest.fn(),
   };
-  return { Client: jest.fn(() => mClient) };
+  return { Pool: jest.fn(() => mClient) };
 });
 
 jest.mock("../db.js");
 
+const mockDbClient = {
+  query: jest.fn(),
+  finish: jest.fn(async () => {}),
+};
+
+/** Sends every request with an admin's API key */
+const api = request.agent(app).set("Authorization", "Bearer admin-key");
+
+/** Runs the import's inserts like `importRecords` would, without failures */
+async function insertAll(records, insert, dryRun, client) {
+  const created = [];
+  for (const record of records) created.push(await insert(record, client));
+  return { created, failures: [] };
+}
+
 describe("Companies Routes", () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    createLazyTransaction.mockReturnValue(mockDbClient);
+    findApiKey.mockResolvedValue({ id: 1, name: "admin", role: "admin" });
   });
 
   test("GET /companies - should return a list of companies", async () => {
@@ -33,37 +59,131 @@ describe("Companies Routes", () => {
     ];
     getAllCompanies.mockResolvedValueOnce(mockCompanies);
 
-    const res = await request(app).get("/companies");
+    const res = await api.get("/companies");
 
     expect(res.statusCode).toBe(200);
-    expect(res.body).toEqual({ companies: mockCompanies });
+    expect(res.body).toEqual({
+      companies: mockCompanies,
+      paging: {
+        limit: 25,
+        sort: "code",
+        count: 2,
+        next_cursor: null,
+        next: null,
+      },
+    });
     expect(getAllCompanies).toHaveBeenCalledTimes(1);
   });
 
-  test("GET /companies/:code - should return a company with invoices", async () => {
+  test("GET /companies - should filter, sort and link to the next page", async () => {
+    const mockCompanies = [
+      { code: "c1", name: "Acme" },
+      { code: "c2", name: "Acme Two" },
+      { code: "c3", name: "Acme Three" },
+    ];
+    getAllCompanies.mockResolvedValueOnce(mockCompanies);
+
+    const res = await api.get(
+      "/companies?name=acme&industry=tech&sort=-name&limit=2"
+    );
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.companies).toEqual(mockCompanies.slice(0, 2));
+    expect(getAllCompanies).toHaveBeenCalledWith(mockDbClient, {
+      filters: { name: "acme", industry: "tech" },
+      sort: "-name",
+      cursor: null,
+      limit: 3,
+      includeDeleted: false,
+    });
+    const { next_cursor, next } = res.body.paging;
+    expect(next).toBe(
+      `/companies?name=acme&industry=tech&sort=-name&limit=2&cursor=${next_cursor}`
+    );
+
+    getAllCompanies.mockResolvedValueOnce([]);
+    await api.get(next);
+    expect(getAllCompanies).toHaveBeenLastCalledWith(
+      mockDbClient,
+      expect.objectContaining({ cursor: ["Acme Two", "c2"] })
+    );
+  });
+
+  test("GET /companies - should return 400 for unknown query parameters", async () => {
+    const res = await api.get("/companies?color=red");
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.message).toBe("Invalid query parameters");
+    expect(res.body.error.errors.map((e) => e.field)).toEqual(["color"]);
+    expect(getAllCompanies).not.toHaveBeenCalled();
+  });
+
+  test("GET /companies/:code - should return a company with invoices and industries", async () => {
     const mockCompany = {
       code: "c1",
       name: "Company1",
       description: "Test Company",
     };
     const mockInvoices = [{ id: 1 }, { id: 2 }];
+    const mockIndustries = [{ code: "tech", industry: "Technology" }];
     getCompany.mockResolvedValueOnce(mockCompany);
     getAllCompanyInvoices.mockResolvedValueOnce(mockInvoices);
+    getCompanyIndustries.mockResolvedValueOnce(mockIndustries);
 
-    const res = await request(app).get("/companies/c1");
+    const res = await api.get("/companies/c1");
 
     expect(res.statusCode).toBe(200);
     expect(res.body).toEqual({
-      company: { ...mockCompany, invoices: [1, 2] },
+      company: {
+        ...mockCompany,
+        invoices: [1, 2],
+        industries: ["Technology"],
+      },
+    });
+    expect(getCompany).toHaveBeenCalledWith("c1", mockDbClient, {
+      includeDeleted: false,
+    });
+    expect(getAllCompanyInvoices).toHaveBeenCalledWith("c1", mockDbClient, {
+      includeDeleted: false,
     });
-    expect(getCompany).toHaveBeenCalledWith("c1");
-    expect(getAllCompanyInvoices).toHaveBeenCalledWith("c1");
+    expect(getCompanyIndustries).toHaveBeenCalledWith("c1", mockDbClient);
+  });
+
+  test("GET /companies/:code - should show admins a deleted company", async () => {
+    const deletedAt = "2024-02-01T10:00:00.000Z";
+    getCompany.mockResolvedValueOnce({ code: "c1", deleted_at: deletedAt });
+    getAllCompanyInvoices.mockResolvedValueOnce([{ id: 1 }]);
+    getCompanyIndustries.mockResolvedValueOnce([]);
+
+    const res = await api.get("/companies/c1?include_deleted=true");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.company.deleted_at).toBe(deletedAt);
+    expect(getCompany).toHaveBeenCalledWith("c1", mockDbClient, {
+      includeDeleted: true,
+    });
+  });
+
+  test("GET /companies - should only list deleted companies for admins", async () => {
+    findApiKey.mockResolvedValueOnce({
+      id: 2,
+      name: "books",
+      role: "accountant",
+    });
+
+    const res = await api.get("/companies?include_deleted=true");
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error.message).toBe(
+      "Requires the admin role to include deleted"
+    );
+    expect(getAllCompanies).not.toHaveBeenCalled();
   });
 
   test("GET /companies/:code - should return 404 if company not found", async () => {
     getCompany.mockResolvedValueOnce(null);
 
-    const res = await request(app).get("/companies/c1");
+    const res = await api.get("/companies/c1");
 
     expect(res.statusCode).toBe(404);
     expect(res.body.error.message).toBe("Company not found");
@@ -77,14 +197,17 @@ describe("Companies Routes", () => {
     };
     createCompany.mockResolvedValueOnce(newCompany);
 
-    const res = await request(app).post("/companies").send(newCompany);
+    const res = await api.post("/companies").send(newCompany);
 
     expect(res.statusCode).toBe(201);
     expect(res.body).toEqual({ company: newCompany });
     expect(createCompany).toHaveBeenCalledWith(
       "c1",
       "Company1",
-      "Test Company"
+      "Test Company",
+      undefined,
+      undefined,
+      mockDbClient
     );
   });
 
@@ -96,7 +219,7 @@ describe("Companies Routes", () => {
     };
     updateCompany.mockResolvedValueOnce(updatedCompany);
 
-    const res = await request(app)
+    const res = await api
       .put("/companies/c1")
       .send({ name: "Updated Company", description: "Updated Description" });
 
@@ -104,15 +227,16 @@ describe("Companies Routes", () => {
     expect(res.body).toEqual({ company: updatedCompany });
     expect(updateCompany).toHaveBeenCalledWith(
       "c1",
-      "Updated Company",
-      "Updated Description"
+      { name: "Updated Company", description: "Updated Description" },
+      mockDbClient,
+      { version: undefined }
     );
   });
 
   test("PUT /companies/:code - should return 404 if company not found", async () => {
     updateCompany.mockResolvedValueOnce(null);
 
-    const res = await request(app)
+    const res = await api
       .put("/companies/c1")
       .send({ name: "Updated Company", description: "Updated Description" });
 
@@ -128,19 +252,529 @@ describe("Companies Routes", () => {
     };
     deleteCompany.mockResolvedValueOnce(mockCompany);
 
-    const res = await request(app).delete("/companies/c1");
+    const res = await api.delete("/companies/c1");
 
     expect(res.statusCode).toBe(200);
     expect(res.body).toEqual({ status: "deleted" });
-    expect(deleteCompany).toHaveBeenCalledWith("c1");
+    expect(deleteCompany).toHaveBeenCalledWith("c1", mockDbClient, {
+      version: undefined,
+    });
   });
 
   test("DELETE /companies/:code - should return 404 if company not found", async () => {
     deleteCompany.mockResolvedValueOnce(null);
 
-    const res = await request(app).delete("/companies/c1");
+    const res = await api.delete("/companies/c1");
 
     expect(res.statusCode).toBe(404);
     expect(res.body.error.message).toBe("Company not found");
   });
+
+  test("POST /companies/:code/restore - should restore a company", async () => {
+    const mockCompany = { code: "c1", name: "Company1", deleted_at: null };
+    restoreCompany.mockResolvedValueOnce(mockCompany);
+
+    const res = await api.post("/companies/c1/restore");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ company: mockCompany });
+    expect(restoreCompany).toHaveBeenCalledWith("c1", mockDbClient);
+  });
+
+  test("POST /companies/:code/restore - should return 404 if company not found", async () => {
+    restoreCompany.mockResolvedValueOnce(undefined);
+
+    const res = await api.post("/companies/c1/restore");
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error.message).toBe("Company not found");
+  });
+
+  test("DELETE /companies/:code - should only let admins delete", async () => {
+    findApiKey.mockResolvedValueOnce({
+      id: 2,
+      name: "books",
+      role: "accountant",
+    });
+
+    const res = await api.delete("/companies/c1");
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error.message).toBe("Requires the admin role");
+    expect(deleteCompany).not.toHaveBeenCalled();
+  });
+
+  test("POST /companies - should return 400 listing each invalid field", async () => {
+    const res = await api
+      .post("/companies")
+      .send({ name: "", description: 5, color: "red" });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.message).toBe("Invalid request body");
+    const fields = res.body.error.errors.map((e) => e.field);
+    expect(fields).toEqual(
+      expect.arrayContaining(["name", "description", "color"])
+    );
+    expect(createCompany).not.toHaveBeenCalled();
+  });
+
+  test("PUT /companies/:code - should allow partial updates", async () => {
+    const updatedCompany = {
+      code: "c1",
+      name: "Company1",
+      description: "Updated Description",
+    };
+    updateCompany.mockResolvedValueOnce(updatedCompany);
+
+    const res = await api
+      .put("/companies/c1")
+      .send({ description: "Updated Description" });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ company: updatedCompany });
+    expect(updateCompany).toHaveBeenCalledWith(
+      "c1",
+      { description: "Updated Description" },
+      mockDbClient,
+      { version: undefined }
+    );
+  });
+
+  test("PUT /companies/:code - should only update the version in If-Match", async () => {
+    updateCompany.mockResolvedValueOnce({ code: "c1", version: 4 });
+
+    const res = await api
+      .put("/companies/c1")
+      .set("If-Match", '"3"')
+      .send({ name: "Updated Company" });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.get("ETag")).toBe('"4"');
+    expect(updateCompany).toHaveBeenCalledWith(
+      "c1",
+      { name: "Updated Company" },
+      mockDbClient,
+      { version: 3 }
+    );
+  });
+
+  test("PUT /companies/:code - should return 412 for an ETag that can't match", async () => {
+    const res = await api
+      .put("/companies/c1")
+      .set("If-Match", 'W/"3"')
+      .send({ name: "Updated Company" });
+
+    expect(res.statusCode).toBe(412);
+    expect(updateCompany).not.toHaveBeenCalled();
+  });
+
+  test("PUT /companies/:code - should return 428 when If-Match is required", async () => {
+    const strictApp = createApp({ ...config, requireIfMatch: true });
+
+    const res = await request(strictApp)
+      .put("/companies/c1")
+      .set("Authorization", "Bearer admin-key")
+      .send({ name: "Updated Company" });
+
+    expect(res.statusCode).toBe(428);
+    expect(res.body.error.message).toBe("An If-Match header is required");
+    expect(updateCompany).not.toHaveBeenCalled();
+  });
+
+  test("GET /companies - should run on the pool of the app's database", async () => {
+    const otherPool = { connect: jest.fn(), end: jest.fn(async () => {}) };
+    createPool.mockReturnValueOnce(otherPool);
+    getAllCompanies.mockResolvedValueOnce([]);
+    const otherApp = createApp({
+      ...config,
+      databaseUrl: "postgresql:///elsewhere",
+    });
+
+    const res = await request(otherApp)
+      .get("/companies")
+      .set("Authorization", "Bearer admin-key");
+
+    expect(res.statusCode).toBe(200);
+    expect(createPool).toHaveBeenCalledWith(
+      expect.objectContaining({ databaseUrl: "postgresql:///elsewhere" })
+    );
+    expect(findApiKey).toHaveBeenCalledWith("admin-key", otherPool);
+    expect(createLazyTransaction).toHaveBeenCalledWith(
+      expect.objectContaining({ pool: otherPool })
+    );
+    await endPools();
+  });
+
+  test("createApp - should share the pool of the same settings until endPools", async () => {
+    const sharedPool = { connect: jest.fn(), end: jest.fn(async () => {}) };
+    const newPool = { connect: jest.fn(), end: jest.fn(async () => {}) };
+    createPool.mockReturnValueOnce(sharedPool).mockReturnValueOnce(newPool);
+    const settings = { ...config, databaseUrl: "postgresql:///shared" };
+
+    createApp(settings);
+    createApp({ ...settings });
+    expect(createPool).toHaveBeenCalledTimes(1);
+
+    await endPools();
+    expect(sharedPool.end).toHaveBeenCalledTimes(1);
+    createApp(settings);
+    expect(createPool).toHaveBeenCalledTimes(2);
+    await endPools();
+    expect(newPool.end).toHaveBeenCalledTimes(1);
+  });
+
+  test("PUT /companies/:code - should return 400 naming forbidden fields", async () => {
+    const res = await api
+      .put("/companies/c1")
+      .send({ code: "c2", name: "Updated Company" });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.errors.map((e) => e.field)).toEqual(["code"]);
+    expect(updateCompany).not.toHaveBeenCalled();
+  });
+
+  test("PUT /companies/:code - should return 400 if no fields are given", async () => {
+    const res = await api.put("/companies/c1").send({});
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.message).toBe("No fields to update provided");
+    expect(updateCompany).not.toHaveBeenCalled();
+  });
+
+  test("POST /companies - should create a company without a code", async () => {
+    const newCompany = {
+      code: "cafe-creme",
+      name: "Café Crème",
+      description: null,
+    };
+    createCompany.mockResolvedValueOnce(newCompany);
+
+    const res = await api
+      .post("/companies")
+      .send({ name: "Café Crème", description: null });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toEqual({ company: newCompany });
+    expect(createCompany).toHaveBeenCalledWith(
+      undefined,
+      "Café Crème",
+      null,
+      undefined,
+      undefined,
+      mockDbClient
+    );
+  });
+
+  test("POST /companies - should pass payment terms along", async () => {
+    const newCompany = { code: "sap", name: "SAP", payment_terms: 60 };
+    createCompany.mockResolvedValueOnce(newCompany);
+
+    const res = await api
+      .post("/companies")
+      .send({ code: "sap", name: "SAP", payment_terms: 60 });
+
+    expect(res.statusCode).toBe(201);
+    expect(createCompany).toHaveBeenCalledWith(
+      "sap",
+      "SAP",
+      undefined,
+      undefined,
+      60,
+      mockDbClient
+    );
+  });
+
+  test("POST /companies - should return 400 for unsupported payment terms", async () => {
+    const res = await api
+      .post("/companies")
+      .send({ name: "SAP", payment_terms: 45 });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.errors[0].field).toBe("payment_terms");
+    expect(createCompany).not.toHaveBeenCalled();
+  });
+
+  test("GET /companies/totals - should total invoices in a currency", async () => {
+    const totals = [
+      {
+        comp_code: "apple",
+        currency: "EUR",
+        invoice_count: 3,
+        total: "540.00",
+      },
+    ];
+    getCompanyTotals.mockResolvedValueOnce(totals);
+
+    const res = await api.get("/companies/totals?currency=eur");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ totals });
+    expect(getCompanyTotals).toHaveBeenCalledWith(
+      "eur",
+      undefined,
+      mockDbClient
+    );
+    expect(getCompany).not.toHaveBeenCalled();
+  });
+
+  test("GET /companies/totals - should return 400 for a malformed currency", async () => {
+    const res = await api.get("/companies/totals?currency=euro");
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.errors[0].field).toBe("currency");
+    expect(getCompanyTotals).not.toHaveBeenCalled();
+  });
+
+  test("GET /companies/:code/totals - should total one company", async () => {
+    const totals = { comp_code: "ibm", currency: "USD", total: "400.00" };
+    getCompanyTotals.mockResolvedValueOnce([totals]);
+
+    const res = await api.get("/companies/ibm/totals");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ totals });
+    expect(getCompanyTotals).toHaveBeenCalledWith(
+      undefined,
+      "ibm",
+      mockDbClient
+    );
+  });
+
+  test("GET /companies/:code/totals - should return 404 if company not found", async () => {
+    getCompanyTotals.mockResolvedValueOnce([]);
+
+    const res = await api.get("/companies/nope/totals");
+
+    expect(res.statusCode).toBe(404);
+  });
+
+  describe("GET /companies/:code/statement", () => {
+    const statement = {
+      company: { code: "apple", name: "Apple", description: null },
+      currency: "USD",
+      from: "2024-01-01",
+      to: "2024-01-31",
+      opening_balance: "50.00",
+      events: [
+        {
+          date: "2024-01-05T00:00:00.000Z",
+          type: "invoice",
+          inv_id: 7,
+          payment_id: null,
+          amount: "100.00",
+          balance: "150.00",
+        },
+        {
+          date: "2024-01-20T00:00:00.000Z",
+          type: "payment",
+          inv_id: 7,
+          payment_id: 3,
+          amount: "-40.00",
+          balance: "110.00",
+        },
+      ],
+      closing_balance: "110.00",
+    };
+
+    test("should return the statement as JSON", async () => {
+      getCompanyStatement.mockResolvedValueOnce(statement);
+
+      const res = await api.get(
+        "/companies/apple/statement?from=2024-01-01&to=2024-01-31"
+      );
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({ statement });
+      expect(getCompanyStatement).toHaveBeenCalledWith(
+        "apple",
+        { from: "2024-01-01", to: "2024-01-31" },
+        mockDbClient
+      );
+    });
+
+    test("should return the statement as CSV", async () => {
+      getCompanyStatement.mockResolvedValueOnce(statement);
+
+      const res = await api
+        .get("/companies/apple/statement")
+        .set("Accept", "text/csv");
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers["content-type"]).toMatch(/^text\/csv/);
+      expect(res.headers["content-disposition"]).toBe(
+        'attachment; filename="apple-statement.csv"'
+      );
+      expect(res.text).toBe(
+        "date,type,inv_id,payment_id,amount,balance\r\n" +
+          "2024-01-01,opening_balance,,,,50.00\r\n" +
+          "2024-01-05,invoice,7,,100.00,150.00\r\n" +
+          "2024-01-20,payment,7,3,-40.00,110.00\r\n" +
+          "2024-01-31,closing_balance,,,,110.00\r\n"
+      );
+    });
+
+    test("should leave out the opening line of CSV without from", async () => {
+      getCompanyStatement.mockResolvedValueOnce({
+        ...statement,
+        from: null,
+        opening_balance: "0.00",
+      });
+
+      const res = await api
+        .get("/companies/apple/statement")
+        .set("Accept", "text/csv");
+
+      expect(res.statusCode).toBe(200);
+      expect(res.text).toBe(
+        "date,type,inv_id,payment_id,amount,balance\r\n" +
+          "2024-01-05,invoice,7,,100.00,150.00\r\n" +
+          "2024-01-20,payment,7,3,-40.00,110.00\r\n" +
+          "2024-01-31,closing_balance,,,,110.00\r\n"
+      );
+    });
+
+    test("should return 404 if company not found", async () => {
+      getCompanyStatement.mockResolvedValueOnce(undefined);
+
+      const res = await api.get("/companies/nope/statement");
+
+      expect(res.statusCode).toBe(404);
+    });
+
+    test("should return 406 for formats other than JSON and CSV", async () => {
+      getCompanyStatement.mockResolvedValueOnce(statement);
+
+      const res = await api
+        .get("/companies/apple/statement")
+        .set("Accept", "application/pdf");
+
+      expect(res.statusCode).toBe(406);
+    });
+
+    test("should return 400 for an invalid date", async () => {
+      const res = await api.get("/companies/apple/statement?from=January");
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error.errors[0].field).toBe("from");
+      expect(getCompanyStatement).not.toHaveBeenCalled();
+    });
+
+    test("should return 400 for a date not on the calendar", async () => {
+      const res = await api.get("/companies/apple/statement?to=2024-00-01");
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error.errors[0].field).toBe("to");
+      expect(getCompanyStatement).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("POST /companies/import", () => {
+    const csv =
+      "code,name,description,currency,payment_terms\n" +
+      "sap,SAP,,EUR,60\n" +
+      ",Café Crème,Coffee,,\n";
+
+    test("should add every row", async () => {
+      importRecords.mockImplementationOnce(insertAll);
+      createCompany
+        .mockResolvedValueOnce({ code: "sap" })
+        .mockResolvedValueOnce({ code: "cafe-creme" });
+
+      const res = await api
+        .post("/companies/import")
+        .set("Content-Type", "text/csv")
+        .send(csv);
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body).toEqual({
+        companies: [{ code: "sap" }, { code: "cafe-creme" }],
+      });
+      expect(importRecords).toHaveBeenCalledWith(
+        expect.any(Array),
+        expect.any(Function),
+        false,
+        mockDbClient
+      );
+      expect(createCompany.mock.calls).toEqual([
+        ["sap", "SAP", undefined, "EUR", 60, mockDbClient],
+        [
+          undefined,
+          "Café Crème",
+          "Coffee",
+          undefined,
+          undefined,
+          mockDbClient,
+        ],
+      ]);
+    });
+
+    test("should only check the rows on a dry run", async () => {
+      importRecords.mockImplementationOnce(insertAll);
+      createCompany
+        .mockResolvedValueOnce({ code: "sap" })
+        .mockResolvedValueOnce({ code: "cafe-creme" });
+
+      const res = await api
+        .post("/companies/import?dry_run=true")
+        .set("Content-Type", "text/csv")
+        .send(csv);
+
+      expect(res.statusCode).toBe(200);
+      expect(importRecords.mock.calls[0][2]).toBe(true);
+    });
+
+    test("should report invalid rows without importing any", async () => {
+      const res = await api
+        .post("/companies/import")
+        .set("Content-Type", "text/csv")
+        .send("name,payment_terms\nSAP,45\n");
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toEqual({
+        message: "Invalid rows",
+        status: 400,
+        errors: [
+          {
+            row: 2,
+            field: "payment_terms",
+            message: "is not one of enum values: 15,30,60",
+          },
+        ],
+      });
+      expect(importRecords).not.toHaveBeenCalled();
+    });
+
+    test("should report rows the database rejected", async () => {
+      importRecords.mockResolvedValueOnce({
+        created: [{ code: "sap" }],
+        failures: [
+          {
+            index: 1,
+            error: Object.assign(new Error("duplicate key"), {
+              code: "23505",
+              severity: "ERROR",
+              table: "companies",
+              detail: "Key (code)=(cafe-creme) already exists.",
+            }),
+          },
+        ],
+      });
+
+      const res = await api
+        .post("/companies/import")
+        .set("Content-Type", "text/csv")
+        .send(csv);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error.errors).toEqual([
+        { row: 3, field: "code", message: "is already taken" },
+      ]);
+    });
+
+    test("should return 415 for a body that isn't CSV", async () => {
+      const res = await api.post("/companies/import").send({ name: "SAP" });
+
+      expect(res.statusCode).toBe(415);
+    });
+  });
 });
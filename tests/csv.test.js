@@ -0,0 +1,70 @@
+import { parseCsv, parseCsvLines, toCsv } from "../utils/csv.js";
+
+describe("parseCsv", () => {
+  test("should key the records by the header", () => {
+    expect(parseCsv("date,currency,rate\n2024-01-02,EUR,0.9133\n")).toEqual([
+      { date: "2024-01-02", currency: "EUR", rate: "0.9133" },
+    ]);
+  });
+
+  test("should handle quoted fields and CRLF line endings", () => {
+    const text =
+      'code,name,description\r\napple,"Apple, Inc.","Says ""think\r\ndifferent"""\r\n\r\n';
+    expect(parseCsv(text)).toEqual([
+      {
+        code: "apple",
+        name: "Apple, Inc.",
+        description: 'Says "think\r\ndifferent"',
+      },
+    ]);
+  });
+
+  test("should keep empty fields", () => {
+    expect(parseCsv("code,description\nibm,\n")).toEqual([
+      { code: "ibm", description: "" },
+    ]);
+  });
+
+  test("should reject rows with the wrong number of fields", () => {
+    expect(() => parseCsv("a,b\n1,2\n3\n")).toThrow(
+      "Invalid CSV: row 3 has 1 fields instead of 2"
+    );
+  });
+
+  test("should reject unterminated quotes", () => {
+    expect(() => parseCsv('a\n"oops\n')).toThrow("unterminated quote");
+  });
+});
+
+describe("parseCsvLines", () => {
+  test("should give the line each record starts on", () => {
+    const text = 'code,description\r\n\r\nibm,"Big\r\nBlue"\r\nsap,\r\n';
+    expect(parseCsvLines(text)).toEqual([
+      { line: 3, record: { code: "ibm", description: "Big\r\nBlue" } },
+      { line: 5, record: { code: "sap", description: "" } },
+    ]);
+  });
+
+  test("should name rows with the wrong number of fields by their line", () => {
+    expect(() => parseCsvLines("a,b\n\n1,2\n\n3\n")).toThrow(
+      "Invalid CSV: row 5 has 1 fields instead of 2"
+    );
+  });
+});
+
+describe("toCsv", () => {
+  test("should write a header and quote fields where needed", () => {
+    const records = [
+      { code: "apple", name: "Apple, Inc.", description: 'Says "hi"' },
+      { code: "ibm", name: "IBM", description: null },
+    ];
+    expect(toCsv(records, ["code", "name", "description"])).toBe(
+      'code,name,description\r\napple,"Apple, Inc.","Says ""hi"""\r\nibm,IBM,\r\n'
+    );
+  });
+
+  test("should be read back by parseCsv", () => {
+    const records = [{ code: "apple", description: "one\ntwo" }];
+    expect(parseCsv(toCsv(records, ["code", "description"]))).toEqual(records);
+  });
+});
@@ -0,0 +1,117 @@
+import { importError, parseCsvImport } from "../utils/csvImport.js";
+
+const schema = {
+  type: "object",
+  properties: {
+    name: { type: "string", minLength: 1 },
+    amt: { type: ["number", "string"] },
+    paid: { type: "boolean" },
+    payment_terms: { type: "integer", enum: [15, 30, 60] },
+  },
+  required: ["name"],
+  additionalProperties: false,
+};
+
+describe("parseCsvImport", () => {
+  test("should convert the fields to the types of the schema", () => {
+    const csv = "name,amt,paid,payment_terms\nIBM,10.50,TRUE,60\nSAP,1,,\n";
+    expect(parseCsvImport(csv, schema)).toEqual({
+      records: [
+        { name: "IBM", amt: "10.50", paid: true, payment_terms: 60 },
+        { name: "SAP", amt: "1" },
+      ],
+      lines: [2, 3],
+    });
+  });
+
+  test("should report the errors of every row", () => {
+    const csv = "name,paid,payment_terms\nIBM,yes,60\n,false,45\n";
+    expect(() => parseCsvImport(csv, schema)).toThrow(
+      expect.objectContaining({
+        status: 400,
+        errors: [
+          { row: 2, field: "paid", message: "is not of a type(s) boolean" },
+          {
+            row: 3,
+            field: "payment_terms",
+            message: "is not one of enum values: 15,30,60",
+          },
+          { row: 3, field: "name", message: 'requires property "name"' },
+        ],
+      })
+    );
+  });
+
+  test("should number rows by their line, past blank lines and line breaks", () => {
+    const csv = 'name,paid\n\n"International\nBusiness",yes\n\nSAP,maybe\n';
+    expect(() => parseCsvImport(csv, schema)).toThrow(
+      expect.objectContaining({
+        errors: [
+          expect.objectContaining({ row: 3, field: "paid" }),
+          expect.objectContaining({ row: 6, field: "paid" }),
+        ],
+      })
+    );
+  });
+
+  test("should reject unknown columns", () => {
+    expect(() => parseCsvImport("name,color\nIBM,blue\n", schema)).toThrow(
+      expect.objectContaining({
+        errors: [expect.objectContaining({ row: 2, field: "color" })],
+      })
+    );
+  });
+
+  test("should reject a CSV without rows", () => {
+    expect(() => parseCsvImport("name\n", schema)).toThrow(
+      "The CSV has no rows"
+    );
+  });
+
+  test("should reject a body that isn't CSV", () => {
+    expect(() => parseCsvImport({}, schema)).toThrow(
+      expect.objectContaining({ status: 415 })
+    );
+  });
+});
+
+describe("importError", () => {
+  test("should list the errors of the failed rows", () => {
+    const duplicate = Object.assign(new Error("duplicate key"), {
+      code: "23505",
+      severity: "ERROR",
+      table: "companies",
+      detail: "Key (name)=(IBM) already exists.",
+    });
+    const invalid = Object.assign(new Error("Invalid fields: code"), {
+      status: 400,
+      errors: [{ field: "code", message: "must be a slug" }],
+    });
+
+    const err = importError(
+      {
+        records: [{ name: "IBM" }, { name: "SAP" }, { name: "HP" }],
+        lines: [2, 4, 7],
+      },
+      [
+        { index: 0, error: duplicate },
+        { index: 2, error: invalid },
+      ]
+    );
+    expect(err).toMatchObject({
+      message: "Invalid rows",
+      status: 400,
+      errors: [
+        { row: 2, field: "name", message: "is already taken" },
+        { row: 7, field: "code", message: "must be a slug" },
+      ],
+    });
+  });
+
+  test("should rethrow errors that aren't the fault of a row", () => {
+    const lost = new Error("Connection terminated");
+    expect(() =>
+      importError({ records: [{}], lines: [2] }, [{ index: 0, error: lost }])
+    ).toThrow(lost);
+  });
+});
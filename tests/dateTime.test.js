@@ -0,0 +1,39 @@
+import { getCalendarDate, isCalendarDate } from "../utils/dateTime.js";
+
+describe("isCalendarDate", () => {
+  it("should accept dates on the calendar", () => {
+    expect(isCalendarDate("2024-06-30")).toBe(true);
+    expect(isCalendarDate("2024-02-29")).toBe(true);
+  });
+
+  it("should reject dates that aren't on the calendar", () => {
+    expect(isCalendarDate("2024-00-10")).toBe(false);
+    expect(isCalendarDate("2024-13-01")).toBe(false);
+    expect(isCalendarDate("2030-02-31")).toBe(false);
+    expect(isCalendarDate("2023-02-29")).toBe(false);
+  });
+
+  it("should reject anything but YYYY-MM-DD", () => {
+    expect(isCalendarDate("2024-6-30")).toBe(false);
+    expect(isCalendarDate("2024-06-30T00:00:00Z")).toBe(false);
+    expect(isCalendarDate("June 30, 2024")).toBe(false);
+    expect(isCalendarDate(null)).toBe(false);
+  });
+});
+
+describe("getCalendarDate", () => {
+  it("should return YYYY-MM-DD strings as they are", () => {
+    expect(getCalendarDate("2024-06-30")).toBe("2024-06-30");
+  });
+
+  it("should format dates and timestamps", () => {
+    expect(getCalendarDate(new Date("2024-06-30T12:00:00Z"))).toBe(
+      "2024-06-30"
+    );
+    expect(getCalendarDate(Date.UTC(2024, 5, 30))).toBe("2024-06-30");
+  });
+
+  it("should throw for dates that aren't on the calendar", () => {
+    expect(() => getCalendarDate("2024-00-10")).toThrow(RangeError);
+  });
+});
@@ -9,18 +9,48 @@ interactions using jest mocks.
 */
 
 import { Pool } from "pg";
+import { loadConfig } from "../config.js";
 import {
+  addCompanyToIndustry,
+  createApiKey,
   createCompany,
+  createIndustry,
   createInvoice,
+  createInvoiceLine,
+  createLazyTransaction,
+  createPayment,
+  createPool,
   deleteCompany,
   deleteInvoice,
+  deleteInvoiceLine,
+  findApiKey,
+  findIdempotencyKey,
   getAllCompanies,
+  getAllIndustries,
+  getAllInvoices,
+  getAuditLog,
   getCompany,
+  getCompanyIndustries,
+  getCompanyStatement,
+  getAgingReport,
+  getCompanyTotals,
+  getDueInvoices,
   getInvoice,
+  getInvoicePayments,
   getLatestInvoice,
   getPaidInvoices,
+  importRecords,
+  purgeDeleted,
+  restoreInvoice,
+  saveIdempotencyKey,
+  updateCompany,
+  updateInvoice,
   updateInvoiceAmt,
+  updateInvoiceLine,
+  updateInvoicePaidStatus,
 } from "../db.js";
+import { hashApiKey } from "../utils/apiKeys.js";
+import { getCalendarDate } from "../utils/dateTime.js";
 
 jest.mock("pg", () => {
   const mClient = {
@@ -61,6 +91,8 @@ describe("Mocked Database Tests", () => {
       "c1",
       "Company1",
       "Description1",
+      undefined,
+      undefined,
       client
     );
     expect(result).toEqual(newCompany);
@@ -88,6 +120,7 @@ describe("Mocked Database Tests", () => {
       false,
       new Date("2024-05-20"),
       null,
+      undefined,
       client
     );
     expect(result).toEqual(invoiceData);
@@ -105,7 +138,9 @@ describe("Mocked Database Tests", () => {
       add_date: "2024-05-20",
       paid_date: null,
     };
-    client.query.mockResolvedValueOnce({ rows: [updatedInvoice] });
+    client.query
+      .mockResolvedValueOnce({ rows: [{ paid: false, has_lines: false }] })
+      .mockResolvedValueOnce({ rows: [updatedInvoice] });
 
     const result = await updateInvoiceAmt(1, 2000, client);
     expect(result).toEqual(updatedInvoice);
@@ -188,4 +223,1176 @@ describe("Mocked Database Tests", () => {
     const result = await getPaidInvoices(client);
     expect(result).toEqual(paidInvoices);
   });
+
+  it("should create an industry and associate a company", async () => {
+    const newIndustry = { code: "tech", industry: "Technology" };
+    const association = { comp_code: "c1", ind_code: "tech" };
+    client.query
+      .mockResolvedValueOnce({ rows: [newIndustry] })
+      .mockResolvedValueOnce({ rows: [association] });
+
+    const industry = await createIndustry("tech", "Technology", client);
+    expect(industry).toEqual(newIndustry);
+
+    const result = await addCompanyToIndustry("tech", "c1", client);
+    expect(result).toEqual(association);
+    expect(client.query).toHaveBeenLastCalledWith(expect.any(String), [
+      "c1",
+      "tech",
+    ]);
+  });
+
+  it("should get all industries with their company codes", async () => {
+    const industries = [
+      { code: "tech", industry: "Technology", companies: ["c1", "c2"] },
+    ];
+    client.query.mockResolvedValueOnce({ rows: industries });
+
+    const result = await getAllIndustries(client);
+    expect(result).toEqual(industries);
+  });
+
+  it("should get the industries of a company", async () => {
+    const industries = [{ code: "tech", industry: "Technology" }];
+    client.query.mockResolvedValueOnce({ rows: industries });
+
+    const result = await getCompanyIndustries("c1", client);
+    expect(result).toEqual(industries);
+    expect(client.query).toHaveBeenCalledWith(expect.any(String), ["c1"]);
+  });
+
+  it("should update only the whitelisted columns of an invoice", async () => {
+    const updatedInvoice = { id: 1, comp_code: "c1", amt: 250, paid: true };
+    client.query
+      .mockResolvedValueOnce({
+        rows: [
+          { paid: true, paid_date: "2024-05-21", add_date: "2024-05-20" },
+        ],
+      })
+      .mockResolvedValueOnce({ rows: [updatedInvoice] });
+
+    const result = await updateInvoice(
+      1,
+      { amt: "250", paid: "true" },
+      client
+    );
+    expect(result).toEqual(updatedInvoice);
+    expect(client.query).toHaveBeenLastCalledWith(
+      expect.stringContaining('SET "amt" = $1, "paid" = $2'),
+      ["250", true, 1]
+    );
+  });
+
+  it("should reject unknown, forbidden and badly typed invoice fields", async () => {
+    await expect(
+      updateInvoice(
+        1,
+        { id: 2, comp_code: "c2", "amt = 0; --": 1, paid: "maybe" },
+        client
+      )
+    ).rejects.toMatchObject({
+      status: 400,
+      errors: [
+        { field: "id", message: "cannot be updated" },
+        { field: "comp_code", message: "cannot be updated" },
+        { field: "amt = 0; --", message: "is not a known field" },
+        { field: "paid", message: "must be a boolean" },
+      ],
+    });
+    expect(client.query).not.toHaveBeenCalled();
+  });
+
+  it("should partially update a company", async () => {
+    const updatedCompany = {
+      code: "c1",
+      name: "Company1",
+      description: "New description",
+    };
+    client.query.mockResolvedValueOnce({ rows: [updatedCompany] });
+
+    const result = await updateCompany(
+      "c1",
+      { description: "New description" },
+      client
+    );
+    expect(result).toEqual(updatedCompany);
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining('SET "description" = $1'),
+      ["New description", "c1"]
+    );
+  });
+
+  describe("paid state", () => {
+    const unpaidInvoice = {
+      paid: false,
+      paid_date: null,
+      add_date: "2024-05-20",
+    };
+    const paidInvoice = {
+      paid: true,
+      paid_date: "2024-05-21",
+      add_date: "2024-05-20",
+    };
+
+    it("should stamp today's date when paying an unpaid invoice", async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [unpaidInvoice] })
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] });
+
+      await updateInvoice(1, { paid: true }, client);
+      expect(client.query).toHaveBeenLastCalledWith(
+        expect.stringContaining('SET "paid" = $1, "paid_date" = $2'),
+        [true, getCalendarDate(Date.now()), 1]
+      );
+    });
+
+    it("should clear the paid date when un-paying an invoice", async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [paidInvoice] })
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] });
+
+      await updateInvoicePaidStatus(1, false, null, client);
+      expect(client.query).toHaveBeenLastCalledWith(expect.any(String), [
+        false,
+        null,
+        1,
+      ]);
+    });
+
+    it("should keep the original date when re-paying a paid invoice", async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [paidInvoice] })
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] });
+
+      await updateInvoice(1, { paid: true }, client);
+      expect(client.query).toHaveBeenLastCalledWith(
+        expect.not.stringContaining("paid_date"),
+        [true, 1]
+      );
+    });
+
+    it("should accept an explicit paid date for backdating", async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [unpaidInvoice] })
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] });
+
+      await updateInvoice(1, { paid: true, paid_date: "2024-05-20" }, client);
+      expect(client.query).toHaveBeenLastCalledWith(expect.any(String), [
+        true,
+        "2024-05-20",
+        1,
+      ]);
+    });
+
+    it("should reject a paid date before the add date", async () => {
+      client.query.mockResolvedValueOnce({ rows: [unpaidInvoice] });
+
+      await expect(
+        updateInvoice(1, { paid: true, paid_date: "2024-05-19" }, client)
+      ).rejects.toMatchObject({
+        status: 400,
+        errors: [{ field: "paid_date", message: "cannot be before add_date" }],
+      });
+      expect(client.query).toHaveBeenCalledTimes(1);
+    });
+
+    it("should reject a paid date that isn't on the calendar", async () => {
+      await expect(
+        updateInvoice(1, { paid: true, paid_date: "2030-02-31" }, client)
+      ).rejects.toMatchObject({
+        status: 400,
+        errors: [{ field: "paid_date", message: "must be a date or null" }],
+      });
+      expect(client.query).not.toHaveBeenCalled();
+    });
+
+    it("should refuse to un-pay an invoice its payments cover", async () => {
+      client.query.mockResolvedValueOnce({
+        rows: [{ ...paidInvoice, amt: "100.00", amt_paid: "100.00" }],
+      });
+
+      await expect(
+        updateInvoice(1, { paid: false }, client)
+      ).rejects.toMatchObject({
+        status: 400,
+        errors: [
+          {
+            field: "paid",
+            message: "cannot be false while payments cover the amount",
+          },
+        ],
+      });
+      expect(client.query).toHaveBeenCalledTimes(1);
+    });
+
+    it("should derive the paid state from the payments on a new amount", async () => {
+      client.query
+        .mockResolvedValueOnce({
+          rows: [{ ...paidInvoice, amt: "100.00", amt_paid: "100.00" }],
+        })
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] });
+
+      await updateInvoice(1, { amt: 150 }, client);
+      expect(client.query).toHaveBeenLastCalledWith(
+        expect.stringContaining("THEN amt_paid >= $2::numeric"),
+        ["150", "150", 1]
+      );
+    });
+
+    it("should return undefined if the invoice does not exist", async () => {
+      client.query.mockResolvedValueOnce({ rows: [] });
+
+      const result = await updateInvoice(1, { paid: true }, client);
+      expect(result).toBeUndefined();
+    });
+  });
+
+  describe("company codes", () => {
+    it("should derive the code from the name", async () => {
+      const newCompany = { code: "cafe-creme", name: "Café Crème!" };
+      client.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [newCompany] });
+
+      const result = await createCompany(
+        undefined,
+        "Café Crème!",
+        null,
+        undefined,
+        undefined,
+        client
+      );
+      expect(result).toEqual(newCompany);
+      expect(client.query).toHaveBeenLastCalledWith(expect.any(String), [
+        "cafe-creme",
+        "Café Crème!",
+        null,
+        "USD",
+        30,
+      ]);
+    });
+
+    it("should add a numeric suffix when the slug is taken", async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({
+          rows: [{ code: "apple" }, { code: "apple-2" }, { code: "apple-4" }],
+        })
+        .mockResolvedValueOnce({ rows: [{ code: "apple-3" }] });
+
+      await createCompany(null, "Apple", null, undefined, undefined, client);
+      expect(client.query).toHaveBeenLastCalledWith(expect.any(String), [
+        "apple-3",
+        "Apple",
+        null,
+        "USD",
+        30,
+      ]);
+    });
+
+    it("should normalize a supplied code", async () => {
+      client.query.mockResolvedValueOnce({ rows: [{ code: "ibm" }] });
+
+      await createCompany(" IBM ", "IBM", null, undefined, undefined, client);
+      expect(client.query).toHaveBeenCalledTimes(1);
+      expect(client.query).toHaveBeenCalledWith(expect.any(String), [
+        "ibm",
+        "IBM",
+        null,
+        "USD",
+        30,
+      ]);
+    });
+
+    it("should reject a supplied code that isn't a valid slug", async () => {
+      await expect(
+        createCompany("big blue!", "IBM", null, undefined, undefined, client)
+      ).rejects.toMatchObject({ status: 400, errors: [{ field: "code" }] });
+      expect(client.query).not.toHaveBeenCalled();
+    });
+
+    it("should reject a name without letters or digits", async () => {
+      await expect(
+        createCompany(undefined, "!!!", null, undefined, undefined, client)
+      ).rejects.toMatchObject({ status: 400, errors: [{ field: "name" }] });
+    });
+  });
+
+  describe("list queries", () => {
+    it("should filter and page invoices with bound parameters", async () => {
+      client.query.mockResolvedValueOnce({ rows: [] });
+
+      await getAllInvoices(client, {
+        filters: { comp_code: "c1", paid: "false", min_amt: "100" },
+        sort: "-amt",
+        cursor: [500, 3],
+        limit: 11,
+      });
+      const [query, values] = client.query.mock.calls[0];
+      expect(query).toContain(
+        'comp_code = $1 AND paid = $2 AND amt >= $3 AND ("amt", "id") < ($4, $5)'
+      );
+      expect(query).toContain('ORDER BY "amt" DESC, "id" DESC');
+      expect(query).toContain("LIMIT $6");
+      expect(values).toEqual(["c1", false, "100", 500, 3, 11]);
+    });
+
+    it("should reject amount filters with more than 2 decimals", async () => {
+      await expect(
+        getAllInvoices(client, { filters: { min_amt: "0.001" } })
+      ).rejects.toMatchObject({ status: 400, errors: [{ field: "min_amt" }] });
+      expect(client.query).not.toHaveBeenCalled();
+    });
+
+    it("should reject sorting on a column that isn't whitelisted", async () => {
+      await expect(
+        getAllInvoices(client, { sort: "paid_date; DROP TABLE invoices" })
+      ).rejects.toMatchObject({ status: 400, errors: [{ field: "sort" }] });
+      expect(client.query).not.toHaveBeenCalled();
+    });
+
+    it("should escape wildcards in the company name filter", async () => {
+      client.query.mockResolvedValueOnce({ rows: [] });
+
+      await getAllCompanies(client, { filters: { name: "50%_off" } });
+      expect(client.query).toHaveBeenCalledWith(
+        expect.stringContaining("name ILIKE '%' || $1 || '%'"),
+        ["50\\%\\_off"]
+      );
+    });
+  });
+
+  describe("lazy transactions", () => {
+    afterEach(() => {
+      client.query.mockReset();
+    });
+
+    it("should not check out a client until the first query", async () => {
+      const transaction = createLazyTransaction();
+      expect(transaction.acquired).toBe(false);
+      expect(pool.connect).not.toHaveBeenCalled();
+
+      await transaction.finish(true);
+      expect(pool.connect).not.toHaveBeenCalled();
+      expect(client.query).not.toHaveBeenCalled();
+    });
+
+    it("should begin once and commit and release when finished", async () => {
+      client.query.mockResolvedValue({ rows: [] });
+      const transaction = createLazyTransaction();
+
+      await getAllCompanies(transaction);
+      await getAllInvoices(transaction);
+      expect(transaction.acquired).toBe(true);
+      expect(pool.connect).toHaveBeenCalledTimes(1);
+
+      await transaction.finish(true);
+      const statements = client.query.mock.calls.map(([query]) => query);
+      expect(statements[0]).toBe("BEGIN");
+      expect(statements[statements.length - 1]).toBe("COMMIT");
+      expect(client.release).toHaveBeenCalledWith();
+    });
+
+    it("should begin read-only transactions and roll them back", async () => {
+      client.query.mockResolvedValue({ rows: [] });
+      const transaction = createLazyTransaction({ readOnly: true });
+
+      await getAllCompanies(transaction);
+      await transaction.finish(false);
+      const statements = client.query.mock.calls.map(([query]) => query);
+      expect(statements[0]).toBe("BEGIN READ ONLY");
+      expect(statements[statements.length - 1]).toBe("ROLLBACK");
+    });
+
+    it("should record who the changes are made by", async () => {
+      client.query.mockResolvedValue({ rows: [] });
+      const transaction = createLazyTransaction({ actor: "books" });
+
+      await getAllCompanies(transaction);
+      expect(client.query.mock.calls[0]).toEqual(["BEGIN"]);
+      expect(client.query.mock.calls[1]).toEqual([
+        "SELECT set_config('biztime.actor', $1, true)",
+        ["books"],
+      ]);
+    });
+
+    it("should discard the client when the commit fails", async () => {
+      const commitError = new Error("connection lost");
+      client.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [] })
+        .mockRejectedValueOnce(commitError);
+      const transaction = createLazyTransaction();
+
+      await getAllCompanies(transaction);
+      await expect(transaction.finish(true)).rejects.toBe(commitError);
+      expect(client.release).toHaveBeenCalledWith(commitError);
+    });
+  });
+
+  describe("payments", () => {
+    const openInvoice = { paid: false, add_date: "2024-05-20", balance: 100 };
+
+    it("should record a partial payment", async () => {
+      const payment = { id: 1, inv_id: 1, amt: 40, paid_on: "2024-05-21" };
+      const invoice = { id: 1, amt: 100, paid: false, amt_paid: 40 };
+      client.query
+        .mockResolvedValueOnce({ rows: [openInvoice] })
+        .mockResolvedValueOnce({ rows: [payment] })
+        .mockResolvedValueOnce({ rows: [invoice] });
+
+      const result = await createPayment(1, 40, "2024-05-21", client);
+      expect(result).toEqual({ payment, invoice });
+      expect(client.query).toHaveBeenCalledWith(
+        expect.stringContaining("INSERT INTO payments"),
+        [1, "40", "2024-05-21"]
+      );
+      expect(client.query).toHaveBeenLastCalledWith(
+        expect.stringContaining("paid = amt_paid + $2 >= amt"),
+        [1, "40"]
+      );
+    });
+
+    it("should reject an overpayment", async () => {
+      client.query.mockResolvedValueOnce({
+        rows: [{ ...openInvoice, exceeds_balance: true }],
+      });
+
+      await expect(
+        createPayment(1, 100.01, "2024-05-21", client)
+      ).rejects.toMatchObject({
+        status: 400,
+        errors: [
+          { field: "amt", message: "exceeds the outstanding balance of 100" },
+        ],
+      });
+      expect(client.query.mock.calls[0][1]).toEqual([1, "100.01"]);
+    });
+
+    it("should reject amounts with more than 2 decimals", async () => {
+      await expect(
+        createPayment(1, 10.005, "2024-05-21", client)
+      ).rejects.toMatchObject({
+        status: 400,
+        errors: [
+          {
+            field: "amt",
+            message: "must be an amount with at most 2 decimals",
+          },
+        ],
+      });
+      expect(client.query).not.toHaveBeenCalled();
+    });
+
+    it("should reject payments on paid invoices or before the add date", async () => {
+      client.query.mockResolvedValueOnce({
+        rows: [{ ...openInvoice, paid: true, balance: 0 }],
+      });
+      await expect(
+        createPayment(1, 10, "2024-05-21", client)
+      ).rejects.toMatchObject({
+        status: 400,
+        message: "Invoice is already paid",
+      });
+
+      client.query.mockResolvedValueOnce({ rows: [openInvoice] });
+      await expect(
+        createPayment(1, 10, "2024-05-19", client)
+      ).rejects.toMatchObject({ status: 400, errors: [{ field: "paid_on" }] });
+    });
+
+    it("should return undefined for a missing invoice", async () => {
+      client.query.mockResolvedValueOnce({ rows: [] });
+
+      expect(await createPayment(1, 10, undefined, client)).toBeUndefined();
+    });
+
+    it("should list the payments of an invoice", async () => {
+      const payments = [{ id: 1, inv_id: 1, amt: 40, paid_on: "2024-05-21" }];
+      client.query.mockResolvedValueOnce({ rows: payments });
+
+      expect(await getInvoicePayments(1, client)).toEqual(payments);
+    });
+  });
+
+  describe("invoice lines", () => {
+    const invoice = { id: 1, comp_code: "c1", amt: 120 };
+
+    it("should create an invoice from its lines", async () => {
+      const lines = [
+        { description: "Hours", quantity: 2, unit_price: 50 },
+        { description: "Travel", quantity: 1, unit_price: 30, discount: 10 },
+      ];
+      const lineRows = lines.map((line, i) => ({ id: i + 1, ...line }));
+      client.query
+        .mockResolvedValueOnce({ rows: [{ amt: "120.00" }] })
+        .mockResolvedValueOnce({ rows: [invoice] })
+        .mockResolvedValueOnce({ rows: lineRows });
+
+      const result = await createInvoice(
+        "c1",
+        lines,
+        undefined,
+        undefined,
+        undefined,
+        undefined,
+        client
+      );
+      expect(result).toEqual({ ...invoice, lines: lineRows });
+
+      // The total is computed by PostgreSQL from the exact amounts
+      const linesJson = JSON.stringify([
+        { description: "Hours", quantity: 2, unit_price: "50" },
+        {
+          description: "Travel",
+          quantity: 1,
+          unit_price: "30",
+          discount: "10",
+        },
+      ]);
+      expect(client.query.mock.calls[0][0]).toContain("SUM(round(");
+      expect(client.query.mock.calls[0][1]).toEqual([linesJson]);
+      expect(client.query.mock.calls[1][1][1]).toBe("120.00");
+      expect(client.query.mock.calls[2][1]).toEqual([1, linesJson]);
+    });
+
+    it("should add a line and update the invoice amount", async () => {
+      const line = { id: 3, inv_id: 1, description: "Fee", total: 20 };
+      client.query
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({ rows: [line] })
+        .mockResolvedValueOnce({ rows: [invoice] });
+
+      const result = await createInvoiceLine(
+        1,
+        { description: "Fee", quantity: 1, unit_price: 20 },
+        client
+      );
+      expect(result).toEqual({ line, invoice });
+      expect(client.query.mock.calls[0][0]).toContain("FOR UPDATE");
+      expect(client.query.mock.calls[1][1]).toEqual([1, "Fee", 1, "20", "0"]);
+    });
+
+    it("should return undefined for a line of a missing invoice", async () => {
+      client.query.mockResolvedValueOnce({ rows: [] });
+
+      expect(
+        await createInvoiceLine(
+          1,
+          { description: "Fee", quantity: 1, unit_price: 20 },
+          client
+        )
+      ).toBeUndefined();
+      expect(client.query).toHaveBeenCalledTimes(1);
+    });
+
+    it("should update a line of the invoice only", async () => {
+      const line = { id: 3, inv_id: 1, quantity: 4, total: 80 };
+      client.query
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({ rows: [line] })
+        .mockResolvedValueOnce({ rows: [invoice] });
+
+      const result = await updateInvoiceLine(1, 3, { quantity: 4 }, client);
+      expect(result).toEqual({ line, invoice });
+      expect(client.query.mock.calls[1][0]).toContain(
+        "WHERE id = $2 AND inv_id = $3"
+      );
+      expect(client.query.mock.calls[1][1]).toEqual([4, 3, 1]);
+    });
+
+    it("should refuse to delete the last line of an invoice", async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 3, inv_id: 1 }] })
+        .mockResolvedValueOnce({ rows: [{ count: "0" }] });
+
+      await expect(deleteInvoiceLine(1, 3, client)).rejects.toMatchObject({
+        status: 400,
+        message: "An invoice needs at least one line",
+      });
+    });
+
+    it("should refuse to set the amount of an invoice with lines", async () => {
+      client.query.mockResolvedValueOnce({
+        rows: [{ paid: false, paid_date: null, has_lines: true }],
+      });
+
+      await expect(
+        updateInvoice(1, { amt: 500 }, client)
+      ).rejects.toMatchObject({
+        status: 400,
+        errors: [
+          { field: "amt", message: "is derived from the invoice lines" },
+        ],
+      });
+      expect(client.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("currencies", () => {
+    it("should create a company with a currency", async () => {
+      client.query.mockResolvedValueOnce({ rows: [{ code: "sap" }] });
+
+      await createCompany("sap", "SAP", null, " eur ", undefined, client);
+      expect(client.query).toHaveBeenCalledWith(expect.any(String), [
+        "sap",
+        "SAP",
+        null,
+        "EUR",
+        30,
+      ]);
+    });
+
+    it("should reject unknown currency codes", async () => {
+      await expect(
+        createCompany("sap", "SAP", null, "XYZ", undefined, client)
+      ).rejects.toMatchObject({
+        status: 400,
+        errors: [
+          { field: "currency", message: "must be an ISO 4217 currency code" },
+        ],
+      });
+      expect(client.query).not.toHaveBeenCalled();
+    });
+
+    it("should default invoices to the currency of their company", async () => {
+      client.query.mockResolvedValueOnce({ rows: [{ id: 1 }] });
+
+      await createInvoice(
+        "c1",
+        100,
+        false,
+        "2024-05-20",
+        null,
+        undefined,
+        client
+      );
+      const [query, values] = client.query.mock.calls[0];
+      expect(query).toContain(
+        "COALESCE($6, (SELECT currency FROM companies WHERE code = $1), $7)"
+      );
+      expect(values.slice(5, 7)).toEqual([null, "USD"]);
+    });
+
+    it("should total the invoices of companies in a currency", async () => {
+      const totals = [{ comp_code: "c1", currency: "EUR", total: "90.00" }];
+      client.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: totals });
+
+      expect(await getCompanyTotals("eur", null, client)).toEqual(totals);
+      expect(client.query.mock.calls[1][1]).toEqual(["EUR", null]);
+    });
+
+    it("should name the missing exchange rates", async () => {
+      client.query.mockResolvedValueOnce({
+        rows: [{ currency: "GBP", add_date: new Date("2018-01-01") }],
+      });
+
+      await expect(
+        getCompanyTotals("GBP", "c1", client)
+      ).rejects.toMatchObject({
+        status: 422,
+        errors: [
+          {
+            field: "currency",
+            message: "no GBP rate on or before 2018-01-01",
+          },
+        ],
+      });
+      expect(client.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("due dates", () => {
+    it("should create a company with payment terms", async () => {
+      client.query.mockResolvedValueOnce({ rows: [{ code: "sap" }] });
+
+      await createCompany("sap", "SAP", null, undefined, "60", client);
+      expect(client.query).toHaveBeenCalledWith(expect.any(String), [
+        "sap",
+        "SAP",
+        null,
+        "USD",
+        60,
+      ]);
+    });
+
+    it("should reject unsupported payment terms", async () => {
+      await expect(
+        createCompany("sap", "SAP", null, undefined, 45, client)
+      ).rejects.toMatchObject({
+        status: 400,
+        errors: [
+          { field: "payment_terms", message: "must be one of 15, 30, 60" },
+        ],
+      });
+      expect(client.query).not.toHaveBeenCalled();
+    });
+
+    it("should create invoices with the rules of the paid state", async () => {
+      client.query.mockResolvedValueOnce({ rows: [{ id: 1 }] });
+
+      await createInvoice("c1", 100, true, "2024-05-20", null, null, client);
+      expect(client.query.mock.calls[0][1].slice(2, 5)).toEqual([
+        true,
+        "2024-05-20",
+        getCalendarDate(Date.now()),
+      ]);
+
+      await expect(
+        createInvoice(
+          "c1",
+          100,
+          true,
+          "2024-05-20",
+          "2024-05-19",
+          null,
+          client
+        )
+      ).rejects.toMatchObject({
+        status: 400,
+        errors: [{ field: "paid_date", message: "cannot be before add_date" }],
+      });
+      await expect(
+        createInvoice(
+          "c1",
+          100,
+          false,
+          "2024-05-20",
+          "2024-05-21",
+          null,
+          client
+        )
+      ).rejects.toMatchObject({
+        status: 400,
+        errors: [
+          {
+            field: "paid_date",
+            message: "cannot be set on an unpaid invoice",
+          },
+        ],
+      });
+      expect(client.query).toHaveBeenCalledTimes(1);
+    });
+
+    it("should set the due date from the company's payment terms", async () => {
+      client.query.mockResolvedValueOnce({ rows: [{ id: 1 }] });
+
+      await createInvoice(
+        "c1",
+        100,
+        false,
+        "2024-05-20",
+        null,
+        undefined,
+        client
+      );
+      const [query, values] = client.query.mock.calls[0];
+      expect(query).toContain(
+        "(SELECT payment_terms FROM companies WHERE code = $1), $8"
+      );
+      expect(values[3]).toBe("2024-05-20");
+      expect(values[7]).toBe(30);
+    });
+
+    it("should list unpaid invoices past their due date as overdue", async () => {
+      client.query.mockResolvedValueOnce({ rows: [] });
+
+      await getDueInvoices(client, { limit: 26 });
+      const [query, values] = client.query.mock.calls[0];
+      expect(query).toContain("paid = false AND due_date < CURRENT_DATE");
+      expect(query).toContain("deleted_at IS NULL");
+      expect(values).toEqual([26]);
+    });
+
+    it("should bucket outstanding balances per company and overall", async () => {
+      const buckets = {
+        current: "100.00",
+        days_1_30: "150.00",
+        days_31_60: "0",
+        days_61_90: "0",
+        days_over_90: "0",
+      };
+      client.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({
+        rows: [
+          { comp_code: "apple", ...buckets, total: "250.00" },
+          { comp_code: null, ...buckets, total: "250.00" },
+        ],
+      });
+
+      const aging = await getAgingReport("usd", "2024-06-30", client);
+      expect(aging).toEqual({
+        currency: "USD",
+        as_of: "2024-06-30",
+        companies: [{ comp_code: "apple", ...buckets, total: "250.00" }],
+        overall: { ...buckets, total: "250.00" },
+      });
+      const [query, values] = client.query.mock.calls[1];
+      expect(query).toContain("GROUPING SETS ((i.comp_code), ())");
+      expect(query).toContain("p.paid_on <= $2");
+      expect(values).toEqual(["USD", "2024-06-30"]);
+    });
+  });
+
+  describe("statements", () => {
+    const company = {
+      code: "c1",
+      name: "Company1",
+      description: null,
+      currency: "EUR",
+    };
+
+    it("should build the statement in the company's currency", async () => {
+      const events = [
+        { type: "invoice", amount: "100.00", balance: "150.00" },
+      ];
+      client.query
+        .mockResolvedValueOnce({ rows: [company] })
+        .mockResolvedValueOnce({
+          rows: [{ opening_balance: "50.00", closing_balance: "150.00" }],
+        })
+        .mockResolvedValueOnce({ rows: events });
+
+      const statement = await getCompanyStatement(
+        "c1",
+        { from: "2024-01-01", to: "2024-01-31" },
+        client
+      );
+      expect(statement).toEqual({
+        company: { code: "c1", name: "Company1", description: null },
+        currency: "EUR",
+        from: "2024-01-01",
+        to: "2024-01-31",
+        opening_balance: "50.00",
+        events,
+        closing_balance: "150.00",
+      });
+      expect(client.query.mock.calls[2][1]).toEqual([
+        "c1",
+        "EUR",
+        "2024-01-01",
+        "2024-01-31",
+      ]);
+    });
+
+    it("should run until today without a from date", async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [company] })
+        .mockResolvedValueOnce({
+          rows: [{ opening_balance: "0.00", closing_balance: "0.00" }],
+        })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const statement = await getCompanyStatement(
+        "c1",
+        { currency: "usd" },
+        client
+      );
+      expect(client.query.mock.calls[1][1]).toEqual([
+        "c1",
+        "USD",
+        null,
+        getCalendarDate(Date.now()),
+      ]);
+      expect(statement).toMatchObject({ from: null, events: [] });
+    });
+
+    it("should return undefined for a missing company", async () => {
+      client.query.mockResolvedValueOnce({ rows: [] });
+
+      expect(await getCompanyStatement("nope", {}, client)).toBeUndefined();
+      expect(client.query).toHaveBeenCalledTimes(1);
+    });
+
+    it("should reject a from date after the to date", async () => {
+      client.query.mockResolvedValueOnce({ rows: [company] });
+
+      await expect(
+        getCompanyStatement(
+          "c1",
+          { from: "2024-02-01", to: "2024-01-31" },
+          client
+        )
+      ).rejects.toMatchObject({ status: 400, errors: [{ field: "from" }] });
+      expect(client.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("imports", () => {
+    afterEach(() => {
+      client.query.mockReset();
+    });
+
+    it("should insert every record under its own savepoint", async () => {
+      client.query.mockResolvedValue({ rows: [] });
+      const insert = jest.fn(async (record) => ({ ...record, id: 1 }));
+
+      const result = await importRecords(
+        [{ name: "a" }],
+        insert,
+        false,
+        client
+      );
+      expect(result).toEqual({
+        created: [{ name: "a", id: 1 }],
+        failures: [],
+      });
+      expect(insert).toHaveBeenCalledWith({ name: "a" }, client);
+      expect(client.query.mock.calls.map(([query]) => query)).toEqual([
+        "SAVEPOINT import",
+        "SAVEPOINT import_record",
+        "RELEASE SAVEPOINT import_record",
+        "RELEASE SAVEPOINT import",
+      ]);
+    });
+
+    it("should roll every record back if one fails", async () => {
+      client.query.mockResolvedValue({ rows: [] });
+      const error = new Error("duplicate key");
+      const insert = jest
+        .fn()
+        .mockResolvedValueOnce({ id: 1 })
+        .mockRejectedValueOnce(error)
+        .mockResolvedValueOnce({ id: 3 });
+
+      const result = await importRecords([{}, {}, {}], insert, false, client);
+      expect(result).toEqual({
+        created: [{ id: 1 }, { id: 3 }],
+        failures: [{ index: 1, error }],
+      });
+      const queries = client.query.mock.calls.map(([query]) => query);
+      expect(queries).toContain("ROLLBACK TO SAVEPOINT import_record");
+      expect(queries.slice(-2)).toEqual([
+        "ROLLBACK TO SAVEPOINT import",
+        "RELEASE SAVEPOINT import",
+      ]);
+    });
+
+    it("should roll back a dry run", async () => {
+      client.query.mockResolvedValue({ rows: [] });
+
+      await importRecords([{}], async () => ({}), true, client);
+      expect(client.query).toHaveBeenCalledWith(
+        "ROLLBACK TO SAVEPOINT import"
+      );
+    });
+  });
+
+  describe("API keys", () => {
+    it("should store only the hash of a new key", async () => {
+      const row = { id: 1, name: "books", role: "accountant" };
+      client.query.mockResolvedValueOnce({ rows: [row] });
+
+      const apiKey = await createApiKey("books", "accountant", client);
+      expect(apiKey).toEqual({ ...row, key: expect.any(String) });
+      const [query, values] = client.query.mock.calls[0];
+      expect(query.split("RETURNING")[1]).not.toContain("key_hash");
+      expect(values).toEqual([
+        "books",
+        "accountant",
+        apiKey.key.slice(0, 8),
+        hashApiKey(apiKey.key),
+      ]);
+      expect(values).not.toContain(apiKey.key);
+    });
+
+    it("should find unrevoked keys by their hash", async () => {
+      client.query.mockResolvedValueOnce({ rows: [] });
+
+      expect(await findApiKey("s3cret", client)).toBeUndefined();
+      const [query, values] = client.query.mock.calls[0];
+      expect(query).toContain("revoked_at IS NULL");
+      expect(values).toEqual([hashApiKey("s3cret")]);
+    });
+  });
+
+  describe("audit log", () => {
+    it("should fetch the history of one record, newest first", async () => {
+      const entry = { id: "7", entity: "invoices", entity_id: "42" };
+      client.query.mockResolvedValueOnce({ rows: [entry] });
+
+      const entries = await getAuditLog(client, {
+        filters: { entity: "invoices", id: "42" },
+        cursor: ["9", "9"],
+        limit: 11,
+      });
+      expect(entries).toEqual([entry]);
+      const [query, values] = client.query.mock.calls[0];
+      expect(query).toContain("FROM audit_log");
+      expect(query).toContain("entity = $1 AND entity_id = $2");
+      expect(query).toContain('("id") < ($3)');
+      expect(query).toContain('ORDER BY "id" DESC');
+      expect(values).toEqual(["invoices", "42", "9", 11]);
+    });
+  });
+
+  describe("soft deletes", () => {
+    it("should delete a company along with its invoices", async () => {
+      const company = { code: "c1", deleted_at: new Date() };
+      client.query
+        .mockResolvedValueOnce({ rows: [company] })
+        .mockResolvedValueOnce({ rowCount: 2 });
+
+      expect(await deleteCompany("c1", client)).toEqual(company);
+      const [companyQuery, invoicesQuery] = client.query.mock.calls;
+      expect(companyQuery[0]).toContain("SET deleted_at = now()");
+      expect(invoicesQuery[0]).toContain("UPDATE invoices");
+      expect(invoicesQuery[1]).toEqual(["c1"]);
+    });
+
+    it("should not delete a company twice", async () => {
+      client.query.mockResolvedValueOnce({ rows: [] });
+
+      expect(await deleteCompany("c1", client)).toBeUndefined();
+      expect(client.query).toHaveBeenCalledTimes(1);
+    });
+
+    it("should leave deleted rows out unless asked for them", async () => {
+      client.query.mockResolvedValue({ rows: [] });
+
+      await getAllCompanies(client);
+      await getAllCompanies(client, { includeDeleted: true });
+      await getInvoice(1, client);
+      await getInvoice(1, client, { includeDeleted: true });
+      const queries = client.query.mock.calls.map(([query]) => query);
+      expect(queries[0]).toContain("WHERE deleted_at IS NULL");
+      expect(queries[1]).not.toContain("deleted_at");
+      expect(queries[2]).toContain("AND deleted_at IS NULL");
+      expect(queries[3]).not.toContain("deleted_at");
+      client.query.mockReset();
+    });
+
+    it("should not restore an invoice of a deleted company", async () => {
+      client.query.mockResolvedValueOnce({
+        rows: [{ comp_code: "c1", company_deleted: true }],
+      });
+
+      await expect(restoreInvoice(1, client)).rejects.toMatchObject({
+        status: 409,
+        message: "Company c1 is deleted; restore it first",
+      });
+      expect(client.query).toHaveBeenCalledTimes(1);
+    });
+
+    it("should purge rows deleted before the retention period", async () => {
+      client.query
+        .mockResolvedValueOnce({ rowCount: 3 })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      expect(await purgeDeleted(30, client)).toEqual({
+        companies: 1,
+        invoices: 3,
+      });
+      expect(client.query.mock.calls[0]).toEqual([
+        expect.stringContaining("DELETE FROM invoices"),
+        [30],
+      ]);
+      expect(client.query.mock.calls[1][0]).toContain("DELETE FROM companies");
+    });
+
+    it("should refuse to purge without a retention period", async () => {
+      await expect(purgeDeleted(0, client)).rejects.toThrow(
+        "The retention period must be a positive number of days."
+      );
+      expect(client.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("row versions", () => {
+    it("should update an invoice still at the version read", async () => {
+      const updated = { id: 1, amt: "250.00", version: 4 };
+      client.query
+        .mockResolvedValueOnce({ rows: [{ version: 3 }] })
+        .mockResolvedValueOnce({ rows: [{ paid: false, has_lines: false }] })
+        .mockResolvedValueOnce({ rows: [updated] });
+
+      const result = await updateInvoice(1, { amt: 250 }, client, {
+        version: 3,
+      });
+      expect(result).toEqual(updated);
+      expect(client.query.mock.calls[0][0]).toContain("FOR UPDATE");
+    });
+
+    it("should refuse to change a row that moved on", async () => {
+      client.query.mockResolvedValueOnce({ rows: [{ version: 4 }] });
+
+      await expect(
+        updateCompany("c1", { name: "New" }, client, { version: 3 })
+      ).rejects.toMatchObject({
+        status: 412,
+        message: "The record has changed since it was read",
+      });
+      expect(client.query).toHaveBeenCalledTimes(1);
+    });
+
+    it("should not delete a missing invoice by version", async () => {
+      client.query.mockResolvedValueOnce({ rows: [] });
+
+      expect(await deleteInvoice(1, client, { version: 3 })).toBeUndefined();
+      expect(client.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("idempotency keys", () => {
+    it("should find a key under a lock, after dropping expired ones", async () => {
+      const stored = {
+        request_hash: "abc",
+        response_status: 201,
+        response_body: { company: { code: "c1" } },
+      };
+      client.query
+        .mockResolvedValueOnce({ rows: [{}] })
+        .mockResolvedValueOnce({ rowCount: 2 })
+        .mockResolvedValueOnce({ rows: [stored] });
+
+      expect(await findIdempotencyKey(1, "retry-1", 24, client)).toEqual(
+        stored
+      );
+      expect(client.query.mock.calls).toEqual([
+        [
+          expect.stringContaining("pg_advisory_xact_lock"),
+          ["idempotency_keys:1:retry-1"],
+        ],
+        [expect.stringContaining("DELETE FROM idempotency_keys"), [1, 24]],
+        [expect.stringContaining("FROM idempotency_keys"), [1, "retry-1"]],
+      ]);
+    });
+
+    it("should save a response as JSON", async () => {
+      client.query.mockResolvedValueOnce({ rowCount: 1 });
+
+      await saveIdempotencyKey(1, "retry-1", "abc", 201, { id: 7 }, client);
+      expect(client.query).toHaveBeenCalledWith(
+        expect.stringContaining("INSERT INTO idempotency_keys"),
+        [1, "retry-1", "abc", 201, '{"id":7}']
+      );
+    });
+
+    it("should need the request's transaction", async () => {
+      await expect(findIdempotencyKey(1, "retry-1")).rejects.toThrow(
+        "Client is required."
+      );
+    });
+  });
+
+  describe("pool", () => {
+    it("should connect with the settings of a configuration", () => {
+      const config = loadConfig({
+        DATABASE_URL: "postgresql://db.staging/biztime",
+        DB_POOL_SIZE: "4",
+        DB_STATEMENT_TIMEOUT: "5000",
+      });
+
+      createPool(config);
+      expect(Pool).toHaveBeenLastCalledWith({
+        connectionString: "postgresql://db.staging/biztime",
+        max: 4,
+        statement_timeout: 5000,
+      });
+      expect(pool.on).toHaveBeenCalledWith("connect", expect.any(Function));
+    });
+  });
 });
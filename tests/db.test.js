@@ -9,31 +9,55 @@ interactions.
 */
 
 import {
+  addCompanyToIndustry,
   beginTransactions,
   commitTransactions,
+  createApiKey,
   createCompany,
+  createIndustry,
   createInvoice,
+  createInvoiceLine,
+  createPayment,
   deleteCompany,
   deleteInvoice,
+  deleteInvoiceLine,
+  findApiKey,
+  findIdempotencyKey,
+  getAgingReport,
   getAllCompanies,
   getAllCompaniesWithInvoices,
   getAllCompanyInvoices,
+  getAllIndustries,
   getAllInvoices,
+  getAuditLog,
   getCompany,
+  getCompanyIndustries,
+  getCompanyStatement,
+  getCompanyTotals,
   getCompanyWithInvoices,
   getDueInvoices,
   getInvoice,
   getInvoiceCount,
+  getInvoiceLines,
+  getInvoicePayments,
   getInvoicesByDateRange,
   getLatestInvoice,
   getPaidInvoices,
   getUnpaidInvoices,
+  importRecords,
   pool,
+  purgeDeleted,
+  restoreCompany,
+  restoreInvoice,
+  revokeApiKey,
   rollbackTransactions,
+  saveIdempotencyKey,
   updateCompany,
   updateInvoice,
   updateInvoiceAmt,
+  updateInvoiceLine,
   updateInvoicePaidStatus,
+  upsertExchangeRates,
 } from "../db.js";
 
 process.env.NODE_ENV = "test";
@@ -60,6 +84,8 @@ describe("Database Integrations Tests", () => {
       "c1",
       "Company1",
       "Description1",
+      undefined,
+      undefined,
       client
     );
     expect(newCompany).toMatchObject({
@@ -77,11 +103,17 @@ describe("Database Integrations Tests", () => {
   });
 
   it("should update a company", async () => {
-    await createCompany("c2", "Company2", "Description2", client);
+    await createCompany(
+      "c2",
+      "Company2",
+      "Description2",
+      undefined,
+      undefined,
+      client
+    );
     const updatedCompany = await updateCompany(
       "c2",
-      "UpdatedCompany2",
-      "UpdatedDescription2",
+      { name: "UpdatedCompany2", description: "UpdatedDescription2" },
       client
     );
     expect(updatedCompany).toMatchObject({
@@ -99,7 +131,14 @@ describe("Database Integrations Tests", () => {
   });
 
   it("should delete a company", async () => {
-    await createCompany("c3", "Company3", "Description3", client);
+    await createCompany(
+      "c3",
+      "Company3",
+      "Description3",
+      undefined,
+      undefined,
+      client
+    );
     const deletedCompany = await deleteCompany("c3", client);
     expect(deletedCompany).toMatchObject({
       code: "c3",
@@ -112,29 +151,45 @@ describe("Database Integrations Tests", () => {
   });
 
   it("should create and fetch an invoice", async () => {
-    await createCompany("c4", "Company4", "Description4", client);
+    await createCompany(
+      "c4",
+      "Company4",
+      "Description4",
+      undefined,
+      undefined,
+      client
+    );
     const newInvoice = await createInvoice(
       "c4",
       500,
       undefined,
       undefined,
       undefined,
+      undefined,
       client
     );
-    expect(newInvoice).toMatchObject({ comp_code: "c4", amt: 500 });
+    expect(newInvoice).toMatchObject({ comp_code: "c4", amt: "500.00" });
 
     const fetchedInvoice = await getInvoice(newInvoice.id, client);
-    expect(fetchedInvoice).toMatchObject({ comp_code: "c4", amt: 500 });
+    expect(fetchedInvoice).toMatchObject({ comp_code: "c4", amt: "500.00" });
   });
 
   it("should update an invoice", async () => {
-    await createCompany("c5", "Company5", "Description5", client);
+    await createCompany(
+      "c5",
+      "Company5",
+      "Description5",
+      undefined,
+      undefined,
+      client
+    );
     const newInvoice = await createInvoice(
       "c5",
       200,
       undefined,
       undefined,
       undefined,
+      undefined,
       client
     );
     const updatedInvoice = await updateInvoice(
@@ -147,53 +202,84 @@ describe("Database Integrations Tests", () => {
     );
     expect(updatedInvoice).toMatchObject({
       comp_code: "c5",
-      amt: 300,
+      amt: "300.00",
       paid: true,
     });
 
     const fetchedInvoice = await getInvoice(newInvoice.id, client);
     expect(fetchedInvoice).toMatchObject({
       comp_code: "c5",
-      amt: 300,
+      amt: "300.00",
       paid: true,
     });
   });
 
   it("should delete an invoice", async () => {
-    await createCompany("c6", "Company6", "Description6", client);
+    await createCompany(
+      "c6",
+      "Company6",
+      "Description6",
+      undefined,
+      undefined,
+      client
+    );
     const newInvoice = await createInvoice(
       "c6",
       300,
       undefined,
       undefined,
       undefined,
+      undefined,
       client
     );
     const deletedInvoice = await deleteInvoice(newInvoice.id, client);
-    expect(deletedInvoice).toMatchObject({ comp_code: "c6", amt: 300 });
+    expect(deletedInvoice).toMatchObject({ comp_code: "c6", amt: "300.00" });
 
     const fetchedInvoice = await getInvoice(newInvoice.id, client);
     expect(fetchedInvoice).toBeUndefined();
   });
 
   it("should get all companies", async () => {
-    await createCompany("c7", "Company7", "Description7", client);
+    await createCompany(
+      "c7",
+      "Company7",
+      "Description7",
+      undefined,
+      undefined,
+      client
+    );
     const companies = await getAllCompanies(client);
     expect(companies).toEqual(
       expect.arrayContaining([
-        { code: "c7", name: "Company7", description: "Description7" },
+        {
+          code: "c7",
+          name: "Company7",
+          description: "Description7",
+          currency: "USD",
+          payment_terms: 30,
+          deleted_at: null,
+          version: 1,
+        },
       ])
     );
   });
 
   it("should get all invoices", async () => {
-    await createCompany("c8", "Company8", "Description8", client);
+    await createCompany(
+      "c8",
+      "Company8",
+      "Description8",
+      undefined,
+      undefined,
+      client
+    );
     const newInvoice = await createInvoice(
       "c8",
       800,
       undefined,
       undefined,
       undefined,
+      undefined,
       client
     );
     const invoices = await getAllInvoices(client);
@@ -202,9 +288,15 @@ describe("Database Integrations Tests", () => {
         {
           id: newInvoice.id,
           comp_code: "c8",
-          amt: 800,
+          amt: "800.00",
           paid: false,
           add_date: expect.any(Date),
+          amt_paid: "0.00",
+          currency: "USD",
+          due_date: expect.any(Date),
+          balance: "800.00",
+          deleted_at: null,
+          version: 1,
           paid_date: null,
         },
       ])
@@ -212,13 +304,21 @@ describe("Database Integrations Tests", () => {
   });
 
   it("should get all companies with their invoices", async () => {
-    await createCompany("c9", "Company9", "Description9", client);
+    await createCompany(
+      "c9",
+      "Company9",
+      "Description9",
+      undefined,
+      undefined,
+      client
+    );
     const newInvoice = await createInvoice(
       "c9",
       900,
       undefined,
       undefined,
       undefined,
+      undefined,
       client
     );
     const companiesWithInvoices = await getAllCompaniesWithInvoices(client);
@@ -229,7 +329,7 @@ describe("Database Integrations Tests", () => {
           name: "Company9",
           description: "Description9",
           id: newInvoice.id,
-          amt: 900,
+          amt: "900.00",
           paid: false,
           add_date: expect.any(Date),
           paid_date: null,
@@ -239,13 +339,21 @@ describe("Database Integrations Tests", () => {
   });
 
   it("should get all invoices for a company", async () => {
-    await createCompany("c10", "Company10", "Description10", client);
+    await createCompany(
+      "c10",
+      "Company10",
+      "Description10",
+      undefined,
+      undefined,
+      client
+    );
     const newInvoice = await createInvoice(
       "c10",
       1000,
       undefined,
       undefined,
       undefined,
+      undefined,
       client
     );
     const invoices = await getAllCompanyInvoices("c10", client);
@@ -254,9 +362,15 @@ describe("Database Integrations Tests", () => {
         {
           comp_code: "c10",
           id: newInvoice.id,
-          amt: 1000,
+          amt: "1000.00",
           paid: false,
           add_date: expect.any(Date),
+          amt_paid: "0.00",
+          currency: "USD",
+          due_date: expect.any(Date),
+          balance: "1000.00",
+          deleted_at: null,
+          version: 1,
           paid_date: null,
         },
       ])
@@ -267,29 +381,75 @@ describe("Database Integrations Tests", () => {
     let count = await getInvoiceCount(client);
     expect(count).toBe(0);
 
-    await createCompany("c11", "Company11", "Description11", client);
-    await createInvoice("c11", 1100, undefined, undefined, undefined, client);
+    await createCompany(
+      "c11",
+      "Company11",
+      "Description11",
+      undefined,
+      undefined,
+      client
+    );
+    await createInvoice(
+      "c11",
+      1100,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      client
+    );
     count = await getInvoiceCount(client);
     expect(count).toBe(1);
 
-    await createInvoice("c11", 56, undefined, undefined, undefined, client);
+    await createInvoice(
+      "c11",
+      56,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      client
+    );
     count = await getInvoiceCount(client);
     expect(count).toBe(2);
 
-    await createCompany("c12", "Company12", "Description12", client);
-    await createInvoice("c12", 100, undefined, undefined, undefined, client);
+    await createCompany(
+      "c12",
+      "Company12",
+      "Description12",
+      undefined,
+      undefined,
+      client
+    );
+    await createInvoice(
+      "c12",
+      100,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      client
+    );
     count = await getInvoiceCount(client);
     expect(count).toBe(3);
   });
 
   it("should get unpaid invoices", async () => {
-    await createCompany("c12", "Company12", "Description12", client);
+    await createCompany(
+      "c12",
+      "Company12",
+      "Description12",
+      undefined,
+      undefined,
+      client
+    );
     const newInvoice = await createInvoice(
       "c12",
       1200,
       undefined,
       undefined,
       undefined,
+      undefined,
       client
     );
     const unpaidInvoices = await getUnpaidInvoices(client);
@@ -298,9 +458,15 @@ describe("Database Integrations Tests", () => {
         {
           comp_code: "c12",
           id: newInvoice.id,
-          amt: 1200,
+          amt: "1200.00",
           paid: false,
           add_date: expect.any(Date),
+          amt_paid: "0.00",
+          currency: "USD",
+          due_date: expect.any(Date),
+          balance: "1200.00",
+          deleted_at: null,
+          version: 1,
           paid_date: null,
         },
       ])
@@ -308,13 +474,21 @@ describe("Database Integrations Tests", () => {
   });
 
   it("should get paid invoices", async () => {
-    await createCompany("c13", "Company13", "Description13", client);
+    await createCompany(
+      "c13",
+      "Company13",
+      "Description13",
+      undefined,
+      undefined,
+      client
+    );
     const newInvoice = await createInvoice(
       "c13",
       1300,
       undefined,
       undefined,
       undefined,
+      undefined,
       client
     );
     await updateInvoicePaidStatus(newInvoice.id, true, undefined, client);
@@ -324,30 +498,44 @@ describe("Database Integrations Tests", () => {
         {
           id: newInvoice.id,
           comp_code: "c13",
-          amt: 1300,
+          amt: "1300.00",
           paid: true,
           add_date: expect.any(Date),
-          paid_date: null,
+          amt_paid: "0.00",
+          currency: "USD",
+          due_date: expect.any(Date),
+          balance: "0.00",
+          deleted_at: null,
+          version: 2,
+          paid_date: expect.any(Date),
         },
       ])
     );
   });
 
   it("should get the latest invoice", async () => {
-    await createCompany("c14", "Company14", "Description14", client);
+    await createCompany(
+      "c14",
+      "Company14",
+      "Description14",
+      undefined,
+      undefined,
+      client
+    );
     const newInvoice = await createInvoice(
       "c14",
       1400,
       undefined,
       undefined,
       undefined,
+      undefined,
       client
     );
     const latestInvoice = await getLatestInvoice(client);
     expect(latestInvoice).toMatchObject({
       id: newInvoice.id,
       comp_code: "c14",
-      amt: 1400,
+      amt: "1400.00",
       add_date: expect.any(Date),
       paid: false,
       paid_date: null,
@@ -355,7 +543,14 @@ describe("Database Integrations Tests", () => {
   });
 
   it("should get invoices by date range", async () => {
-    await createCompany("c15", "Company15", "Description15", client);
+    await createCompany(
+      "c15",
+      "Company15",
+      "Description15",
+      undefined,
+      undefined,
+      client
+    );
     let startDate = new Date("2023-01-01T00:00:00.000");
     let endDate = new Date("2023-12-31T00:00:00.000");
     const newInvoice = await createInvoice(
@@ -364,6 +559,7 @@ describe("Database Integrations Tests", () => {
       false,
       startDate,
       undefined,
+      undefined,
       client
     );
     const invoices = await getInvoicesByDateRange(startDate, endDate, client);
@@ -382,9 +578,15 @@ describe("Database Integrations Tests", () => {
         {
           id: newInvoice.id,
           comp_code: "c15",
-          amt: 1500,
+          amt: "1500.00",
           add_date: "2023-01-01T06:00:00.000Z",
           paid: false,
+          amt_paid: "0.00",
+          currency: "USD",
+          due_date: expect.any(Date),
+          balance: "1500.00",
+          deleted_at: null,
+          version: 1,
           paid_date: null,
         },
       ])
@@ -392,13 +594,21 @@ describe("Database Integrations Tests", () => {
   });
 
   it("should get a company with its invoices", async () => {
-    await createCompany("c16", "Company16", "Description16", client);
+    await createCompany(
+      "c16",
+      "Company16",
+      "Description16",
+      undefined,
+      undefined,
+      client
+    );
     const newInvoice = await createInvoice(
       "c16",
       1600,
       undefined,
       undefined,
       undefined,
+      undefined,
       client
     );
     const companyWithInvoices = await getCompanyWithInvoices("c16", client);
@@ -408,8 +618,9 @@ describe("Database Integrations Tests", () => {
           code: "c16",
           name: "Company16",
           description: "Description16",
+          currency: "USD",
           id: newInvoice.id,
-          amt: 1600,
+          amt: "1600.00",
           paid: false,
           add_date: expect.any(Date),
           paid_date: null,
@@ -419,51 +630,56 @@ describe("Database Integrations Tests", () => {
   });
 
   it("should get due invoices", async () => {
-    await createCompany("c17", "Company17", "Description17", client);
-    let pastDate = new Date("2022-01-01T00:00:00.000");
-    const newInvoice = await createInvoice(
+    await createCompany(
+      "c17",
+      "Company17",
+      "Description17",
+      undefined,
+      15,
+      client
+    );
+    const overdueInvoice = await createInvoice(
       "c17",
       1700,
       false,
+      new Date("2022-01-01"),
+      undefined,
+      undefined,
+      client
+    );
+    const currentInvoice = await createInvoice(
+      "c17",
+      1800,
+      false,
+      undefined,
+      undefined,
       undefined,
-      pastDate,
       client
     );
 
     const dueInvoices = await getDueInvoices(client);
+    const dueIds = dueInvoices.map((invoice) => invoice.id);
 
-    // Normalize dates in dueInvoices for comparison
-    const normalizedDueInvoices = dueInvoices.map((invoice) => ({
-      ...invoice,
-      add_date: new Date(invoice.add_date).toISOString(),
-      paid_date: invoice.paid_date
-        ? new Date(invoice.paid_date).toISOString()
-        : null,
-    }));
-
-    // Ensure the expected date is also in ISO string format
-    const expectedInvoice = {
-      comp_code: "c17",
-      id: newInvoice.id,
-      amt: 1700,
-      paid: false,
-      add_date: expect.any(String), // Compare as string
-      paid_date: pastDate.toISOString(), // Convert pastDate to string for comparison
-    };
-
-    expect(normalizedDueInvoices).toEqual(
-      expect.arrayContaining([expectedInvoice])
-    );
+    expect(dueIds).toContain(overdueInvoice.id);
+    expect(dueIds).not.toContain(currentInvoice.id);
   });
 
   it("should update the paid status and paid date of an invoice", async () => {
-    await createCompany("c18", "Company18", "Description18", client);
+    await createCompany(
+      "c18",
+      "Company18",
+      "Description18",
+      undefined,
+      undefined,
+      client
+    );
     const newInvoice = await createInvoice(
       "c18",
       1800,
       undefined,
       undefined,
       undefined,
+      undefined,
       client
     );
     const updatedInvoice = await updateInvoicePaidStatus(
@@ -475,37 +691,53 @@ describe("Database Integrations Tests", () => {
     expect(updatedInvoice).toMatchObject({
       id: newInvoice.id,
       comp_code: "c18",
-      amt: 1800,
+      amt: "1800.00",
       paid: true,
     });
   });
 
   it("should update the amount of an invoice", async () => {
-    await createCompany("c19", "Company19", "Description19", client);
+    await createCompany(
+      "c19",
+      "Company19",
+      "Description19",
+      undefined,
+      undefined,
+      client
+    );
     const newInvoice = await createInvoice(
       "c19",
       1900,
       undefined,
       undefined,
       undefined,
+      undefined,
       client
     );
     const updatedInvoice = await updateInvoiceAmt(newInvoice.id, 2000, client);
     expect(updatedInvoice).toMatchObject({
       id: newInvoice.id,
       comp_code: "c19",
-      amt: 2000,
+      amt: "2000.00",
     });
   });
 
   it("should update the fields of an invoice", async () => {
-    await createCompany("c20", "Company20", "Description20", client);
+    await createCompany(
+      "c20",
+      "Company20",
+      "Description20",
+      undefined,
+      undefined,
+      client
+    );
     const newInvoice = await createInvoice(
       "c20",
       2000,
       undefined,
       undefined,
       undefined,
+      undefined,
       client
     );
     const updatedInvoice = await updateInvoice(
@@ -516,19 +748,27 @@ describe("Database Integrations Tests", () => {
     expect(updatedInvoice).toMatchObject({
       id: newInvoice.id,
       comp_code: "c20",
-      amt: 2500,
+      amt: "2500.00",
       paid: true,
     });
   });
 
   it("should rollback a transaction on error", async () => {
-    await createCompany("c21", "Company21", "Description21", client);
+    await createCompany(
+      "c21",
+      "Company21",
+      "Description21",
+      undefined,
+      undefined,
+      client
+    );
     const newInvoice = await createInvoice(
       "c21",
       2100,
       undefined,
       undefined,
       undefined,
+      undefined,
       client
     );
 
@@ -547,13 +787,21 @@ describe("Database Integrations Tests", () => {
   });
 
   it("should commit a transaction successfully", async () => {
-    await createCompany("c22", "Company22", "Description22", client);
+    await createCompany(
+      "c22",
+      "Company22",
+      "Description22",
+      undefined,
+      undefined,
+      client
+    );
     const newInvoice = await createInvoice(
       "c22",
       2200,
       undefined,
       undefined,
       undefined,
+      undefined,
       client
     );
 
@@ -562,23 +810,34 @@ describe("Database Integrations Tests", () => {
     const fetchedInvoice = await getInvoice(newInvoice.id);
     expect(fetchedInvoice).toMatchObject({
       comp_code: "c22",
-      amt: 2200,
+      amt: "2200.00",
     });
 
     await deleteCompany("c22", client);
     await commitTransactions(client);
     const fetchedCompany = await getCompany("c22", client);
     expect(fetchedCompany).toBeUndefined();
+
+    // Deleted companies are only soft deleted, so remove it for good
+    await client.query("DELETE FROM companies WHERE code = $1", ["c22"]);
   });
 
   it("should get the latest invoice after multiple inserts", async () => {
-    await createCompany("c24", "Company24", "Description24", client);
+    await createCompany(
+      "c24",
+      "Company24",
+      "Description24",
+      undefined,
+      undefined,
+      client
+    );
     const newInvoice1 = await createInvoice(
       "c24",
       2400,
       undefined,
       undefined,
       undefined,
+      undefined,
       client
     );
     const newInvoice2 = await createInvoice(
@@ -587,6 +846,7 @@ describe("Database Integrations Tests", () => {
       undefined,
       undefined,
       undefined,
+      undefined,
       client
     );
 
@@ -594,7 +854,761 @@ describe("Database Integrations Tests", () => {
     expect(latestInvoice).toMatchObject({
       id: newInvoice2.id,
       comp_code: "c24",
-      amt: 2500,
+      amt: "2500.00",
+    });
+  });
+
+  it("should associate companies with industries", async () => {
+    await createCompany(
+      "c25",
+      "Company25",
+      "Description25",
+      undefined,
+      undefined,
+      client
+    );
+    await createCompany(
+      "c26",
+      "Company26",
+      "Description26",
+      undefined,
+      undefined,
+      client
+    );
+    await createIndustry("ind1", "Industry1", client);
+    await addCompanyToIndustry("ind1", "c25", client);
+    await addCompanyToIndustry("ind1", "c26", client);
+
+    const industries = await getAllIndustries(client);
+    expect(industries).toEqual(
+      expect.arrayContaining([
+        { code: "ind1", industry: "Industry1", companies: ["c25", "c26"] },
+      ])
+    );
+
+    const companyIndustries = await getCompanyIndustries("c25", client);
+    expect(companyIndustries).toEqual([
+      { code: "ind1", industry: "Industry1" },
+    ]);
+  });
+
+  it("should stamp, keep and clear the paid date of an invoice", async () => {
+    await createCompany(
+      "c27",
+      "Company27",
+      "Description27",
+      undefined,
+      undefined,
+      client
+    );
+    const newInvoice = await createInvoice(
+      "c27",
+      2700,
+      false,
+      new Date("2024-01-10"),
+      undefined,
+      undefined,
+      client
+    );
+
+    const backdated = await updateInvoice(
+      newInvoice.id,
+      { paid: true, paid_date: "2024-01-15" },
+      client
+    );
+    expect(backdated.paid).toBe(true);
+    expect(backdated.paid_date).toEqual(expect.any(Date));
+
+    const repaid = await updateInvoice(newInvoice.id, { paid: true }, client);
+    expect(repaid.paid_date).toEqual(backdated.paid_date);
+
+    const unpaid = await updateInvoice(newInvoice.id, { paid: false }, client);
+    expect(unpaid).toMatchObject({ paid: false, paid_date: null });
+
+    await expect(
+      updateInvoice(
+        newInvoice.id,
+        { paid: true, paid_date: "2024-01-01" },
+        client
+      )
+    ).rejects.toMatchObject({ status: 400 });
+  });
+
+  it("should record partial payments until the invoice is paid", async () => {
+    await createCompany(
+      "c28",
+      "Company28",
+      "Description28",
+      undefined,
+      undefined,
+      client
+    );
+    const newInvoice = await createInvoice(
+      "c28",
+      100,
+      false,
+      new Date("2024-01-10"),
+      undefined,
+      undefined,
+      client
+    );
+
+    const first = await createPayment(newInvoice.id, 40, "2024-01-15", client);
+    expect(first.invoice).toMatchObject({
+      paid: false,
+      amt_paid: "40.00",
+      balance: "60.00",
+    });
+
+    await expect(
+      createPayment(newInvoice.id, 61, "2024-01-20", client)
+    ).rejects.toMatchObject({ status: 400 });
+
+    const last = await createPayment(newInvoice.id, 60, "2024-01-20", client);
+    expect(last.invoice).toMatchObject({
+      paid: true,
+      amt_paid: "100.00",
+      balance: "0.00",
+    });
+    expect(last.invoice.paid_date).toEqual(expect.any(Date));
+
+    const payments = await getInvoicePayments(newInvoice.id, client);
+    expect(payments.map((p) => p.amt)).toEqual(["40.00", "60.00"]);
+
+    await expect(
+      updateInvoice(newInvoice.id, { paid: false }, client)
+    ).rejects.toMatchObject({ status: 400 });
+
+    // A new amount pays or un-pays the invoice by its payments
+    const raised = await updateInvoice(newInvoice.id, { amt: 150 }, client);
+    expect(raised).toMatchObject({
+      paid: false,
+      paid_date: null,
+      balance: "50.00",
+    });
+    const lowered = await updateInvoice(newInvoice.id, { amt: 100 }, client);
+    expect(lowered).toMatchObject({ paid: true, balance: "0.00" });
+    expect(lowered.paid_date).toEqual(last.invoice.paid_date);
+  });
+
+  it("should date a paid invoice by its latest payment", async () => {
+    await createCompany(
+      "c41",
+      "Company41",
+      "Description41",
+      undefined,
+      undefined,
+      client
+    );
+    const newInvoice = await createInvoice(
+      "c41",
+      100,
+      false,
+      "2024-01-10",
+      undefined,
+      undefined,
+      client
+    );
+
+    await createPayment(newInvoice.id, 40, "2024-01-20", client);
+    const backdated = await createPayment(
+      newInvoice.id,
+      60,
+      "2024-01-15",
+      client
+    );
+    expect(backdated.invoice.paid).toBe(true);
+    expect(backdated.invoice.paid_date).toEqual(new Date(2024, 0, 20));
+  });
+
+  it("should keep an invoice paid by hand when its amount changes", async () => {
+    await createCompany(
+      "c40",
+      "Company40",
+      "Description40",
+      undefined,
+      undefined,
+      client
+    );
+    const byHand = await createInvoice(
+      "c40",
+      100,
+      false,
+      "2024-01-10",
+      undefined,
+      undefined,
+      client
+    );
+    const paid = await updateInvoice(
+      byHand.id,
+      { paid: true, paid_date: "2024-01-12" },
+      client
+    );
+
+    const changed = await updateInvoice(byHand.id, { amt: 60 }, client);
+    expect(changed).toMatchObject({ amt: "60.00", paid: true });
+    expect(changed.paid_date).toEqual(paid.paid_date);
+
+    // Paid by hand after a partial payment
+    const partly = await createInvoice(
+      "c40",
+      [{ description: "Hours", quantity: 2, unit_price: 50 }],
+      false,
+      "2024-01-10",
+      undefined,
+      undefined,
+      client
+    );
+    await createPayment(partly.id, 40, "2024-01-15", client);
+    await updateInvoice(
+      partly.id,
+      { paid: true, paid_date: "2024-01-20" },
+      client
+    );
+
+    const extra = await createInvoiceLine(
+      partly.id,
+      { description: "Fee", quantity: 1, unit_price: 5 },
+      client
+    );
+    expect(extra.invoice).toMatchObject({
+      amt: "105.00",
+      paid: true,
+      amt_paid: "40.00",
+    });
+    expect(extra.invoice.paid_date).toEqual(new Date(2024, 0, 20));
+  });
+
+  it("should keep the amount of an invoice in line with its lines", async () => {
+    await createCompany(
+      "c29",
+      "Company29",
+      "Description29",
+      undefined,
+      undefined,
+      client
+    );
+    const newInvoice = await createInvoice(
+      "c29",
+      [
+        { description: "Hours", quantity: 2, unit_price: 50 },
+        { description: "Travel", quantity: 1, unit_price: 30, discount: 10 },
+      ],
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      client
+    );
+    expect(newInvoice.amt).toBe("120.00");
+    expect(newInvoice.lines.map((line) => line.total)).toEqual([
+      "100.00",
+      "20.00",
+    ]);
+
+    const added = await createInvoiceLine(
+      newInvoice.id,
+      { description: "Fee", quantity: 1, unit_price: 5 },
+      client
+    );
+    expect(added.invoice.amt).toBe("125.00");
+
+    const updated = await updateInvoiceLine(
+      newInvoice.id,
+      newInvoice.lines[0].id,
+      { quantity: 3 },
+      client
+    );
+    expect(updated.invoice.amt).toBe("175.00");
+
+    const deleted = await deleteInvoiceLine(
+      newInvoice.id,
+      added.line.id,
+      client
+    );
+    expect(deleted.invoice.amt).toBe("170.00");
+    expect(await getInvoiceLines(newInvoice.id, client)).toHaveLength(2);
+
+    const paid = await createPayment(newInvoice.id, 170, undefined, client);
+    expect(paid.invoice).toMatchObject({ paid: true, balance: "0.00" });
+    const extra = await createInvoiceLine(
+      newInvoice.id,
+      { description: "Extra", quantity: 1, unit_price: 10 },
+      client
+    );
+    expect(extra.invoice).toMatchObject({
+      amt: "180.00",
+      paid: false,
+      paid_date: null,
+      balance: "10.00",
+    });
+
+    await expect(
+      updateInvoiceAmt(newInvoice.id, 999, client)
+    ).rejects.toMatchObject({ status: 400 });
+  });
+
+  it("should keep amounts exact", async () => {
+    await createCompany(
+      "c30",
+      "Company30",
+      "Description30",
+      undefined,
+      undefined,
+      client
+    );
+    const newInvoice = await createInvoice(
+      "c30",
+      [
+        { description: "A", quantity: 1, unit_price: 0.1 },
+        { description: "B", quantity: 1, unit_price: "0.2" },
+      ],
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      client
+    );
+    expect(newInvoice.amt).toBe("0.30");
+
+    const { invoice } = await createPayment(
+      newInvoice.id,
+      "0.30",
+      undefined,
+      client
+    );
+    expect(invoice).toMatchObject({ paid: true, balance: "0.00" });
+
+    await expect(
+      createInvoice(
+        "c30",
+        10.005,
+        undefined,
+        undefined,
+        undefined,
+        undefined,
+        client
+      )
+    ).rejects.toMatchObject({ status: 400 });
+  });
+
+  it("should total the invoices of companies in one currency", async () => {
+    await createCompany("c31", "Company31", null, "eur", undefined, client);
+    await upsertExchangeRates(
+      [
+        { currency: "EUR", rate_date: "2024-01-01", rate: "0.5" },
+        { currency: "EUR", rate_date: "2024-06-01", rate: "0.8" },
+        { currency: "GBP", rate_date: "2024-01-01", rate: "0.4" },
+      ],
+      client
+    );
+    const eurInvoice = await createInvoice(
+      "c31",
+      100,
+      false,
+      new Date("2024-02-01"),
+      undefined,
+      undefined,
+      client
+    );
+    expect(eurInvoice.currency).toBe("EUR");
+    await createInvoice(
+      "c31",
+      40,
+      false,
+      new Date("2024-07-01"),
+      undefined,
+      "USD",
+      client
+    );
+
+    // 100 EUR at 0.5 EUR/USD is 200 USD, plus 40 USD
+    const [usd] = await getCompanyTotals("USD", "c31", client);
+    expect(usd).toMatchObject({
+      comp_code: "c31",
+      currency: "USD",
+      invoice_count: 2,
+      total: "240.00",
+    });
+
+    // The 200 USD are 80 GBP at 0.4 GBP/USD, and the 40 USD are 16 GBP
+    const [gbp] = await getCompanyTotals("GBP", "c31", client);
+    expect(gbp.total).toBe("96.00");
+
+    await expect(getCompanyTotals("JPY", "c31", client)).rejects.toMatchObject(
+      { status: 422 }
+    );
+  });
+
+  it("should bucket outstanding balances by days past due", async () => {
+    await createCompany("c32", "Company32", null, undefined, 30, client);
+    // Due 2024-01-31, 1-30 days past due on 2024-02-20
+    const late = await createInvoice(
+      "c32",
+      100,
+      false,
+      new Date("2024-01-01"),
+      undefined,
+      undefined,
+      client
+    );
+    await createPayment(late.id, 40, "2024-02-10", client);
+    // Paid off after 2024-02-20, so still outstanding on that day
+    await createPayment(late.id, 60, "2024-03-05", client);
+    // Due 2024-03-01, not yet due on 2024-02-20
+    await createInvoice(
+      "c32",
+      50,
+      false,
+      new Date("2024-01-31"),
+      undefined,
+      undefined,
+      client
+    );
+
+    const aging = await getAgingReport("USD", "2024-02-20", client);
+    const [c32] = aging.companies.filter((row) => row.comp_code === "c32");
+    expect(c32).toEqual({
+      comp_code: "c32",
+      current: "50.00",
+      days_1_30: "60.00",
+      days_31_60: "0",
+      days_61_90: "0",
+      days_over_90: "0",
+      total: "110.00",
+    });
+    expect(aging).toMatchObject({ currency: "USD", as_of: "2024-02-20" });
+    expect(aging.overall).not.toHaveProperty("comp_code");
+  });
+
+  it("should build a statement with a running balance", async () => {
+    await createCompany(
+      "c33",
+      "Company33",
+      null,
+      undefined,
+      undefined,
+      client
+    );
+    const first = await createInvoice(
+      "c33",
+      100,
+      false,
+      new Date("2024-01-05"),
+      undefined,
+      undefined,
+      client
+    );
+    await createPayment(first.id, 30, "2024-01-10", client);
+    const second = await createInvoice(
+      "c33",
+      200,
+      false,
+      new Date("2024-02-01"),
+      undefined,
+      undefined,
+      client
+    );
+    await createPayment(second.id, 50, "2024-02-03", client);
+    await updateInvoicePaidStatus(second.id, true, "2024-02-10", client);
+
+    const statement = await getCompanyStatement(
+      "c33",
+      { from: "2024-02-01", to: "2024-02-28" },
+      client
+    );
+    expect(statement).toMatchObject({
+      currency: "USD",
+      opening_balance: "70.00",
+      closing_balance: "70.00",
+    });
+    expect(
+      statement.events.map(({ type, amount, balance }) => [
+        type,
+        amount,
+        balance,
+      ])
+    ).toEqual([
+      ["invoice", "200.00", "270.00"],
+      ["payment", "-50.00", "220.00"],
+      ["settlement", "-150.00", "70.00"],
+    ]);
+  });
+
+  it("should import all records or none of them", async () => {
+    const insert = (record, client) =>
+      createCompany(
+        record.code,
+        record.name,
+        undefined,
+        undefined,
+        undefined,
+        client
+      );
+
+    const dryRun = await importRecords(
+      [{ code: "c34", name: "Company34" }],
+      insert,
+      true,
+      client
+    );
+    expect(dryRun.failures).toEqual([]);
+    expect(await getCompany("c34", client)).toBeUndefined();
+
+    const failed = await importRecords(
+      [
+        { code: "c34", name: "Company34" },
+        { code: "c35", name: "Company34" },
+      ],
+      insert,
+      false,
+      client
+    );
+    expect(failed.failures).toEqual([
+      { index: 1, error: expect.objectContaining({ code: "23505" }) },
+    ]);
+    expect(await getCompany("c34", client)).toBeUndefined();
+
+    const imported = await importRecords(
+      [{ code: "c34", name: "Company34" }],
+      insert,
+      false,
+      client
+    );
+    expect(imported.created).toEqual([
+      expect.objectContaining({ code: "c34" }),
+    ]);
+    expect(await getCompany("c34", client)).toMatchObject({ code: "c34" });
+  });
+
+  it("should issue, find and revoke API keys", async () => {
+    const apiKey = await createApiKey("books", "accountant", client);
+    expect(apiKey).not.toHaveProperty("key_hash");
+
+    expect(await findApiKey(apiKey.key, client)).toEqual({
+      id: apiKey.id,
+      name: "books",
+      role: "accountant",
+    });
+
+    const revoked = await revokeApiKey(apiKey.id, client);
+    expect(revoked.revoked_at).toEqual(expect.any(Date));
+    expect(await findApiKey(apiKey.key, client)).toBeUndefined();
+  });
+
+  it("should audit every change with who made it", async () => {
+    await client.query("SELECT set_config('biztime.actor', 'key:2', true)");
+    await createCompany("c36", "Company36", null, "USD", 30, client);
+    const invoice = await createInvoice(
+      "c36",
+      100,
+      false,
+      undefined,
+      null,
+      null,
+      client
+    );
+    await updateInvoiceAmt(invoice.id, 150, client);
+    await deleteCompany("c36", client);
+
+    const history = await getAuditLog(client, {
+      filters: { entity: "invoices", id: String(invoice.id) },
+    });
+    expect(history.map((entry) => entry.action)).toEqual([
+      "update",
+      "update",
+      "create",
+    ]);
+    expect(history[1]).toMatchObject({
+      entity: "invoices",
+      entity_id: String(invoice.id),
+      before: expect.objectContaining({ amt: 100 }),
+      after: expect.objectContaining({ amt: 150 }),
+      actor: "key:2",
+    });
+    expect(history[1].changed_at).toEqual(expect.any(Date));
+
+    const [companyDeleted] = await getAuditLog(client, {
+      filters: { entity: "companies", id: "c36" },
+    });
+    expect(companyDeleted).toMatchObject({
+      action: "update",
+      before: expect.objectContaining({ deleted_at: null }),
+      after: expect.objectContaining({ deleted_at: expect.any(String) }),
+    });
+  });
+
+  it("should not audit updates that only bump the version", async () => {
+    await createCompany("c42", "Company42", null, "USD", 30, client);
+    const updated = await updateCompany("c42", { name: "Company42" }, client);
+    expect(updated.version).toBe(2);
+
+    const history = await getAuditLog(client, {
+      filters: { entity: "companies", id: "c42" },
+    });
+    expect(history.map((entry) => entry.action)).toEqual(["create"]);
+  });
+
+  it("should soft delete, restore and purge companies and invoices", async () => {
+    await createCompany("c37", "Company37", null, "USD", 30, client);
+    const kept = await createInvoice(
+      "c37",
+      100,
+      false,
+      undefined,
+      null,
+      null,
+      client
+    );
+    const deleted = await createInvoice(
+      "c37",
+      200,
+      false,
+      undefined,
+      null,
+      null,
+      client
+    );
+
+    await deleteInvoice(deleted.id, client);
+    // As if it was deleted in an earlier transaction, before the company
+    await client.query(
+      "UPDATE invoices SET deleted_at = now() - interval '1 hour' WHERE id = $1",
+      [deleted.id]
+    );
+    expect(await getAllCompanyInvoices("c37", client)).toEqual([
+      expect.objectContaining({ id: kept.id }),
+    ]);
+    expect(await deleteInvoice(deleted.id, client)).toBeUndefined();
+
+    await deleteCompany("c37", client);
+    expect(await getCompany("c37", client)).toBeUndefined();
+    expect(await getInvoice(kept.id, client)).toBeUndefined();
+    expect(
+      await getCompany("c37", client, { includeDeleted: true })
+    ).toMatchObject({ deleted_at: expect.any(Date) });
+    // The failed insert aborts the transaction unless it's rolled back to here
+    await client.query("SAVEPOINT invoice_of_deleted_company");
+    await expect(
+      createInvoice("c37", 300, false, undefined, null, null, client)
+    ).rejects.toMatchObject({ code: "23503" });
+    await client.query("ROLLBACK TO SAVEPOINT invoice_of_deleted_company");
+    await expect(restoreInvoice(kept.id, client)).rejects.toMatchObject({
+      status: 409,
+    });
+
+    // Only the invoices deleted with the company come back with it
+    expect(await restoreCompany("c37", client)).toMatchObject({
+      deleted_at: null,
+    });
+    expect(await getInvoice(kept.id, client)).toMatchObject({ amt: "100.00" });
+    expect(await getInvoice(deleted.id, client)).toBeUndefined();
+
+    expect(await restoreInvoice(deleted.id, client)).toMatchObject({
+      deleted_at: null,
+    });
+
+    // Restoring live rows changes nothing, not even their versions
+    const { version } = await getCompany("c37", client);
+    expect(await restoreCompany("c37", client)).toMatchObject({
+      deleted_at: null,
+      version,
+    });
+    expect(await restoreInvoice(kept.id, client)).toMatchObject({
+      deleted_at: null,
+      version: (await getInvoice(kept.id, client)).version,
+    });
+
+    await deleteCompany("c37", client);
+    expect(await purgeDeleted(1, client)).toEqual({
+      companies: 0,
+      invoices: 0,
     });
+    await client.query(
+      "UPDATE companies SET deleted_at = now() - interval '2 days' WHERE code = $1",
+      ["c37"]
+    );
+    expect(await purgeDeleted(1, client)).toEqual({
+      companies: 1,
+      invoices: 0,
+    });
+    expect(
+      await getInvoice(kept.id, client, { includeDeleted: true })
+    ).toBeUndefined();
+  });
+
+  it("should bump row versions and refuse stale ones", async () => {
+    const company = await createCompany(
+      "c38",
+      "Company38",
+      null,
+      "USD",
+      30,
+      client
+    );
+    expect(company.version).toBe(1);
+
+    const renamed = await updateCompany(
+      "c38",
+      { name: "Company 38" },
+      client,
+      {
+        version: 1,
+      }
+    );
+    expect(renamed.version).toBe(2);
+
+    await expect(
+      updateCompany("c38", { name: "Company Thirty-eight" }, client, {
+        version: 1,
+      })
+    ).rejects.toMatchObject({ status: 412 });
+    await expect(
+      deleteCompany("c38", client, { version: 1 })
+    ).rejects.toMatchObject({ status: 412 });
+
+    const invoice = await createInvoice(
+      "c38",
+      100,
+      false,
+      undefined,
+      null,
+      null,
+      client
+    );
+    await createPayment(invoice.id, 40, undefined, client);
+    expect(await getInvoice(invoice.id, client)).toMatchObject({ version: 2 });
+    await expect(
+      updateInvoice(invoice.id, { amt: 150 }, client, { version: 1 })
+    ).rejects.toMatchObject({ status: 412 });
+  });
+
+  it("should keep idempotency keys per API key until they expire", async () => {
+    const books = await createApiKey("books", "accountant", client);
+    const other = await createApiKey("other", "accountant", client);
+    const body = { company: { code: "c39", name: "Company39" } };
+    await saveIdempotencyKey(books.id, "retry-1", "abc", 201, body, client);
+
+    expect(await findIdempotencyKey(books.id, "retry-1", 24, client)).toEqual({
+      request_hash: "abc",
+      response_status: 201,
+      response_body: body,
+    });
+    expect(
+      await findIdempotencyKey(other.id, "retry-1", 24, client)
+    ).toBeUndefined();
+
+    await client.query(
+      `UPDATE idempotency_keys SET created_at = now() - interval '25 hours'
+       WHERE api_key_id = $1`,
+      [books.id]
+    );
+    expect(
+      await findIdempotencyKey(books.id, "retry-1", 24, client)
+    ).toBeUndefined();
+    await saveIdempotencyKey(books.id, "retry-1", "def", 201, body, client);
+    expect(
+      await findIdempotencyKey(books.id, "retry-1", 24, client)
+    ).toMatchObject({ request_hash: "def" });
   });
 });
@@ -0,0 +1,130 @@
+import express from "express";
+import http from "http";
+import request from "supertest";
+import { createLazyTransaction } from "../db.js";
+import dbClient from "../middleware/dbClient.js";
+
+jest.mock("pg", () => {
+  const mPool = { connect: jest.fn(), query: jest.fn(), on: jest.fn() };
+  return { Pool: jest.fn(() => mPool) };
+});
+
+jest.mock("../db.js");
+
+const mockTransaction = { query: jest.fn(), finish: jest.fn() };
+
+/** Builds an app that runs `handler` behind the dbClient middleware */
+function appWith(handler) {
+  const app = express();
+  app.use(dbClient);
+  app.all("/", handler);
+  return app;
+}
+
+describe("dbClient middleware", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    createLazyTransaction.mockReturnValue(mockTransaction);
+    mockTransaction.finish.mockResolvedValue();
+  });
+
+  test("should attach a read-only transaction to safe requests", async () => {
+    const app = appWith((req, res) => {
+      expect(req.dbClient).toBe(mockTransaction);
+      return res.json({ ok: true });
+    });
+
+    await request(app).get("/");
+    await request(app).post("/");
+
+    expect(createLazyTransaction.mock.calls).toEqual([
+      [{ readOnly: true, actor: null }],
+      [{ readOnly: false, actor: null }],
+    ]);
+  });
+
+  test("should record changes under the id of the API key", async () => {
+    const app = express();
+    app.use((req, res, next) => {
+      req.apiKey = { id: 2, name: "books", role: "accountant" };
+      return next();
+    });
+    app.use(dbClient);
+    app.all("/", (req, res) => res.json({ ok: true }));
+
+    await request(app).get("/");
+    await request(app).post("/");
+
+    expect(createLazyTransaction.mock.calls).toEqual([
+      [{ readOnly: true, actor: null }],
+      [{ readOnly: false, actor: "key:2" }],
+    ]);
+  });
+
+  test("should commit before the response is sent", async () => {
+    const events = [];
+    mockTransaction.finish.mockImplementationOnce(async (commit) => {
+      events.push(commit ? "commit" : "rollback");
+    });
+    const app = appWith((req, res) => {
+      res.on("finish", () => events.push("finish"));
+      return res.json({ ok: true });
+    });
+
+    const res = await request(app).post("/");
+
+    expect(res.statusCode).toBe(200);
+    expect(events).toEqual(["commit", "finish"]);
+  });
+
+  test("should roll back error responses", async () => {
+    const app = appWith((req, res) => res.status(404).json({ error: "nope" }));
+
+    const res = await request(app).post("/");
+
+    expect(res.statusCode).toBe(404);
+    expect(mockTransaction.finish).toHaveBeenCalledWith(false);
+  });
+
+  test("should turn a failed commit into a 500", async () => {
+    mockTransaction.finish.mockRejectedValueOnce(
+      new Error("could not serialize access")
+    );
+    const app = appWith((req, res) => res.status(201).json({ created: true }));
+
+    const res = await request(app).post("/");
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body).toEqual({
+      error: { message: "The changes could not be saved", status: 500 },
+    });
+  });
+
+  test("should roll back when the request is aborted", async () => {
+    let respond;
+    const handlerDone = new Promise((resolve) => {
+      respond = resolve;
+    });
+    const app = appWith(async (req, res) => {
+      await handlerDone;
+      res.json({ ok: true });
+    });
+    const server = app.listen(0);
+    const { port } = server.address();
+
+    await new Promise((resolve) => {
+      const clientReq = http.get({ port, path: "/" });
+      clientReq.on("error", () => {});
+      setTimeout(() => {
+        clientReq.destroy();
+        setTimeout(resolve, 50);
+      }, 50);
+    });
+    respond();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    await new Promise((resolve) => server.close(resolve));
+
+    expect(mockTransaction.finish).toHaveBeenCalledTimes(1);
+    expect(mockTransaction.finish).toHaveBeenCalledWith(false);
+  });
+});
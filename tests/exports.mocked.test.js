@@ -0,0 +1,116 @@
+import request from "supertest";
+import app from "../app.js";
+import {
+  createLazyTransaction,
+  findApiKey,
+  getAllCompanies,
+  getAllInvoices,
+} from "../db.js";
+
+jest.mock("pg", () => {
+  const mClient = {
+    connect: jest.fn(),
+    end: jest.fn(),
+    query: jest.fn(),
+    on: jest.fn(),
+  };
+  return { Pool: jest.fn(() => mClient) };
+});
+
+jest.mock("../db.js");
+
+const mockDbClient = {
+  query: jest.fn(),
+  finish: jest.fn(async () => {}),
+};
+
+/** Sends every request with an admin's API key */
+const api = request.agent(app).set("Authorization", "Bearer admin-key");
+
+describe("Export Routes", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    createLazyTransaction.mockReturnValue(mockDbClient);
+    findApiKey.mockResolvedValue({ id: 1, name: "admin", role: "admin" });
+  });
+
+  test("GET /companies.csv - should export the filtered companies", async () => {
+    getAllCompanies.mockResolvedValueOnce([
+      {
+        code: "apple",
+        name: "Apple, Inc.",
+        description: null,
+        currency: "USD",
+        payment_terms: 30,
+      },
+    ]);
+
+    const res = await api.get("/companies.csv?name=app&sort=-name");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/^text\/csv/);
+    expect(res.headers["content-disposition"]).toBe(
+      'attachment; filename="companies.csv"'
+    );
+    expect(res.text).toBe(
+      "code,name,description,currency,payment_terms\r\n" +
+        'apple,"Apple, Inc.",,USD,30\r\n'
+    );
+    expect(getAllCompanies).toHaveBeenCalledWith(mockDbClient, {
+      filters: { name: "app" },
+      sort: "-name",
+    });
+  });
+
+  test("GET /companies.csv - should not page", async () => {
+    const res = await api.get("/companies.csv?limit=10");
+
+    expect(res.statusCode).toBe(400);
+    expect(getAllCompanies).not.toHaveBeenCalled();
+  });
+
+  test("GET /invoices.csv - should export the filtered invoices", async () => {
+    getAllInvoices.mockResolvedValueOnce([
+      {
+        id: 1,
+        comp_code: "apple",
+        amt: "100.00",
+        currency: "USD",
+        paid: false,
+        add_date: new Date("2024-01-05"),
+        paid_date: null,
+        due_date: new Date("2024-02-04"),
+        amt_paid: "40.00",
+        balance: "60.00",
+      },
+    ]);
+
+    const res = await api.get("/invoices.csv?paid=false");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.text).toBe(
+      "id,comp_code,amt,currency,paid,add_date,paid_date,due_date,amt_paid,balance\r\n" +
+        "1,apple,100.00,USD,false,2024-01-05,,2024-02-04,40.00,60.00\r\n"
+    );
+    expect(getAllInvoices).toHaveBeenCalledWith(mockDbClient, {
+      filters: { paid: "false" },
+      sort: undefined,
+    });
+  });
+
+  test("GET /invoices.csv - should return 400 for a date not on the calendar", async () => {
+    const res = await api.get("/invoices.csv?from=2024-00-01");
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.errors[0].field).toBe("from");
+    expect(getAllInvoices).not.toHaveBeenCalled();
+  });
+
+  test("GET /invoices.csv - should return 400 if from is after to", async () => {
+    const res = await api.get("/invoices.csv?from=2024-02-01&to=2024-01-01");
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.errors[0].field).toBe("to");
+    expect(getAllInvoices).not.toHaveBeenCalled();
+  });
+});
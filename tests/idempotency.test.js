@@ -0,0 +1,205 @@
+import express from "express";
+import request from "supertest";
+import {
+  createLazyTransaction,
+  findIdempotencyKey,
+  saveIdempotencyKey,
+} from "../db.js";
+import config from "../config.js";
+import dbClient from "../middleware/dbClient.js";
+import idempotency from "../middleware/idempotency.js";
+
+jest.mock("pg", () => {
+  const mPool = { connect: jest.fn(), query: jest.fn(), on: jest.fn() };
+  return { Pool: jest.fn(() => mPool) };
+});
+
+jest.mock("../db.js");
+
+const mockTransaction = { query: jest.fn(), finish: jest.fn() };
+
+/** Builds an app that runs `handler` behind the idempotency middleware */
+function appWith(handler, settings = config) {
+  const app = express();
+  app.locals.config = settings;
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.apiKey = { id: 2, name: "books", role: "accountant" };
+    return next();
+  });
+  app.use(dbClient);
+  app.post("/things", idempotency, handler);
+  app.use((err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    const status = err.status || 500;
+    return res
+      .status(status)
+      .json({ error: { message: err.message, status } });
+  });
+  return app;
+}
+
+/** The request hash `idempotency` saved along with the first response */
+function savedRequestHash() {
+  return saveIdempotencyKey.mock.calls[0][2];
+}
+
+describe("idempotency middleware", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    createLazyTransaction.mockReturnValue(mockTransaction);
+    mockTransaction.finish.mockResolvedValue();
+    findIdempotencyKey.mockResolvedValue(undefined);
+    saveIdempotencyKey.mockResolvedValue();
+  });
+
+  test("should leave requests without a key alone", async () => {
+    const handler = jest.fn((req, res) => res.status(201).json({ id: 1 }));
+
+    const res = await request(appWith(handler)).post("/things").send({ a: 1 });
+
+    expect(res.statusCode).toBe(201);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(findIdempotencyKey).not.toHaveBeenCalled();
+    expect(saveIdempotencyKey).not.toHaveBeenCalled();
+  });
+
+  test("should save the response in the transaction before it's committed", async () => {
+    const events = [];
+    saveIdempotencyKey.mockImplementationOnce(async () => {
+      events.push("save");
+    });
+    mockTransaction.finish.mockImplementationOnce(async (commit) => {
+      events.push(commit ? "commit" : "rollback");
+    });
+    const app = appWith((req, res) => res.status(201).json({ id: 1 }));
+
+    const res = await request(app)
+      .post("/things")
+      .set("Idempotency-Key", "retry-1")
+      .send({ a: 1 });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toEqual({ id: 1 });
+    expect(res.headers["idempotent-replayed"]).toBeUndefined();
+    expect(findIdempotencyKey).toHaveBeenCalledWith(
+      2,
+      "retry-1",
+      24,
+      mockTransaction
+    );
+    expect(saveIdempotencyKey).toHaveBeenCalledWith(
+      2,
+      "retry-1",
+      expect.stringMatching(/^[0-9a-f]{64}$/),
+      201,
+      { id: 1 },
+      mockTransaction
+    );
+    expect(events).toEqual(["save", "commit"]);
+  });
+
+  test("should replay the saved response to the same request", async () => {
+    const handler = jest.fn((req, res) => res.status(201).json({ id: 1 }));
+    const app = appWith(handler);
+    await request(app)
+      .post("/things")
+      .set("Idempotency-Key", "retry-1")
+      .send({ a: 1 });
+    findIdempotencyKey.mockResolvedValueOnce({
+      request_hash: savedRequestHash(),
+      response_status: 201,
+      response_body: { id: 1 },
+    });
+
+    const res = await request(app)
+      .post("/things")
+      .set("Idempotency-Key", "retry-1")
+      .send({ a: 1 });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toEqual({ id: 1 });
+    expect(res.headers["idempotent-replayed"]).toBe("true");
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(saveIdempotencyKey).toHaveBeenCalledTimes(1);
+  });
+
+  test("should return 422 for a key reused with a different request", async () => {
+    const handler = jest.fn((req, res) => res.status(201).json({ id: 1 }));
+    const app = appWith(handler);
+    await request(app)
+      .post("/things")
+      .set("Idempotency-Key", "retry-1")
+      .send({ a: 1 });
+    findIdempotencyKey.mockResolvedValueOnce({
+      request_hash: savedRequestHash(),
+      response_status: 201,
+      response_body: { id: 1 },
+    });
+
+    const res = await request(app)
+      .post("/things")
+      .set("Idempotency-Key", "retry-1")
+      .send({ a: 2 });
+
+    expect(res.statusCode).toBe(422);
+    expect(res.body).toEqual({
+      error: {
+        message:
+          "The Idempotency-Key was already used for a different request",
+        status: 422,
+      },
+    });
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test("should not save error responses", async () => {
+    const app = appWith((req, res) =>
+      res.status(404).json({ error: "Company not found" })
+    );
+
+    const res = await request(app)
+      .post("/things")
+      .set("Idempotency-Key", "retry-1")
+      .send({ a: 1 });
+
+    expect(res.statusCode).toBe(404);
+    expect(saveIdempotencyKey).not.toHaveBeenCalled();
+    expect(mockTransaction.finish).toHaveBeenCalledWith(false);
+  });
+
+  test("should return 400 for an empty or overlong key", async () => {
+    const handler = jest.fn((req, res) => res.status(201).json({ id: 1 }));
+    const app = appWith(handler);
+
+    const empty = await request(app)
+      .post("/things")
+      .set("Idempotency-Key", "")
+      .send({ a: 1 });
+    const long = await request(app)
+      .post("/things")
+      .set("Idempotency-Key", "k".repeat(256))
+      .send({ a: 1 });
+
+    expect(empty.statusCode).toBe(400);
+    expect(long.statusCode).toBe(400);
+    expect(long.body.error.message).toBe(
+      "The Idempotency-Key header must be 1 to 255 characters"
+    );
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test("should keep keys for the configured number of hours", async () => {
+    const app = appWith((req, res) => res.status(201).json({ id: 1 }), {
+      ...config,
+      idempotencyKeyTtlHours: 2,
+    });
+
+    await request(app)
+      .post("/things")
+      .set("Idempotency-Key", "retry-1")
+      .send({ a: 1 });
+
+    expect(findIdempotencyKey.mock.calls[0][2]).toBe(2);
+  });
+});
@@ -0,0 +1,128 @@
+import request from "supertest";
+import app from "../app.js";
+import {
+  addCompanyToIndustry,
+  createIndustry,
+  createLazyTransaction,
+  findApiKey,
+  getAllIndustries,
+  getCompany,
+  getIndustry,
+} from "../db.js";
+
+jest.mock("pg", () => {
+  const mClient = {
+    connect: jest.fn(),
+    end: jest.fn(),
+    query: jest.fn(),
+    on: jest.fn(),
+  };
+  return { Pool: jest.fn(() => mClient) };
+});
+
+jest.mock("../db.js");
+
+const mockDbClient = {
+  query: jest.fn(),
+  finish: jest.fn(async () => {}),
+};
+
+/** Sends every request with an admin's API key */
+const api = request.agent(app).set("Authorization", "Bearer admin-key");
+
+describe("Industries Routes", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    createLazyTransaction.mockReturnValue(mockDbClient);
+    findApiKey.mockResolvedValue({ id: 1, name: "admin", role: "admin" });
+  });
+
+  test("GET /industries - should return industries with company codes", async () => {
+    const mockIndustries = [
+      { code: "acct", industry: "Accounting", companies: [] },
+      { code: "tech", industry: "Technology", companies: ["apple", "ibm"] },
+    ];
+    getAllIndustries.mockResolvedValueOnce(mockIndustries);
+
+    const res = await api.get("/industries");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ industries: mockIndustries });
+    expect(getAllIndustries).toHaveBeenCalledWith(mockDbClient);
+  });
+
+  test("POST /industries - should create a new industry", async () => {
+    const newIndustry = { code: "tech", industry: "Technology" };
+    createIndustry.mockResolvedValueOnce(newIndustry);
+
+    const res = await api.post("/industries").send(newIndustry);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toEqual({ industry: newIndustry });
+    expect(createIndustry).toHaveBeenCalledWith(
+      "tech",
+      "Technology",
+      mockDbClient
+    );
+  });
+
+  test("POST /industries/:code/companies - should associate a company", async () => {
+    const association = { comp_code: "apple", ind_code: "tech" };
+    getIndustry.mockResolvedValueOnce({
+      code: "tech",
+      industry: "Technology",
+    });
+    getCompany.mockResolvedValueOnce({ code: "apple", name: "Apple" });
+    addCompanyToIndustry.mockResolvedValueOnce(association);
+
+    const res = await api
+      .post("/industries/tech/companies")
+      .send({ comp_code: "apple" });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toEqual({ industry_company: association });
+    expect(addCompanyToIndustry).toHaveBeenCalledWith(
+      "tech",
+      "apple",
+      mockDbClient
+    );
+  });
+
+  test("POST /industries/:code/companies - should return 404 if industry not found", async () => {
+    getIndustry.mockResolvedValueOnce(undefined);
+
+    const res = await api
+      .post("/industries/nope/companies")
+      .send({ comp_code: "apple" });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error.message).toBe("Industry not found");
+    expect(addCompanyToIndustry).not.toHaveBeenCalled();
+  });
+
+  test("POST /industries/:code/companies - should return 404 if company not found", async () => {
+    getIndustry.mockResolvedValueOnce({
+      code: "tech",
+      industry: "Technology",
+    });
+    getCompany.mockResolvedValueOnce(undefined);
+
+    const res = await api
+      .post("/industries/tech/companies")
+      .send({ comp_code: "nope" });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error.message).toBe("Company not found");
+    expect(addCompanyToIndustry).not.toHaveBeenCalled();
+  });
+
+  test("POST /industries - should return 400 if the body is invalid", async () => {
+    const res = await api.post("/industries").send({ code: "tech" });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.errors).toEqual([
+      { field: "industry", message: 'requires property "industry"' },
+    ]);
+    expect(createIndustry).not.toHaveBeenCalled();
+  });
+});
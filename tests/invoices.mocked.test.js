@@ -1,12 +1,35 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
 import request from "supertest";
-import app from "../app.js";
+import app, { createApp } from "../app.js";
+import config from "../config.js";
 import {
   createInvoice,
+  createInvoiceLine,
+  createLazyTransaction,
+  createPayment,
   deleteInvoice,
-  getAllInvoices,
+  deleteInvoiceLine,
+  findApiKey,
+  findIdempotencyKey,
+  getCompany,
+  getDueInvoices,
   getInvoice,
+  getInvoiceCount,
+  getInvoiceLines,
+  getInvoicePayments,
+  getInvoicesByDateRange,
+  getLatestInvoice,
+  getPaidInvoices,
+  getUnpaidInvoices,
+  importRecords,
+  restoreInvoice,
+  saveIdempotencyKey,
   updateInvoice,
+  updateInvoiceLine,
 } from "../db";
+import ExpressError from "../expressError.js";
 
 jest.mock("pg", () => {
   const mClient = {
@@ -15,14 +38,31 @@ jest.mock("pg", () => {
     query: jest.fn(),
     on: jest.fn(),
   };
-  return { Client: jest.fn(() => mClient) };
+  return { Pool: jest.fn(() => mClient) };
 });
 
 jest.mock("../db.js");
 
+const mockDbClient = {
+  query: jest.fn(),
+  finish: jest.fn(async () => {}),
+};
+
+/** Sends every request with an admin's API key */
+const api = request.agent(app).set("Authorization", "Bearer admin-key");
+
+/** Runs the import's inserts like `importRecords` would, without failures */
+async function insertAll(records, insert, dryRun, client) {
+  const created = [];
+  for (const record of records) created.push(await insert(record, client));
+  return { created, failures: [] };
+}
+
 describe("Invoices Routes", () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    createLazyTransaction.mockReturnValue(mockDbClient);
+    findApiKey.mockResolvedValue({ id: 1, name: "admin", role: "admin" });
   });
 
   test("GET /invoices - should return a list of invoices", async () => {
@@ -30,16 +70,106 @@ describe("Invoices Routes", () => {
       { id: 1, comp_code: "c1" },
       { id: 2, comp_code: "c2" },
     ];
-    getAllInvoices.mockResolvedValueOnce(mockInvoices);
+    getInvoicesByDateRange.mockResolvedValueOnce(mockInvoices);
+
+    const res = await api.get("/invoices");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({
+      invoices: mockInvoices,
+      paging: {
+        limit: 25,
+        sort: "id",
+        count: 2,
+        next_cursor: null,
+        next: null,
+      },
+    });
+    expect(getInvoicesByDateRange).toHaveBeenCalledTimes(1);
+  });
+
+  test("GET /invoices - should pass filters and paging to the query", async () => {
+    const mockInvoices = [
+      { id: 3, comp_code: "c1", amt: 500 },
+      { id: 1, comp_code: "c1", amt: 300 },
+    ];
+    getInvoicesByDateRange.mockResolvedValueOnce(mockInvoices);
 
-    const res = await request(app).get("/invoices");
+    const res = await api.get(
+      "/invoices?comp_code=c1&paid=false&min_amt=100&max_amt=900" +
+        "&from=2024-01-01&to=2024-12-31&sort=-amt&limit=1"
+    );
 
     expect(res.statusCode).toBe(200);
-    expect(res.body).toEqual({ invoices: mockInvoices });
-    expect(getAllInvoices).toHaveBeenCalledTimes(1);
+    expect(res.body.invoices).toEqual([mockInvoices[0]]);
+    expect(getInvoicesByDateRange).toHaveBeenCalledWith(
+      "2024-01-01",
+      "2024-12-31",
+      mockDbClient,
+      {
+        filters: {
+          comp_code: "c1",
+          paid: "false",
+          min_amt: "100",
+          max_amt: "900",
+        },
+        sort: "-amt",
+        cursor: null,
+        limit: 2,
+        includeDeleted: false,
+      }
+    );
+    expect(res.body.paging).toMatchObject({
+      limit: 1,
+      sort: "-amt",
+      count: 1,
+    });
+    expect(res.body.paging.next).toMatch(
+      /^\/invoices\?comp_code=c1&.*&cursor=/
+    );
+  });
+
+  test("GET /invoices - should return 400 for invalid query parameters", async () => {
+    const res = await api.get(
+      "/invoices?paid=maybe&from=yesterday&min_amt=-1"
+    );
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.errors.map((e) => e.field)).toEqual([
+      "paid",
+      "min_amt",
+      "from",
+    ]);
+    expect(getInvoicesByDateRange).not.toHaveBeenCalled();
+  });
+
+  test("GET /invoices - should return 400 for amounts with more than 2 decimals", async () => {
+    const res = await api.get("/invoices?min_amt=0.001&max_amt=10.5");
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.errors.map((e) => e.field)).toEqual(["min_amt"]);
+    expect(getInvoicesByDateRange).not.toHaveBeenCalled();
+  });
+
+  test("GET /invoices - should return 400 for dates not on the calendar", async () => {
+    const res = await api.get("/invoices?from=2024-00-10&to=2024-02-30");
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.errors.map((e) => e.field)).toEqual(["from", "to"]);
+    expect(getInvoicesByDateRange).not.toHaveBeenCalled();
+  });
+
+  test("GET /invoices - should return 400 for an invalid limit or cursor", async () => {
+    let res = await api.get("/invoices?limit=1000");
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.errors[0].field).toBe("limit");
+
+    res = await api.get("/invoices?cursor=nonsense");
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.errors[0].field).toBe("cursor");
   });
 
-  test("GET /invoices/:id - should return an invoice", async () => {
+  test("GET /invoices/:id - should return an invoice with its lines", async () => {
     const mockInvoice = {
       id: 1,
       comp_code: "c1",
@@ -47,20 +177,44 @@ describe("Invoices Routes", () => {
       paid: false,
       add_date: "2023-01-01",
       paid_date: null,
+      version: 2,
     };
+    const mockLines = [
+      { id: 1, inv_id: 1, description: "Hours", quantity: 2, total: 100 },
+    ];
     getInvoice.mockResolvedValueOnce(mockInvoice);
+    getInvoiceLines.mockResolvedValueOnce(mockLines);
 
-    const res = await request(app).get("/invoices/1");
+    const res = await api.get("/invoices/1");
 
     expect(res.statusCode).toBe(200);
-    expect(res.body).toEqual({ invoice: mockInvoice });
-    expect(getInvoice).toHaveBeenCalledWith("1");
+    expect(res.body).toEqual({
+      invoice: { ...mockInvoice, lines: mockLines },
+    });
+    expect(res.get("ETag")).toBe('"2"');
+    expect(getInvoice).toHaveBeenCalledWith("1", mockDbClient, {
+      includeDeleted: false,
+    });
+  });
+
+  test("GET /invoices - should list deleted invoices for admins", async () => {
+    getInvoicesByDateRange.mockResolvedValueOnce([]);
+
+    const res = await api.get("/invoices?include_deleted=true");
+
+    expect(res.statusCode).toBe(200);
+    expect(getInvoicesByDateRange).toHaveBeenCalledWith(
+      undefined,
+      undefined,
+      mockDbClient,
+      expect.objectContaining({ includeDeleted: true })
+    );
   });
 
   test("GET /invoices/:id - should return 404 if invoice not found", async () => {
     getInvoice.mockResolvedValueOnce(null);
 
-    const res = await request(app).get("/invoices/1");
+    const res = await api.get("/invoices/1");
 
     expect(res.statusCode).toBe(404);
     expect(res.body.error.message).toBe("Invoice not found");
@@ -77,13 +231,139 @@ describe("Invoices Routes", () => {
     };
     createInvoice.mockResolvedValueOnce(newInvoice);
 
-    const res = await request(app)
+    const res = await api
       .post("/invoices")
       .send({ comp_code: "c1", amt: 100 });
 
     expect(res.statusCode).toBe(201);
     expect(res.body).toEqual({ invoice: newInvoice });
-    expect(createInvoice).toHaveBeenCalledWith("c1", 100);
+    expect(createInvoice).toHaveBeenCalledWith(
+      "c1",
+      100,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      mockDbClient
+    );
+  });
+
+  test("POST /invoices - should replay a retry with the same Idempotency-Key", async () => {
+    const newInvoice = { id: 1, comp_code: "c1", amt: 100 };
+    createInvoice.mockResolvedValueOnce(newInvoice);
+    saveIdempotencyKey.mockResolvedValueOnce();
+
+    const res = await api
+      .post("/invoices")
+      .set("Idempotency-Key", "invoice-c1-1")
+      .send({ comp_code: "c1", amt: 100 });
+
+    expect(res.statusCode).toBe(201);
+    expect(findIdempotencyKey).toHaveBeenCalledWith(
+      1,
+      "invoice-c1-1",
+      24,
+      mockDbClient
+    );
+    const [, , requestHash, status, body] = saveIdempotencyKey.mock.calls[0];
+    expect([status, body]).toEqual([201, { invoice: newInvoice }]);
+
+    findIdempotencyKey.mockResolvedValueOnce({
+      request_hash: requestHash,
+      response_status: status,
+      response_body: body,
+    });
+    const retry = await api
+      .post("/invoices")
+      .set("Idempotency-Key", "invoice-c1-1")
+      .send({ comp_code: "c1", amt: 100 });
+
+    expect(retry.statusCode).toBe(201);
+    expect(retry.body).toEqual({ invoice: newInvoice });
+    expect(retry.headers["idempotent-replayed"]).toBe("true");
+    expect(createInvoice).toHaveBeenCalledTimes(1);
+  });
+
+  test("POST /invoices - should create an invoice from its lines", async () => {
+    const lines = [
+      { description: "Hours", quantity: 2, unit_price: 50 },
+      { description: "Travel", quantity: 1, unit_price: 30, discount: 10 },
+    ];
+    createInvoice.mockResolvedValueOnce({ id: 1, amt: 120, lines });
+
+    const res = await api.post("/invoices").send({ comp_code: "c1", lines });
+
+    expect(res.statusCode).toBe(201);
+    expect(createInvoice).toHaveBeenCalledWith(
+      "c1",
+      lines,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      mockDbClient
+    );
+  });
+
+  test("POST /invoices - should pass on the currency", async () => {
+    createInvoice.mockResolvedValueOnce({ id: 1, currency: "EUR" });
+
+    let res = await api
+      .post("/invoices")
+      .send({ comp_code: "c1", amt: 100, currency: "EUR" });
+    expect(res.statusCode).toBe(201);
+    expect(createInvoice.mock.calls[0][5]).toBe("EUR");
+
+    res = await api
+      .post("/invoices")
+      .send({ comp_code: "c1", amt: 100, currency: "euros" });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.errors[0].field).toBe("currency");
+  });
+
+  test("POST /invoices - should accept exact amounts only", async () => {
+    createInvoice.mockResolvedValueOnce({ id: 1, amt: "10.50" });
+
+    let res = await api
+      .post("/invoices")
+      .send({ comp_code: "c1", amt: "10.50" });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.invoice.amt).toBe("10.50");
+    expect(createInvoice.mock.calls[0][1]).toBe("10.50");
+
+    res = await api.post("/invoices").send({ comp_code: "c1", amt: 10.005 });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.errors[0].field).toBe("amt");
+
+    res = await api.post("/invoices").send({ comp_code: "c1", amt: "10.505" });
+    expect(res.statusCode).toBe(400);
+    expect(createInvoice).toHaveBeenCalledTimes(1);
+  });
+
+  test("POST /invoices - should need exactly one of amt and lines", async () => {
+    let res = await api.post("/invoices").send({ comp_code: "c1" });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.errors).toEqual([
+      { field: "amt", message: "is required unless lines are given" },
+    ]);
+
+    res = await api.post("/invoices").send({
+      comp_code: "c1",
+      amt: 100,
+      lines: [{ description: "Hours", quantity: 1, unit_price: 100 }],
+    });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.errors[0].field).toBe("amt");
+
+    res = await api
+      .post("/invoices")
+      .send({ comp_code: "c1", lines: [{ description: "Hours" }] });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.errors.map((e) => e.field)).toEqual([
+      "lines[0].quantity",
+      "lines[0].unit_price",
+    ]);
+    expect(createInvoice).not.toHaveBeenCalled();
   });
 
   test("PUT /invoices/:id - should update an existing invoice", async () => {
@@ -97,17 +377,41 @@ describe("Invoices Routes", () => {
     };
     updateInvoice.mockResolvedValueOnce(updatedInvoice);
 
-    const res = await request(app).put("/invoices/1").send({ amt: 200 });
+    const res = await api.put("/invoices/1").send({ amt: 200 });
 
     expect(res.statusCode).toBe(200);
     expect(res.body).toEqual({ invoice: updatedInvoice });
-    expect(updateInvoice).toHaveBeenCalledWith("1", { amt: 200 });
+    expect(updateInvoice).toHaveBeenCalledWith(
+      "1",
+      { amt: 200 },
+      mockDbClient,
+      { version: undefined }
+    );
+  });
+
+  test("PUT /invoices/:id - should return 412 if the invoice changed", async () => {
+    updateInvoice.mockRejectedValueOnce(
+      new ExpressError("The record has changed since it was read", 412)
+    );
+
+    const res = await api
+      .put("/invoices/1")
+      .set("If-Match", '"2"')
+      .send({ amt: 200 });
+
+    expect(res.statusCode).toBe(412);
+    expect(updateInvoice).toHaveBeenCalledWith(
+      "1",
+      { amt: 200 },
+      mockDbClient,
+      { version: 2 }
+    );
   });
 
   test("PUT /invoices/:id - should return 404 if invoice not found", async () => {
     updateInvoice.mockResolvedValueOnce(null);
 
-    const res = await request(app).put("/invoices/1").send({ amt: 200 });
+    const res = await api.put("/invoices/1").send({ amt: 200 });
 
     expect(res.statusCode).toBe(404);
     expect(res.body.error.message).toBe("Invoice not found");
@@ -124,19 +428,532 @@ describe("Invoices Routes", () => {
     };
     deleteInvoice.mockResolvedValueOnce(mockInvoice);
 
-    const res = await request(app).delete("/invoices/1");
+    const res = await api.delete("/invoices/1");
 
     expect(res.statusCode).toBe(200);
     expect(res.body).toEqual({ status: "deleted" });
-    expect(deleteInvoice).toHaveBeenCalledWith("1");
+    expect(deleteInvoice).toHaveBeenCalledWith("1", mockDbClient, {
+      version: undefined,
+    });
+  });
+
+  test("POST /invoices/:id/restore - should restore an invoice", async () => {
+    const mockInvoice = { id: 1, comp_code: "c1", deleted_at: null };
+    restoreInvoice.mockResolvedValueOnce(mockInvoice);
+
+    const res = await api.post("/invoices/1/restore");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ invoice: mockInvoice });
+    expect(restoreInvoice).toHaveBeenCalledWith("1", mockDbClient);
+  });
+
+  test("POST /invoices/:id/restore - should only let admins restore", async () => {
+    findApiKey.mockResolvedValueOnce({
+      id: 2,
+      name: "books",
+      role: "accountant",
+    });
+
+    const res = await api.post("/invoices/1/restore");
+
+    expect(res.statusCode).toBe(403);
+    expect(restoreInvoice).not.toHaveBeenCalled();
   });
 
   test("DELETE /invoices/:id - should return 404 if invoice not found", async () => {
     deleteInvoice.mockResolvedValueOnce(null);
 
-    const res = await request(app).delete("/invoices/1");
+    const res = await api.delete("/invoices/1");
 
     expect(res.statusCode).toBe(404);
     expect(res.body.error.message).toBe("Invoice not found");
   });
+
+  test("POST /invoices - should return 400 if the body is invalid", async () => {
+    const res = await api.post("/invoices").send({ amt: -5 });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.errors).toEqual([
+      { field: "amt", message: "must be strictly greater than 0" },
+      { field: "comp_code", message: 'requires property "comp_code"' },
+    ]);
+    expect(createInvoice).not.toHaveBeenCalled();
+  });
+
+  test("PUT /invoices/:id - should return 400 for invalid field values", async () => {
+    const res = await api
+      .put("/invoices/1")
+      .send({ paid: "yes", paid_date: "not-a-date" });
+
+    expect(res.statusCode).toBe(400);
+    const fields = res.body.error.errors.map((e) => e.field);
+    expect(fields).toEqual(["paid", "paid_date"]);
+    expect(updateInvoice).not.toHaveBeenCalled();
+  });
+
+  test("PUT /invoices/:id - should return 400 for a paid date not on the calendar", async () => {
+    const res = await api
+      .put("/invoices/1")
+      .send({ paid: true, paid_date: "2030-02-31" });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.errors.map((e) => e.field)).toEqual(["paid_date"]);
+    expect(updateInvoice).not.toHaveBeenCalled();
+  });
+
+  test("GET /invoices - should return 400 if from is after to", async () => {
+    const res = await api.get("/invoices?from=2024-12-31&to=2024-01-01");
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.errors).toEqual([
+      { field: "to", message: "must not be before from" },
+    ]);
+    expect(getInvoicesByDateRange).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ["/invoices/unpaid", getUnpaidInvoices],
+    ["/invoices/paid", getPaidInvoices],
+    ["/invoices/overdue", getDueInvoices],
+  ])(
+    "GET %s - should return a page of the matching invoices",
+    async (url, query) => {
+      const mockInvoices = [{ id: 1, comp_code: "c1" }];
+      query.mockResolvedValueOnce(mockInvoices);
+
+      const res = await api.get(url);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({
+        invoices: mockInvoices,
+        paging: {
+          limit: 25,
+          sort: "id",
+          count: 1,
+          next_cursor: null,
+          next: null,
+        },
+      });
+      expect(query).toHaveBeenCalledWith(mockDbClient, {
+        sort: undefined,
+        cursor: null,
+        limit: 26,
+      });
+      expect(getInvoice).not.toHaveBeenCalled();
+    }
+  );
+
+  test("GET /invoices/unpaid - should link to the next page", async () => {
+    const mockInvoices = [
+      { id: 3, comp_code: "c1", amt: 500 },
+      { id: 1, comp_code: "c1", amt: 300 },
+    ];
+    getUnpaidInvoices.mockResolvedValueOnce(mockInvoices);
+
+    const res = await api.get("/invoices/unpaid?sort=-amt&limit=1");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.invoices).toEqual([mockInvoices[0]]);
+    expect(getUnpaidInvoices).toHaveBeenCalledWith(mockDbClient, {
+      sort: "-amt",
+      cursor: null,
+      limit: 2,
+    });
+    expect(res.body.paging.next).toMatch(
+      /^\/invoices\/unpaid\?sort=-amt&limit=1&cursor=/
+    );
+  });
+
+  test("GET /invoices/overdue - should return 400 for an invalid limit or a filter", async () => {
+    let res = await api.get("/invoices/overdue?limit=1000");
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.errors[0].field).toBe("limit");
+
+    res = await api.get("/invoices/overdue?paid=true");
+    expect(res.statusCode).toBe(400);
+    expect(getDueInvoices).not.toHaveBeenCalled();
+  });
+
+  test("GET /invoices/latest - should return the latest invoice", async () => {
+    const mockInvoice = { id: 4, comp_code: "c1", amt: 100 };
+    getLatestInvoice.mockResolvedValueOnce(mockInvoice);
+
+    const res = await api.get("/invoices/latest");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ invoice: mockInvoice });
+  });
+
+  test("GET /invoices/latest - should return 404 if there are no invoices", async () => {
+    getLatestInvoice.mockResolvedValueOnce(undefined);
+
+    const res = await api.get("/invoices/latest");
+
+    expect(res.statusCode).toBe(404);
+  });
+
+  test("GET /invoices/count - should return the number of invoices", async () => {
+    getInvoiceCount.mockResolvedValueOnce(4);
+
+    const res = await api.get("/invoices/count");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ count: 4 });
+  });
+
+  test("POST /invoices - should return 422 for an unknown company", async () => {
+    createInvoice.mockRejectedValueOnce(
+      Object.assign(new Error("insert or update violates foreign key"), {
+        code: "23503",
+        severity: "ERROR",
+        table: "invoices",
+        detail: 'Key (comp_code)=(nope) is not present in table "companies".',
+      })
+    );
+
+    const res = await api
+      .post("/invoices")
+      .send({ comp_code: "nope", amt: 100 });
+
+    expect(res.statusCode).toBe(422);
+    expect(res.body.error).toEqual({
+      message: "Company not found",
+      status: 422,
+      errors: [
+        { field: "comp_code", message: "does not match an existing company" },
+      ],
+    });
+  });
+
+  test.each([
+    ["abc", 'invalid input syntax for type integer: "abc"', "22P02"],
+    [
+      "99999999999",
+      'value "99999999999" is out of range for type integer',
+      "22003",
+    ],
+  ])(
+    "GET /invoices/%s - should return 400 naming the id",
+    async (id, message, code) => {
+      getInvoice.mockRejectedValueOnce(
+        Object.assign(new Error(message), { code, severity: "ERROR" })
+      );
+
+      const res = await api.get(`/invoices/${id}`);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error.errors).toEqual([
+        {
+          field: "id",
+          message:
+            code === "22P02" ? "is not a valid integer" : "is out of range",
+        },
+      ]);
+    }
+  );
+
+  test("GET /invoices/:id/payments - should list the payments of an invoice", async () => {
+    const mockPayments = [
+      { id: 1, inv_id: 1, amt: 50, paid_on: "2024-05-21" },
+    ];
+    getInvoice.mockResolvedValueOnce({ id: 1 });
+    getInvoicePayments.mockResolvedValueOnce(mockPayments);
+
+    const res = await api.get("/invoices/1/payments");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ payments: mockPayments });
+    expect(getInvoicePayments).toHaveBeenCalledWith("1", mockDbClient);
+  });
+
+  test("GET /invoices/:id/payments - should return 404 if invoice not found", async () => {
+    getInvoice.mockResolvedValueOnce(undefined);
+
+    const res = await api.get("/invoices/1/payments");
+
+    expect(res.statusCode).toBe(404);
+    expect(getInvoicePayments).not.toHaveBeenCalled();
+  });
+
+  test("POST /invoices/:id/payments - should record a payment", async () => {
+    const result = {
+      payment: { id: 1, inv_id: 1, amt: 50, paid_on: "2024-05-21" },
+      invoice: { id: 1, amt: 100, paid: false, amt_paid: 50, balance: 50 },
+    };
+    createPayment.mockResolvedValueOnce(result);
+
+    const res = await api
+      .post("/invoices/1/payments")
+      .send({ amt: 50, paid_on: "2024-05-21" });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toEqual(result);
+    expect(createPayment).toHaveBeenCalledWith(
+      "1",
+      50,
+      "2024-05-21",
+      mockDbClient
+    );
+  });
+
+  test("POST /invoices/:id/payments - should return 404 if invoice not found", async () => {
+    createPayment.mockResolvedValueOnce(undefined);
+
+    const res = await api.post("/invoices/1/payments").send({ amt: 50 });
+
+    expect(res.statusCode).toBe(404);
+  });
+
+  test("POST /invoices/:id/payments - should return 400 for a non-positive amount", async () => {
+    const res = await api.post("/invoices/1/payments").send({ amt: 0 });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.errors[0].field).toBe("amt");
+    expect(createPayment).not.toHaveBeenCalled();
+  });
+
+  test("POST /invoices/:id/payments - should return 400 for a date not on the calendar", async () => {
+    const res = await api
+      .post("/invoices/1/payments")
+      .send({ amt: 50, paid_on: "2024-00-01" });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.errors.map((e) => e.field)).toEqual(["paid_on"]);
+    expect(createPayment).not.toHaveBeenCalled();
+  });
+
+  test("GET /invoices/:id/lines - should list the lines of an invoice", async () => {
+    const mockLines = [{ id: 1, inv_id: 1, description: "Hours", total: 100 }];
+    getInvoice.mockResolvedValueOnce({ id: 1 });
+    getInvoiceLines.mockResolvedValueOnce(mockLines);
+
+    const res = await api.get("/invoices/1/lines");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ lines: mockLines });
+  });
+
+  test("GET /invoices/:id/lines - should return 404 if invoice not found", async () => {
+    getInvoice.mockResolvedValueOnce(undefined);
+
+    const res = await api.get("/invoices/1/lines");
+
+    expect(res.statusCode).toBe(404);
+  });
+
+  test("POST /invoices/:id/lines - should add a line", async () => {
+    const line = { description: "Hours", quantity: 2, unit_price: 50 };
+    const result = {
+      line: { id: 1, inv_id: 1, ...line, discount: 0, total: 100 },
+      invoice: { id: 1, amt: 100 },
+    };
+    createInvoiceLine.mockResolvedValueOnce(result);
+
+    const res = await api.post("/invoices/1/lines").send(line);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toEqual(result);
+    expect(createInvoiceLine).toHaveBeenCalledWith("1", line, mockDbClient);
+  });
+
+  test("POST /invoices/:id/lines - should return 400 for a negative discount", async () => {
+    const res = await api.post("/invoices/1/lines").send({
+      description: "Hours",
+      quantity: 2,
+      unit_price: 50,
+      discount: -1,
+    });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.errors[0].field).toBe("discount");
+    expect(createInvoiceLine).not.toHaveBeenCalled();
+  });
+
+  test("PUT /invoices/:id/lines/:lineId - should update a line", async () => {
+    const result = {
+      line: { id: 2, inv_id: 1, quantity: 3, total: 150 },
+      invoice: { id: 1, amt: 150 },
+    };
+    updateInvoiceLine.mockResolvedValueOnce(result);
+
+    const res = await api.put("/invoices/1/lines/2").send({ quantity: 3 });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual(result);
+    expect(updateInvoiceLine).toHaveBeenCalledWith(
+      "1",
+      "2",
+      { quantity: 3 },
+      mockDbClient
+    );
+  });
+
+  test("PUT /invoices/:id/lines/:lineId - should return 404 if line not found", async () => {
+    updateInvoiceLine.mockResolvedValueOnce(undefined);
+
+    const res = await api.put("/invoices/1/lines/2").send({ quantity: 3 });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error.message).toBe("Invoice line not found");
+  });
+
+  test("DELETE /invoices/:id/lines/:lineId - should delete a line", async () => {
+    const invoice = { id: 1, amt: 100 };
+    deleteInvoiceLine.mockResolvedValueOnce({ line: { id: 2 }, invoice });
+
+    const res = await api.delete("/invoices/1/lines/2");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ status: "deleted", invoice });
+    expect(deleteInvoiceLine).toHaveBeenCalledWith("1", "2", mockDbClient);
+  });
+
+  describe("POST /invoices/import", () => {
+    test("should add every row", async () => {
+      importRecords.mockImplementationOnce(insertAll);
+      createInvoice
+        .mockResolvedValueOnce({ id: 1 })
+        .mockResolvedValueOnce({ id: 2 });
+
+      const res = await api
+        .post("/invoices/import")
+        .set("Content-Type", "text/csv")
+        .send(
+          "comp_code,amt,currency,paid,add_date,paid_date\n" +
+            "apple,100.50,,false,,\n" +
+            "ibm,200,EUR,true,2024-01-05,2024-01-20\n"
+        );
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body).toEqual({ invoices: [{ id: 1 }, { id: 2 }] });
+      expect(createInvoice.mock.calls).toEqual([
+        [
+          "apple",
+          "100.50",
+          false,
+          undefined,
+          undefined,
+          undefined,
+          mockDbClient,
+        ],
+        ["ibm", "200", true, "2024-01-05", "2024-01-20", "EUR", mockDbClient],
+      ]);
+    });
+
+    test("should report invalid rows without importing any", async () => {
+      const res = await api
+        .post("/invoices/import")
+        .set("Content-Type", "text/csv")
+        .send("comp_code,amt,add_date\napple,-5,2024-02-30\n,10,soon\n");
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error.errors.map((e) => [e.row, e.field])).toEqual([
+        [2, "amt"],
+        [2, "add_date"],
+        [3, "add_date"],
+        [3, "comp_code"],
+      ]);
+      expect(importRecords).not.toHaveBeenCalled();
+    });
+
+    test("should return 400 for an invalid dry_run", async () => {
+      const res = await api
+        .post("/invoices/import?dry_run=yes")
+        .set("Content-Type", "text/csv")
+        .send("comp_code,amt\napple,10\n");
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error.errors[0].field).toBe("dry_run");
+    });
+  });
+
+  describe("GET /invoices/:id.html and .pdf", () => {
+    const invoice = {
+      id: 7,
+      comp_code: "apple",
+      amt: "150.00",
+      paid: false,
+      add_date: "2024-01-05T00:00:00.000Z",
+      paid_date: null,
+      due_date: "2024-02-04T00:00:00.000Z",
+      currency: "USD",
+      amt_paid: "40.00",
+      balance: "110.00",
+    };
+    const company = {
+      code: "apple",
+      name: "Apple & Co",
+      description: "Maker of <things>",
+    };
+    const lines = [
+      {
+        id: 1,
+        inv_id: 7,
+        description: "Design",
+        quantity: "3.000",
+        unit_price: "50.00",
+        discount: "0.00",
+        total: "150.00",
+      },
+    ];
+
+    test("should render the invoice as HTML", async () => {
+      getInvoice.mockResolvedValueOnce(invoice);
+      getCompany.mockResolvedValueOnce(company);
+      getInvoiceLines.mockResolvedValueOnce(lines);
+
+      const res = await api.get("/invoices/7.html");
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers["content-type"]).toMatch(/^text\/html/);
+      expect(res.text).toContain("<h1>Apple &amp; Co</h1>");
+      expect(res.text).toContain("Maker of &lt;things&gt;");
+      expect(res.text).toContain("Due: 2024-02-04");
+      expect(res.text).toContain("<td>Design</td>");
+      expect(res.text).toContain("<strong>110.00 USD</strong>");
+      expect(getInvoice).toHaveBeenCalledWith("7", mockDbClient);
+      expect(getCompany).toHaveBeenCalledWith("apple", mockDbClient);
+    });
+
+    test("should only show the invoice to overriding templates", async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "templates-"));
+      fs.writeFileSync(
+        path.join(dir, "invoice.html"),
+        "{{invoice.id}}|{{config.databaseUrl}}{{pool}}{{settings.env}}"
+      );
+      getInvoice.mockResolvedValueOnce(invoice);
+      getCompany.mockResolvedValueOnce(company);
+      getInvoiceLines.mockResolvedValueOnce(lines);
+
+      const res = await request(createApp({ ...config, templatesDir: dir }))
+        .get("/invoices/7.html")
+        .set("Authorization", "Bearer admin-key");
+
+      expect(res.statusCode).toBe(200);
+      expect(res.text).toBe("7|");
+      fs.rmSync(dir, { recursive: true });
+    });
+
+    test("should render the invoice as a PDF", async () => {
+      getInvoice.mockResolvedValueOnce(invoice);
+      getCompany.mockResolvedValueOnce(company);
+      getInvoiceLines.mockResolvedValueOnce([]);
+
+      const res = await api.get("/invoices/7.pdf").responseType("blob");
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers["content-type"]).toBe("application/pdf");
+      expect(res.body.subarray(0, 5).toString()).toBe("%PDF-");
+    });
+
+    test("should return 404 if invoice not found", async () => {
+      getInvoice.mockResolvedValueOnce(undefined);
+
+      const res = await api.get("/invoices/99.pdf");
+
+      expect(res.statusCode).toBe(404);
+      expect(getCompany).not.toHaveBeenCalled();
+    });
+  });
 });
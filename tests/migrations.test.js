@@ -0,0 +1,257 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  createMigration,
+  migrateDown,
+  migrateUp,
+  migrationId,
+  migrationStatus,
+  readMigrations,
+} from "../utils/migrations.js";
+
+/** Temporary directories made by `migrationsDir`, removed after the tests */
+const dirs = [];
+
+afterAll(() => {
+  for (const dir of dirs) fs.rmSync(dir, { recursive: true });
+});
+
+/** Makes a temporary migrations directory holding `files` */
+function migrationsDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+  dirs.push(dir);
+  for (const [file, sql] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, file), sql);
+  }
+  return dir;
+}
+
+/**
+ * A client whose 'schema_migrations' table holds `applied`, recording the
+ * SQL it runs in `client.queries`.
+ */
+function clientWith(applied) {
+  const client = {
+    queries: [],
+    query: jest.fn(async (sql) => {
+      client.queries.push(sql.replace(/\s+/g, " ").trim());
+      if (sql.startsWith("SELECT version, name, applied_at")) {
+        return { rows: applied };
+      }
+      if (sql.includes("fail")) throw new Error("syntax error");
+      return { rows: [] };
+    }),
+  };
+  return client;
+}
+
+const MIGRATIONS = [
+  { version: 1, name: "initial_schema", up: "up 1", down: "down 1" },
+  { version: 2, name: "add_notes", up: "up 2", down: "down 2" },
+  { version: 3, name: "add_tags", up: "up 3", down: null },
+];
+
+describe("readMigrations", () => {
+  test("should pair up and down files by version", async () => {
+    const dir = migrationsDir({
+      "0002_add_notes.up.sql": "up 2",
+      "0001_initial_schema.down.sql": "down 1",
+      "0001_initial_schema.up.sql": "up 1",
+      "0010_add_tags.up.sql": "up 10",
+      "README.md": "Not a migration",
+    });
+
+    expect(await readMigrations(dir)).toEqual([
+      { version: 1, name: "initial_schema", up: "up 1", down: "down 1" },
+      { version: 2, name: "add_notes", up: "up 2", down: null },
+      { version: 10, name: "add_tags", up: "up 10", down: null },
+    ]);
+  });
+
+  test("should refuse misnamed, clashing and incomplete migrations", async () => {
+    await expect(
+      readMigrations(migrationsDir({ "add notes.sql": "" }))
+    ).rejects.toThrow("add notes.sql isn't named like a migration");
+    await expect(
+      readMigrations(
+        migrationsDir({
+          "0002_add_notes.up.sql": "",
+          "0002_add_tags.up.sql": "",
+        })
+      )
+    ).rejects.toThrow("Migrations add_notes and add_tags share version 2");
+    await expect(
+      readMigrations(migrationsDir({ "0002_add_notes.down.sql": "" }))
+    ).rejects.toThrow("Migration 0002_add_notes has no up file");
+  });
+});
+
+describe("the migrations of the repo", () => {
+  test("should drop everything they create when reverted", async () => {
+    const migrations = await readMigrations(path.resolve("migrations"));
+    const [initial] = migrations;
+    const created = [
+      ...initial.up.matchAll(/^CREATE (TABLE|FUNCTION) (\w+)/gm),
+    ];
+    const dropped = [
+      ...initial.down.matchAll(/^DROP (TABLE|FUNCTION) (\w+)/gm),
+    ];
+
+    expect(migrationId(initial)).toBe("0001_initial_schema");
+    expect(dropped.map((m) => m[2]).sort()).toEqual(
+      created.map((m) => m[2]).sort()
+    );
+  });
+});
+
+describe("migrateUp", () => {
+  test("should apply pending migrations in order under the lock", async () => {
+    const client = clientWith([{ version: 1, name: "initial_schema" }]);
+
+    const applied = await migrateUp(client, MIGRATIONS);
+
+    expect(applied.map((m) => m.version)).toEqual([2, 3]);
+    expect(client.queries[0]).toContain("pg_advisory_lock");
+    expect(client.queries[1]).toContain(
+      "CREATE TABLE IF NOT EXISTS schema_migrations"
+    );
+    expect(client.queries.slice(3, 8)).toEqual([
+      "BEGIN",
+      "SELECT set_config('biztime.actor', 'migrate', true)",
+      "up 2",
+      "INSERT INTO schema_migrations (version, name) VALUES ($1, $2)",
+      "COMMIT",
+    ]);
+    expect(client.queries[10]).toBe("up 3");
+    expect(client.query).toHaveBeenCalledWith(expect.any(String), [
+      3,
+      "add_tags",
+    ]);
+    expect(client.queries[client.queries.length - 1]).toContain(
+      "pg_advisory_unlock"
+    );
+  });
+
+  test("should apply only as many as asked", async () => {
+    const client = clientWith([]);
+
+    const applied = await migrateUp(client, MIGRATIONS, 1);
+
+    expect(applied.map((m) => m.version)).toEqual([1]);
+    expect(client.queries).not.toContain("up 2");
+  });
+
+  test("should roll back a failed migration and release the lock", async () => {
+    const client = clientWith([]);
+    const migrations = [
+      MIGRATIONS[0],
+      { version: 2, name: "broken", up: "fail", down: null },
+      MIGRATIONS[2],
+    ];
+
+    await expect(migrateUp(client, migrations)).rejects.toThrow(
+      "syntax error"
+    );
+    expect(client.queries).toContain("ROLLBACK");
+    expect(client.queries).not.toContain("up 3");
+    expect(client.queries[client.queries.length - 1]).toContain(
+      "pg_advisory_unlock"
+    );
+  });
+
+  test("should report the failed migration if ROLLBACK fails too", async () => {
+    const client = clientWith([]);
+    const query = client.query.getMockImplementation();
+    client.query.mockImplementation(async (sql) => {
+      if (sql === "ROLLBACK") throw new Error("connection terminated");
+      return query(sql);
+    });
+    const migrations = [
+      { version: 1, name: "broken", up: "fail", down: null },
+    ];
+
+    await expect(migrateUp(client, migrations)).rejects.toThrow(
+      "syntax error"
+    );
+    expect(client.queries[client.queries.length - 1]).toContain(
+      "pg_advisory_unlock"
+    );
+  });
+});
+
+describe("migrateDown", () => {
+  test("should revert the latest migrations, newest first", async () => {
+    const client = clientWith([
+      { version: 1, name: "initial_schema" },
+      { version: 2, name: "add_notes" },
+    ]);
+
+    const reverted = await migrateDown(client, MIGRATIONS, 2);
+
+    expect(reverted.map((m) => m.version)).toEqual([2, 1]);
+    const downs = client.queries.filter((sql) => sql.startsWith("down"));
+    expect(downs).toEqual(["down 2", "down 1"]);
+    expect(client.queries).toContain(
+      "DELETE FROM schema_migrations WHERE version = $1 AND name = $2"
+    );
+  });
+
+  test("should refuse to revert a migration without a down file", async () => {
+    const client = clientWith([
+      { version: 2, name: "add_notes" },
+      { version: 3, name: "add_tags" },
+    ]);
+
+    await expect(migrateDown(client, MIGRATIONS, 2)).rejects.toThrow(
+      "Migration 0003_add_tags can't be reverted: it has no down file"
+    );
+    expect(client.queries).not.toContain("down 2");
+  });
+});
+
+describe("migrationStatus", () => {
+  test("should list applied, pending and missing migrations", async () => {
+    const appliedAt = new Date("2024-05-01T00:00:00Z");
+    const client = clientWith([
+      { version: 1, name: "initial_schema", applied_at: appliedAt },
+      { version: 4, name: "dropped", applied_at: appliedAt },
+    ]);
+
+    expect(await migrationStatus(client, MIGRATIONS)).toEqual([
+      {
+        version: 1,
+        name: "initial_schema",
+        state: "applied",
+        applied_at: appliedAt,
+      },
+      { version: 2, name: "add_notes", state: "pending", applied_at: null },
+      { version: 3, name: "add_tags", state: "pending", applied_at: null },
+      { version: 4, name: "dropped", state: "missing", applied_at: appliedAt },
+    ]);
+  });
+});
+
+describe("createMigration", () => {
+  test("should number a new migration after the latest one", async () => {
+    const dir = migrationsDir({ "0009_add_notes.up.sql": "up 9" });
+
+    const files = await createMigration(dir, "Add invoice tags!");
+
+    expect(files.map((file) => path.basename(file))).toEqual([
+      "0010_add_invoice_tags.up.sql",
+      "0010_add_invoice_tags.down.sql",
+    ]);
+    expect(await readMigrations(dir)).toHaveLength(2);
+  });
+
+  test("should start at 0001 and need a name", async () => {
+    const dir = migrationsDir({});
+
+    const [up] = await createMigration(dir, "initial schema");
+    expect(path.basename(up)).toBe("0001_initial_schema.up.sql");
+    await expect(createMigration(dir, "!!!")).rejects.toThrow(
+      "The migration needs a name"
+    );
+  });
+});
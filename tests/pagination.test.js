@@ -0,0 +1,70 @@
+import {
+  decodeCursor,
+  encodeCursor,
+  paginate,
+  parseLimit,
+  parseSort,
+  sqlForKeysetPage,
+} from "../utils/pagination.js";
+
+describe("pagination helpers", () => {
+  it("should round-trip cursors, storing dates as calendar dates", () => {
+    const cursor = encodeCursor([new Date("2024-05-20T00:00:00Z"), 7]);
+    expect(decodeCursor(cursor)).toEqual(["2024-05-20", 7]);
+    expect(decodeCursor(undefined)).toBeNull();
+    expect(() => decodeCursor("nonsense")).toThrow("Invalid fields: cursor");
+  });
+
+  it("should parse limits and sorts", () => {
+    expect(parseLimit(undefined)).toBe(25);
+    expect(parseLimit("10")).toBe(10);
+    expect(() => parseLimit("0")).toThrow("Invalid fields: limit");
+    expect(parseSort("-amt", ["id", "amt"], "id")).toEqual({
+      column: "amt",
+      direction: "DESC",
+    });
+    expect(() => parseSort("paid", ["id", "amt"], "id")).toThrow(
+      "Invalid fields: sort"
+    );
+  });
+
+  it("should build keyset conditions after the filter parameters", () => {
+    const page = sqlForKeysetPage(
+      {
+        sort: { column: "add_date", direction: "ASC" },
+        key: "id",
+        cursor: ["2024-05-20", 7],
+        limit: 26,
+      },
+      3
+    );
+    expect(page).toEqual({
+      conditions: ['("add_date", "id") > ($3, $4)'],
+      orderBy: 'ORDER BY "add_date" ASC, "id" ASC',
+      limit: "LIMIT $5",
+      values: ["2024-05-20", 7, 26],
+    });
+  });
+
+  it("should split off the extra row into a next page link", () => {
+    const req = {
+      query: { sort: "-amt", limit: "2" },
+      originalUrl: "/invoices?sort=-amt&limit=2",
+    };
+    const rows = [
+      { id: 1, amt: 300 },
+      { id: 2, amt: 200 },
+      { id: 3, amt: 100 },
+    ];
+    const { items, paging } = paginate(
+      rows,
+      { limit: 2, sort: "-amt", key: "id" },
+      req
+    );
+    expect(items).toEqual(rows.slice(0, 2));
+    expect(decodeCursor(paging.next_cursor)).toEqual([200, 2]);
+    expect(paging.next).toBe(
+      `/invoices?sort=-amt&limit=2&cursor=${paging.next_cursor}`
+    );
+  });
+});
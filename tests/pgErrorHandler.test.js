@@ -0,0 +1,131 @@
+import { translatePgError } from "../middleware/pgErrorHandler.js";
+
+/** Builds an error shaped like the ones pg rejects queries with */
+function pgError(fields) {
+  return Object.assign(new Error(fields.message || "pg error"), {
+    severity: "ERROR",
+    ...fields,
+  });
+}
+
+describe("translatePgError", () => {
+  const req = { routeParams: {}, body: {} };
+
+  it("should map unique violations to 409", () => {
+    const err = translatePgError(
+      pgError({
+        code: "23505",
+        table: "companies",
+        constraint: "companies_name_key",
+        detail: "Key (name)=(Apple Computer) already exists.",
+      }),
+      req
+    );
+    expect(err).toMatchObject({
+      status: 409,
+      message: "Company with this name already exists",
+      errors: [{ field: "name", message: "is already taken" }],
+    });
+  });
+
+  it("should map a missing parent in the body to 422", () => {
+    const err = translatePgError(
+      pgError({
+        code: "23503",
+        table: "invoices",
+        detail: 'Key (comp_code)=(nope) is not present in table "companies".',
+      }),
+      { routeParams: {}, body: { comp_code: "nope", amt: 10 } }
+    );
+    expect(err).toMatchObject({
+      status: 422,
+      message: "Company not found",
+      errors: [{ field: "comp_code" }],
+    });
+  });
+
+  it("should map a missing parent outside the body to 404", () => {
+    const err = translatePgError(
+      pgError({
+        code: "23503",
+        table: "companies_industries",
+        detail: 'Key (ind_code)=(nope) is not present in table "industries".',
+      }),
+      { routeParams: { code: "nope" }, body: { comp_code: "apple" } }
+    );
+    expect(err).toMatchObject({ status: 404, message: "Industry not found" });
+  });
+
+  it("should map check violations to 400 naming the field", () => {
+    const err = translatePgError(
+      pgError({
+        code: "23514",
+        table: "invoices",
+        constraint: "invoices_amt_check",
+        message: 'new row for relation "invoices" violates check constraint',
+      }),
+      req
+    );
+    expect(err).toMatchObject({
+      status: 400,
+      errors: [{ field: "amt", message: "must be greater than 0" }],
+    });
+    expect(err.message).not.toMatch(/relation|constraint/);
+  });
+
+  it("should map invalid input to 400 naming the field", () => {
+    const err = translatePgError(
+      pgError({
+        code: "22P02",
+        message: 'invalid input syntax for type integer: "abc"',
+      }),
+      { routeParams: { id: "abc" }, body: {} }
+    );
+    expect(err).toMatchObject({
+      status: 400,
+      message: "Invalid fields: id",
+      errors: [{ field: "id", message: "is not a valid integer" }],
+    });
+  });
+
+  it("should map out of range numbers to 400 naming the field", () => {
+    const err = translatePgError(
+      pgError({
+        code: "22003",
+        message: 'value "99999999999" is out of range for type integer',
+      }),
+      { routeParams: { id: "99999999999" }, body: {} }
+    );
+    expect(err).toMatchObject({
+      status: 400,
+      message: "Invalid fields: id",
+      errors: [{ field: "id", message: "is out of range" }],
+    });
+  });
+
+  it("should map out of range dates to 400 naming the field", () => {
+    const err = translatePgError(
+      pgError({
+        code: "22008",
+        message: 'date/time field value out of range: "2024-00-10"',
+      }),
+      { routeParams: {}, query: { as_of: "2024-00-10" }, body: {} }
+    );
+    expect(err).toMatchObject({
+      status: 400,
+      message: "Invalid fields: as_of",
+      errors: [{ field: "as_of", message: "is not a valid date" }],
+    });
+  });
+
+  it("should hide the details of any other database error", () => {
+    const err = translatePgError(
+      pgError({ code: "42P01", message: 'relation "nope" does not exist' }),
+      req
+    );
+    expect(err).toMatchObject({
+      status: 500,
+      message: "Internal Server Error",
+    });
+  });
+});
@@ -0,0 +1,94 @@
+import request from "supertest";
+import app from "../app.js";
+import { createLazyTransaction, findApiKey, getAgingReport } from "../db.js";
+
+jest.mock("pg", () => {
+  const mClient = {
+    connect: jest.fn(),
+    end: jest.fn(),
+    query: jest.fn(),
+    on: jest.fn(),
+  };
+  return { Pool: jest.fn(() => mClient) };
+});
+
+jest.mock("../db.js");
+
+const mockDbClient = {
+  query: jest.fn(),
+  finish: jest.fn(async () => {}),
+};
+
+/** Sends every request with an admin's API key */
+const api = request.agent(app).set("Authorization", "Bearer admin-key");
+
+describe("Reports Routes", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    createLazyTransaction.mockReturnValue(mockDbClient);
+    findApiKey.mockResolvedValue({ id: 1, name: "admin", role: "admin" });
+  });
+
+  test("GET /reports/aging - should return the aging report", async () => {
+    const buckets = {
+      current: "0",
+      days_1_30: "150.00",
+      days_31_60: "0",
+      days_61_90: "0",
+      days_over_90: "0",
+      total: "150.00",
+    };
+    const aging = {
+      currency: "USD",
+      as_of: "2024-06-30",
+      companies: [{ comp_code: "apple", ...buckets }],
+      overall: buckets,
+    };
+    getAgingReport.mockResolvedValueOnce(aging);
+
+    const res = await api.get("/reports/aging?as_of=2024-06-30");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ aging });
+    expect(getAgingReport).toHaveBeenCalledWith(
+      undefined,
+      "2024-06-30",
+      mockDbClient
+    );
+  });
+
+  test("GET /reports/aging - should pass the currency along", async () => {
+    getAgingReport.mockResolvedValueOnce({});
+
+    await api.get("/reports/aging?currency=eur");
+
+    expect(getAgingReport).toHaveBeenCalledWith(
+      "eur",
+      undefined,
+      mockDbClient
+    );
+  });
+
+  test("GET /reports/aging - should return 400 for an invalid date", async () => {
+    const res = await api.get("/reports/aging?as_of=yesterday");
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.errors[0].field).toBe("as_of");
+    expect(getAgingReport).not.toHaveBeenCalled();
+  });
+
+  test("GET /reports/aging - should return 400 for a date not on the calendar", async () => {
+    const res = await api.get("/reports/aging?as_of=2024-00-10");
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.errors[0].field).toBe("as_of");
+    expect(getAgingReport).not.toHaveBeenCalled();
+  });
+
+  test("GET /reports/aging - should return 400 for unknown parameters", async () => {
+    const res = await api.get("/reports/aging?company=apple");
+
+    expect(res.statusCode).toBe(400);
+    expect(getAgingReport).not.toHaveBeenCalled();
+  });
+});
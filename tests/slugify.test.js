@@ -0,0 +1,31 @@
+import { isSlug, slugify } from "../utils/slugify.js";
+
+describe("slugify", () => {
+  it("should strip accents and punctuation", () => {
+    expect(slugify("Café & Crème, Inc.")).toBe("cafe-creme-inc");
+    expect(slugify("  Ñandú -- Ltd. ")).toBe("nandu-ltd");
+  });
+
+  it("should transliterate letters without a decomposition", () => {
+    expect(slugify("Straße Ørsted")).toBe("strasse-orsted");
+  });
+
+  it("should return an empty string when nothing is left", () => {
+    expect(slugify("!!!")).toBe("");
+  });
+});
+
+describe("isSlug", () => {
+  it("should accept lowercase words separated by single dashes", () => {
+    expect(isSlug("apple")).toBe(true);
+    expect(isSlug("apple-computer-2")).toBe(true);
+  });
+
+  it("should reject anything else", () => {
+    expect(isSlug("Apple")).toBe(false);
+    expect(isSlug("apple--computer")).toBe(false);
+    expect(isSlug("-apple")).toBe(false);
+    expect(isSlug("")).toBe(false);
+    expect(isSlug(undefined)).toBe(false);
+  });
+});
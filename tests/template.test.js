@@ -0,0 +1,93 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  escapeHtml,
+  renderTemplate,
+  templateEngine,
+} from "../utils/template.js";
+
+describe("renderTemplate", () => {
+  test("should fill in values, including dotted names", () => {
+    expect(
+      renderTemplate("{{ company.name }} owes {{amt}}{{missing}}", {
+        company: { name: "Apple" },
+        amt: "10.00",
+      })
+    ).toBe("Apple owes 10.00");
+  });
+
+  test("should repeat sections for each item of a list", () => {
+    const template =
+      "{{#lines}}{{description}}: {{total}} {{currency}};{{/lines}}";
+    expect(
+      renderTemplate(template, {
+        currency: "USD",
+        lines: [
+          { description: "Design", total: "100.00" },
+          { description: "Build", total: "50.00" },
+        ],
+      })
+    ).toBe("Design: 100.00 USD;Build: 50.00 USD;");
+  });
+
+  test("should show inverted sections for falsy values and empty lists", () => {
+    const template =
+      "{{#paid}}paid{{/paid}}{{^paid}}due{{/paid}}{{^lines}}, no lines{{/lines}}";
+    expect(renderTemplate(template, { paid: false, lines: [] })).toBe(
+      "due, no lines"
+    );
+    expect(renderTemplate(template, { paid: true, lines: [1] })).toBe("paid");
+  });
+
+  test("should drop the lines of standalone section tags", () => {
+    const template = "Total\n{{#paid}}\nPaid\n{{/paid}}\nEnd\n";
+    expect(renderTemplate(template, { paid: true })).toBe(
+      "Total\nPaid\nEnd\n"
+    );
+    expect(renderTemplate(template, { paid: false })).toBe("Total\nEnd\n");
+  });
+
+  test("should escape values with the given function", () => {
+    expect(
+      renderTemplate(
+        "<h1>{{name}}</h1>",
+        { name: `<b>"A&B's"</b>` },
+        escapeHtml
+      )
+    ).toBe("<h1>&lt;b&gt;&quot;A&amp;B&#39;s&quot;&lt;/b&gt;</h1>");
+  });
+
+  test("should reject unbalanced sections", () => {
+    expect(() => renderTemplate("{{#lines}}", {})).toThrow(
+      "Unclosed {{#lines}} in template"
+    );
+    expect(() => renderTemplate("{{#a}}{{/b}}", {})).toThrow(
+      "Unexpected {{/b}} in template"
+    );
+  });
+});
+
+describe("templateEngine", () => {
+  test("should render template files for Express", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "templates-"));
+    const filePath = path.join(dir, "hello.html");
+    fs.writeFileSync(filePath, "Hello {{name}}{{settings.env}}{{config}}");
+    const engine = templateEngine({ escape: escapeHtml });
+    const options = {
+      data: { name: "<you>" },
+      settings: { env: "test" },
+      config: "from app.locals",
+      cache: true,
+    };
+
+    const rendered = await new Promise((resolve, reject) =>
+      engine(filePath, options, (err, html) =>
+        err ? reject(err) : resolve(html)
+      )
+    );
+    expect(rendered).toBe("Hello &lt;you&gt;");
+
+    fs.rmSync(dir, { recursive: true });
+  });
+});
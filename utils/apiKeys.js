@@ -0,0 +1,24 @@
+import crypto from "crypto";
+
+/** How many characters of a key are kept in clear to tell keys apart */
+const KEY_PREFIX_LENGTH = 8;
+
+/**
+ * Generates a new API key: 32 random bytes, base64url encoded.
+ * @returns {String}
+ */
+function generateApiKey() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+/**
+ * Hashes an API key for storage and lookup. Keys are random enough that a
+ * plain SHA-256 can't be reversed, and it lets keys be looked up by hash.
+ * @param {String} key
+ * @returns {String} the hex digest
+ */
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+export { generateApiKey, hashApiKey, KEY_PREFIX_LENGTH };
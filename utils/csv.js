@@ -0,0 +1,128 @@
+import ExpressError from "../expressError.js";
+
+/**
+ * Splits CSV text (RFC 4180) into rows of fields.
+ * Fields may be quoted with `"`, which allows commas, line breaks and
+ * doubled quotes (`""`) inside them. Lines can end in `\n` or `\r\n`, and
+ * blank lines are skipped.
+ * @param {String} text - like `'code,name\napple,"Apple, Inc."'`
+ * @returns {Array<Object>} rows like `[{line: 1, fields: ["code", "name"]},
+ * {line: 2, fields: ["apple", "Apple, Inc."]}]`, where `line` is the line of
+ * the text the row starts on, counting from 1.
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== "") {
+      rows.push({ line: rowLine, fields: row });
+    }
+    row = [];
+    field = "";
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+        // A line break inside the field, counted once for `\r\n`
+        if (char === "\n" || (char === "\r" && text[i + 1] !== "\n")) line++;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new ExpressError("Invalid CSV: unterminated quote", 400);
+  endRow();
+  return rows;
+}
+
+/**
+ * Parses CSV text with a header line into records keyed by column name.
+ * Returns 400 if a row doesn't have as many fields as the header.
+ * @param {String} text - like `"date,currency,rate\n2024-01-02,EUR,0.9133"`
+ * @returns {Array<Object>} records like
+ * `[{date: "2024-01-02", currency: "EUR", rate: "0.9133"}]`
+ */
+function parseCsv(text) {
+  return parseCsvLines(text).map(({ record }) => record);
+}
+
+/**
+ * Parses CSV text like `parseCsv`, along with the line each record starts
+ * on, which is further down than its index once the text has blank lines or
+ * fields that span lines. Errors name rows by that line too.
+ * @param {String} text - like `"date,currency,rate\n\n2024-01-02,EUR,0.9133"`
+ * @returns {Array<Object>} like
+ * `[{line: 3, record: {date: "2024-01-02", currency: "EUR", rate: "0.9133"}}]`
+ */
+function parseCsvLines(text) {
+  const [header = { fields: [] }, ...rows] = parseCsvRows(
+    text.replace(/^\uFEFF/, "")
+  );
+  const names = header.fields.map((name) => name.trim());
+  return rows.map(({ line, fields }) => {
+    if (fields.length !== names.length) {
+      throw new ExpressError(
+        `Invalid CSV: row ${line} has ${fields.length} fields instead of ${names.length}`,
+        400
+      );
+    }
+    return {
+      line,
+      record: Object.fromEntries(names.map((name, j) => [name, fields[j]])),
+    };
+  });
+}
+
+/**
+ * Quotes a CSV field if it has commas, quotes or line breaks in it. Null and
+ * undefined are left empty.
+ * @param {*} value
+ * @returns {String}
+ */
+function formatCsvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats records as CSV text (RFC 4180) with a header line, the reverse of
+ * `parseCsv`. Lines end in `\r\n`.
+ * @param {Array<Object>} records - like `[{code: "apple", name: "Apple, Inc."}]`
+ * @param {Array<String>} columns - The keys to write, in order, like
+ * `["code", "name"]`
+ * @returns {String} text like `'code,name\r\napple,"Apple, Inc."\r\n'`
+ */
+function toCsv(records, columns) {
+  const rows = [
+    columns,
+    ...records.map((record) => columns.map((c) => record[c])),
+  ];
+  return rows
+    .map((row) => row.map(formatCsvField).join(",") + "\r\n")
+    .join("");
+}
+
+export { parseCsv, parseCsvLines, toCsv };
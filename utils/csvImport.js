@@ -0,0 +1,98 @@
+import express from "express";
+import jsonschema from "jsonschema";
+import ExpressError from "../expressError.js";
+import { translatePgError } from "../middleware/pgErrorHandler.js";
+import { formatValidationError } from "../middleware/validateSchema.js";
+import { parseCsvLines } from "./csv.js";
+
+/** Largest CSV body an import accepts */
+const IMPORT_SIZE_LIMIT = "1mb";
+
+/** Middleware that reads a `text/csv` request body into `req.body` */
+const csvBody = express.text({ type: "text/csv", limit: IMPORT_SIZE_LIMIT });
+
+/**
+ * Turns a CSV record, whose values are all strings, into the types a JSON
+ * Schema expects: empty fields are left out, and `true`/`false` and whole
+ * numbers become booleans and integers where the schema asks for them.
+ * Anything else is kept as a string for the schema to reject.
+ * @param {Object} record - like `{name: "IBM", payment_terms: "60"}`
+ * @param {Object} schema
+ * @returns {Object} like `{name: "IBM", payment_terms: 60}`
+ */
+function fromCsvRecord(record, schema) {
+  const data = {};
+  for (const [field, text] of Object.entries(record)) {
+    const value = text.trim();
+    if (value === "") continue;
+    const types = [].concat((schema.properties[field] || {}).type);
+    if (types.includes("boolean") && /^(true|false)$/i.test(value)) {
+      data[field] = value.toLowerCase() === "true";
+    } else if (types.includes("integer") && /^-?[0-9]+$/.test(value)) {
+      data[field] = Number(value);
+    } else {
+      data[field] = value;
+    }
+  }
+  return data;
+}
+
+/**
+ * Parses the CSV body of an import into records and validates every one of
+ * them against a JSON Schema. Rows are numbered by the line of the CSV they
+ * start on, the header being row 1, so they match the file even with blank
+ * lines or fields that span lines.
+ * Returns 415 if the body isn't CSV, and 400 if there are no rows or any of
+ * them is invalid, listing every error like `{row, field, message}`.
+ * @param {*} body - The request body, read by `csvBody`.
+ * @param {Object} schema - The JSON Schema for one record.
+ * @returns {{records: Array<Object>, lines: Array<Number>}} The records, and
+ * the row number of each.
+ */
+function parseCsvImport(body, schema) {
+  if (typeof body !== "string") {
+    throw new ExpressError("Expected a text/csv body", 415);
+  }
+  const rows = parseCsvLines(body);
+  if (!rows.length) throw new ExpressError("The CSV has no rows", 400);
+  const records = rows.map(({ record }) => fromCsvRecord(record, schema));
+  const lines = rows.map(({ line }) => line);
+
+  const errors = records.flatMap((record, i) =>
+    jsonschema.validate(record, schema).errors.map((error) => ({
+      row: lines[i],
+      ...formatValidationError(error),
+    }))
+  );
+  if (errors.length) throw new ExpressError("Invalid rows", 400, errors);
+  return { records, lines };
+}
+
+/**
+ * Builds the 400 for the records `importRecords` couldn't insert, listing
+ * every error like `{row, field, message}`. Errors from PostgreSQL are
+ * translated like those of single requests. Any error without a status is
+ * rethrown, since it isn't the fault of the row.
+ * @param {{records: Array<Object>, lines: Array<Number>}} rows - The rows
+ * that were imported, from `parseCsvImport`.
+ * @param {Array<Object>} failures - From `importRecords`, like `[{index, error}]`.
+ * @returns {ExpressError}
+ */
+function importError({ records, lines }, failures) {
+  const errors = failures.flatMap(({ index, error }) => {
+    const isPgError =
+      typeof error.code === "string" && error.severity !== undefined;
+    const err = isPgError
+      ? translatePgError(error, { params: {}, body: records[index] })
+      : error;
+    if (!err.status || err.status >= 500) throw error;
+    const fieldErrors = err.errors || [{ field: null, message: err.message }];
+    return fieldErrors.map((fieldError) => ({
+      row: lines[index],
+      ...fieldError,
+    }));
+  });
+  return new ExpressError("Invalid rows", 400, errors);
+}
+
+export { csvBody, importError, parseCsvImport };
@@ -1,10 +1,40 @@
+/** A date in the format of YYYY-MM-DD, like 2024-06-30 */
+const CALENDAR_DATE_PATTERN = /^([0-9]{4})-([0-9]{2})-([0-9]{2})$/;
+
+/**
+ * Checks that a string is a date in the format of YYYY-MM-DD that exists on
+ * the calendar, so not 2024-00-10 or 2030-02-31.
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isCalendarDate(value) {
+  const match = typeof value === "string" && CALENDAR_DATE_PATTERN.exec(value);
+  if (!match) return false;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(0);
+  date.setUTCFullYear(year, month - 1, day);
+  return (
+    date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day
+  );
+}
+
 /**
  * Get the date in the format of YYYY-MM-DD
- * @param {Date} date
+ * Strings already in that format are returned as they are, without going
+ * through a Date, so they don't shift with the time zone.
+ * @param {Date|String|Number} date
  * @returns {String} date in the format of YYYY-MM-DD
+ * @throws {RangeError} For a YYYY-MM-DD string that isn't on the calendar.
  */
 function getCalendarDate(date) {
+  if (typeof date === "string" && CALENDAR_DATE_PATTERN.test(date)) {
+    if (!isCalendarDate(date)) throw new RangeError(`Invalid date: ${date}`);
+    return date;
+  }
   return new Date(date).toISOString().split("T")[0];
 }
 
-export { getCalendarDate };
+export { getCalendarDate, isCalendarDate };
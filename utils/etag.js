@@ -0,0 +1,41 @@
+import ExpressError from "../expressError.js";
+
+/**
+ * Sets the ETag of a response to the version of the company or invoice it
+ * sends, like `"3"`, so it can be sent back in `If-Match`.
+ * @param {import('express').Response} res
+ * @param {Object} row - A row with a `version`.
+ * @returns {import('express').Response}
+ */
+function setVersionETag(res, row) {
+  return res.set("ETag", `"${row.version}"`);
+}
+
+/**
+ * Reads the version a PUT or DELETE is conditional on from its `If-Match`
+ * header, which holds an ETag set by `setVersionETag`, or `*` for any
+ * version. An ETag that can never match, like a weak one or a list, fails
+ * with a 412 right away. Without the header the request isn't conditional,
+ * unless the app's config requires it (`REQUIRE_IF_MATCH=true`), which makes
+ * it a 428.
+ * @param {import('express').Request} req
+ * @returns {Number|undefined} The version, or undefined for any version.
+ */
+function ifMatchVersion(req) {
+  const ifMatch = req.get("If-Match");
+  if (ifMatch === undefined) {
+    if (req.app.locals.config.requireIfMatch) {
+      throw new ExpressError("An If-Match header is required", 428);
+    }
+    return undefined;
+  }
+  if (ifMatch.trim() === "*") return undefined;
+
+  const match = /^"([0-9]+)"$/.exec(ifMatch.trim());
+  if (!match) {
+    throw new ExpressError("The record has changed since it was read", 412);
+  }
+  return Number(match[1]);
+}
+
+export { ifMatchVersion, setVersionETag };
@@ -0,0 +1,257 @@
+import fs from "fs/promises";
+import path from "path";
+import { slugify } from "./slugify.js";
+
+/** Migration files, like `0002_add_payment_notes.up.sql` */
+const MIGRATION_FILE = /^([0-9]+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+/** Digits of the version numbers `createMigration` gives new migrations */
+const VERSION_DIGITS = 4;
+
+/**
+ * Name of the advisory lock held while migrations run, so two runs against
+ * the same database can't apply the same migration twice.
+ */
+const MIGRATIONS_LOCK = "biztime.schema_migrations";
+
+/**
+ * Reads the migrations in a directory. Each one is a pair of files sharing
+ * a version number and a name, like `0001_initial_schema.up.sql` and
+ * `0001_initial_schema.down.sql`; the down file may be left out for
+ * migrations that can't be undone.
+ * @param {String} dir - The migrations directory.
+ * @returns {Promise<Array>} The migrations by version, like
+ * `[{version, name, up, down}, ...]`, where `up` and `down` are the SQL of
+ * the files, or null for a missing down file.
+ */
+async function readMigrations(dir) {
+  const byVersion = new Map();
+  for (const file of (await fs.readdir(dir)).sort()) {
+    if (!file.endsWith(".sql")) continue;
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) {
+      throw new Error(
+        `${file} isn't named like a migration, like 0001_name.up.sql`
+      );
+    }
+
+    const [, digits, name, direction] = match;
+    const version = Number(digits);
+    const migration = byVersion.get(version) || {
+      version,
+      name,
+      up: null,
+      down: null,
+    };
+    if (migration.name !== name) {
+      throw new Error(
+        `Migrations ${migration.name} and ${name} share version ${version}`
+      );
+    }
+    migration[direction] = await fs.readFile(path.join(dir, file), "utf8");
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()];
+  for (const migration of migrations) {
+    if (migration.up === null) {
+      throw new Error(`Migration ${migrationId(migration)} has no up file`);
+    }
+  }
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * The name of a migration's files, without the direction.
+ * @param {Object} migration - like `{version, name}`
+ * @returns {String} like `0001_initial_schema`
+ */
+function migrationId({ version, name }) {
+  return `${String(version).padStart(VERSION_DIGITS, "0")}_${name}`;
+}
+
+/**
+ * Runs `fn` holding the migrations lock, after making sure the
+ * 'schema_migrations' table exists. The lock is a session-level advisory
+ * lock, so it's held across the transactions of the migrations; a second
+ * run waits for it.
+ * @param {import('pg').Client} client - A client checked out for the run.
+ * @param {Function} fn - Called with the applied migrations.
+ * @returns {Promise<*>} What `fn` resolves to.
+ */
+async function withMigrationsLock(client, fn) {
+  await client.query("SELECT pg_advisory_lock(hashtext($1))", [
+    MIGRATIONS_LOCK,
+  ]);
+  try {
+    await client.query(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+         version integer PRIMARY KEY,
+         name text NOT NULL,
+         applied_at timestamptz DEFAULT now() NOT NULL
+       )`
+    );
+    const res = await client.query(
+      "SELECT version, name, applied_at FROM schema_migrations ORDER BY version"
+    );
+    return await fn(res.rows);
+  } finally {
+    await client.query("SELECT pg_advisory_unlock(hashtext($1))", [
+      MIGRATIONS_LOCK,
+    ]);
+  }
+}
+
+/**
+ * Runs the SQL of one side of a migration in its own transaction, along
+ * with the change to 'schema_migrations' that records it. Changes it makes
+ * to audited tables are logged with `migrate` as the actor.
+ * @param {import('pg').Client} client
+ * @param {String} sql - The SQL of the migration file.
+ * @param {String} record - The query that records it, with `$1` and `$2`
+ * for the version and name.
+ * @param {Object} migration - like `{version, name}`
+ * @returns {Promise<void>}
+ */
+async function runMigration(client, sql, record, migration) {
+  try {
+    await client.query("BEGIN");
+    await client.query("SELECT set_config('biztime.actor', 'migrate', true)");
+    await client.query(sql);
+    await client.query(record, [migration.version, migration.name]);
+    await client.query("COMMIT");
+  } catch (err) {
+    console.error(`Error running migration ${migrationId(migration)}:`, err);
+    try {
+      await client.query("ROLLBACK");
+    } catch (rollbackErr) {
+      console.error("Error rolling back migration:", rollbackErr);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Applies the migrations that haven't been yet, oldest first, each in its
+ * own transaction. A failed migration is rolled back and stops the run;
+ * the ones before it stay applied.
+ * @param {import('pg').Client} client - A client checked out for the run.
+ * @param {Array} migrations - From `readMigrations`.
+ * @param {Number} [count] - Apply at most this many, all by default.
+ * @returns {Promise<Array>} The migrations applied.
+ */
+async function migrateUp(client, migrations, count = Infinity) {
+  return withMigrationsLock(client, async (applied) => {
+    const versions = new Set(applied.map((row) => row.version));
+    const pending = migrations
+      .filter((migration) => !versions.has(migration.version))
+      .slice(0, count);
+
+    for (const migration of pending) {
+      await runMigration(
+        client,
+        migration.up,
+        "INSERT INTO schema_migrations (version, name) VALUES ($1, $2)",
+        migration
+      );
+    }
+    return pending;
+  });
+}
+
+/**
+ * Reverts the latest applied migrations with their down files, newest
+ * first, each in its own transaction.
+ * @param {import('pg').Client} client - A client checked out for the run.
+ * @param {Array} migrations - From `readMigrations`.
+ * @param {Number} [count] - How many to revert, 1 by default.
+ * @returns {Promise<Array>} The migrations reverted.
+ */
+async function migrateDown(client, migrations, count = 1) {
+  return withMigrationsLock(client, async (applied) => {
+    const byVersion = new Map(migrations.map((m) => [m.version, m]));
+    const reverting = applied.slice(-count).reverse();
+
+    for (const row of reverting) {
+      const migration = byVersion.get(row.version);
+      if (!migration || migration.down === null) {
+        throw new Error(
+          `Migration ${migrationId(row)} can't be reverted: ` +
+            "it has no down file"
+        );
+      }
+    }
+    for (const row of reverting) {
+      await runMigration(
+        client,
+        byVersion.get(row.version).down,
+        "DELETE FROM schema_migrations WHERE version = $1 AND name = $2",
+        row
+      );
+    }
+    return reverting;
+  });
+}
+
+/**
+ * Lists every migration with whether it's been applied. Migrations applied
+ * to the database whose files are gone are listed too, as `missing`.
+ * @param {import('pg').Client} client - A client checked out for the run.
+ * @param {Array} migrations - From `readMigrations`.
+ * @returns {Promise<Array>} By version, like
+ * `[{version, name, state, applied_at}, ...]`, where `state` is `applied`,
+ * `pending` or `missing`, and `applied_at` is null unless it's applied.
+ */
+async function migrationStatus(client, migrations) {
+  return withMigrationsLock(client, async (applied) => {
+    const appliedAt = new Map(applied.map((row) => [row.version, row]));
+    const status = migrations.map(({ version, name }) => ({
+      version,
+      name,
+      state: appliedAt.has(version) ? "applied" : "pending",
+      applied_at: appliedAt.has(version)
+        ? appliedAt.get(version).applied_at
+        : null,
+    }));
+    const known = new Set(migrations.map((m) => m.version));
+    for (const row of applied) {
+      if (!known.has(row.version)) status.push({ ...row, state: "missing" });
+    }
+    return status.sort((a, b) => a.version - b.version);
+  });
+}
+
+/**
+ * Creates the empty up and down files of a new migration, numbered after
+ * the latest one.
+ * @param {String} dir - The migrations directory.
+ * @param {String} name - What the migration does, like `Add payment notes`.
+ * @returns {Promise<Array<String>>} The paths of the up and down files.
+ */
+async function createMigration(dir, name) {
+  const slug = slugify(name).replace(/-/g, "_");
+  if (!slug) throw new Error("The migration needs a name");
+
+  const migrations = await readMigrations(dir);
+  const version = migrations.length
+    ? migrations[migrations.length - 1].version + 1
+    : 1;
+  const id = migrationId({ version, name: slug });
+
+  const files = [];
+  for (const direction of ["up", "down"]) {
+    const file = path.join(dir, `${id}.${direction}.sql`);
+    await fs.writeFile(file, `-- ${id} ${direction}\n`, { flag: "wx" });
+    files.push(file);
+  }
+  return files;
+}
+
+export {
+  createMigration,
+  migrateDown,
+  migrateUp,
+  migrationId,
+  migrationStatus,
+  readMigrations,
+};
@@ -0,0 +1,168 @@
+import ExpressError from "../expressError.js";
+import { getCalendarDate } from "./dateTime.js";
+
+/** Page size used when a list request doesn't give a `limit` */
+const DEFAULT_PAGE_SIZE = 25;
+
+/** Largest `limit` a list request may ask for */
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Parses the `limit` query parameter of a list request.
+ * @param {String} [limit]
+ * @returns {Number} page size between 1 and `MAX_PAGE_SIZE`
+ */
+function parseLimit(limit) {
+  if (limit === undefined) return DEFAULT_PAGE_SIZE;
+  const pageSize = Number(limit);
+  if (
+    !Number.isInteger(pageSize) ||
+    pageSize < 1 ||
+    pageSize > MAX_PAGE_SIZE
+  ) {
+    throw new ExpressError("Invalid fields: limit", 400, [
+      {
+        field: "limit",
+        message: `must be an integer between 1 and ${MAX_PAGE_SIZE}`,
+      },
+    ]);
+  }
+  return pageSize;
+}
+
+/**
+ * Parses a `sort` query parameter like `amt` or `-amt` (descending).
+ * Only whitelisted columns are accepted, since the column name ends up in
+ * the ORDER BY clause.
+ * @param {String} [sort]
+ * @param {Array<String>} sortable - The columns that can be sorted on.
+ * @param {String} defaultColumn - The column used when no sort is given.
+ * @returns {{column: String, direction: String}}
+ */
+function parseSort(sort, sortable, defaultColumn) {
+  if (!sort) return { column: defaultColumn, direction: "ASC" };
+  const descending = sort.startsWith("-");
+  const column = descending ? sort.slice(1) : sort;
+  if (!sortable.includes(column)) {
+    throw new ExpressError("Invalid fields: sort", 400, [
+      { field: "sort", message: `must be one of ${sortable.join(", ")}` },
+    ]);
+  }
+  return { column, direction: descending ? "DESC" : "ASC" };
+}
+
+/**
+ * Encodes the position after a row as an opaque cursor.
+ * @param {Array} values - The sort value and key of the last row.
+ * @returns {String}
+ */
+function encodeCursor(values) {
+  const plain = values.map((value) =>
+    value instanceof Date ? getCalendarDate(value) : value
+  );
+  return Buffer.from(JSON.stringify(plain)).toString("base64url");
+}
+
+/**
+ * Decodes a cursor made by `encodeCursor`.
+ * @param {String} [cursor]
+ * @returns {Array|null} The sort value and key, or null without a cursor.
+ */
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const values = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (Array.isArray(values) && values.length === 2) return values;
+  } catch (err) {
+    // Falls through to the error below
+  }
+  throw new ExpressError("Invalid fields: cursor", 400, [
+    { field: "cursor", message: "is not a valid cursor" },
+  ]);
+}
+
+/**
+ * Builds the keyset pagination parts of a list query.
+ * Rows are ordered by the sort column and then by the unique `key` column,
+ * so a cursor of `[sortValue, keyValue]` identifies a position exactly.
+ * @param {Object} page - Like `{sort: {column, direction}, key, cursor, limit}`.
+ * @param {Number} [firstIndex=1] - The index of the first query parameter.
+ * @returns {{conditions: Array<String>, orderBy: String, limit: String, values: Array}}
+ */
+function sqlForKeysetPage(page, firstIndex = 1) {
+  const { sort, key, cursor, limit } = page;
+  const columns =
+    sort.column === key ? [`"${key}"`] : [`"${sort.column}"`, `"${key}"`];
+  const conditions = [];
+  const values = [];
+
+  if (cursor) {
+    const operator = sort.direction === "DESC" ? "<" : ">";
+    const positions = columns.map((column, i) => `$${firstIndex + i}`);
+    conditions.push(
+      `(${columns.join(", ")}) ${operator} (${positions.join(", ")})`
+    );
+    values.push(...cursor.slice(-columns.length));
+  }
+
+  let limitClause = "";
+  if (limit) {
+    values.push(limit);
+    limitClause = `LIMIT $${firstIndex + values.length - 1}`;
+  }
+
+  const orderBy = columns
+    .map((column) => `${column} ${sort.direction}`)
+    .join(", ");
+  return {
+    conditions,
+    orderBy: `ORDER BY ${orderBy}`,
+    limit: limitClause,
+    values,
+  };
+}
+
+/**
+ * Splits the rows of a list query made with `limit + 1` into one page and
+ * the paging metadata for the response.
+ * @param {Array} rows - Up to `limit + 1` rows.
+ * @param {Object} page - Like `{limit, sort, key}`, with `sort` as given in the query.
+ * @param {import('express').Request} req - The list request.
+ * @returns {{items: Array, paging: Object}}
+ */
+function paginate(rows, page, req) {
+  const { limit, sort, key } = page;
+  const items = rows.slice(0, limit);
+  const column = sort ? sort.replace(/^-/, "") : key;
+
+  let nextCursor = null;
+  let next = null;
+  if (rows.length > limit) {
+    const last = items[items.length - 1];
+    nextCursor = encodeCursor([last[column], last[key]]);
+    const params = new URLSearchParams({ ...req.query, cursor: nextCursor });
+    next = `${req.originalUrl.split("?")[0]}?${params}`;
+  }
+
+  return {
+    items,
+    paging: {
+      limit,
+      sort: sort || key,
+      count: items.length,
+      next_cursor: nextCursor,
+      next,
+    },
+  };
+}
+
+export {
+  decodeCursor,
+  DEFAULT_PAGE_SIZE,
+  encodeCursor,
+  MAX_PAGE_SIZE,
+  paginate,
+  parseLimit,
+  parseSort,
+  sqlForKeysetPage,
+};
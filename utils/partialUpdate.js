@@ -0,0 +1,178 @@
+import ExpressError from "../expressError.js";
+import { getCalendarDate, isCalendarDate } from "./dateTime.js";
+
+/**
+ * Coerces a value into a finite number.
+ * Accepts numbers and numeric strings.
+ * @param {*} value
+ * @returns {Number}
+ */
+function toNumber(value) {
+  const number =
+    typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+  if (typeof number !== "number" || !Number.isFinite(number)) {
+    throw new TypeError("must be a number");
+  }
+  return number;
+}
+
+/** Amounts of money: up to 10 digits, then at most 2 decimals */
+const MONEY_PATTERN = /^[0-9]{1,10}(\.[0-9]{1,2})?$/;
+
+/**
+ * Coerces a value into an exact amount of money, as a decimal string that
+ * PostgreSQL reads into a `numeric` without going through a float.
+ * Accepts numbers and numeric strings with at most 2 decimals.
+ * @param {*} value
+ * @returns {String} Like `"10.5"`.
+ */
+function toMoney(value) {
+  const text = typeof value === "number" ? String(value) : value;
+  if (typeof text !== "string" || !MONEY_PATTERN.test(text.trim())) {
+    throw new TypeError("must be an amount with at most 2 decimals");
+  }
+  return text.trim();
+}
+
+/** ISO 4217 codes of the currencies known to the runtime */
+const CURRENCY_CODES = new Set(Intl.supportedValuesOf("currency"));
+
+/**
+ * Coerces a value into an ISO 4217 currency code, like `"EUR"`.
+ * Accepts codes in any case.
+ * @param {*} value
+ * @returns {String}
+ */
+function toCurrency(value) {
+  const code = typeof value === "string" ? value.trim().toUpperCase() : value;
+  if (!CURRENCY_CODES.has(code)) {
+    throw new TypeError("must be an ISO 4217 currency code");
+  }
+  return code;
+}
+
+/**
+ * Coerces a value into a boolean.
+ * Accepts booleans and the strings "true" and "false".
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function toBoolean(value) {
+  if (typeof value === "boolean") return value;
+  if (value === "true") return true;
+  if (value === "false") return false;
+  throw new TypeError("must be a boolean");
+}
+
+/**
+ * Coerces a value into a non-empty string.
+ * @param {*} value
+ * @returns {String}
+ */
+function toNonEmptyString(value) {
+  if (typeof value !== "string" || value.trim() === "") {
+    throw new TypeError("must be a non-empty string");
+  }
+  return value;
+}
+
+/**
+ * Coerces a value into a string, allowing null.
+ * @param {*} value
+ * @returns {String|null}
+ */
+function toNullableString(value) {
+  if (value === null) return null;
+  if (typeof value !== "string") {
+    throw new TypeError("must be a string or null");
+  }
+  return value;
+}
+
+/**
+ * Coerces a value into a date in the format of YYYY-MM-DD, allowing null.
+ * @param {*} value
+ * @returns {String|null}
+ */
+function toNullableDate(value) {
+  if (value === null) return null;
+  if (value instanceof Date && !Number.isNaN(value.getTime())) {
+    return getCalendarDate(value);
+  }
+  if (!isCalendarDate(value)) throw new TypeError("must be a date or null");
+  return value;
+}
+
+/**
+ * Validates and coerces the fields of a partial update against a declarative
+ * column list.
+ *
+ * `columns` looks like `{updatable: {column: coerce, ...}, readOnly: [...]}`.
+ * Unknown, read-only and badly typed fields are all collected and rejected
+ * together with a 400 naming each of them.
+ *
+ * @param {Object} fields - The fields to update, like `{amt: "200"}`.
+ * @param {Object} columns - The updatable and read-only columns.
+ * @returns {Object} The coerced fields, like `{amt: 200}`.
+ */
+function coerceUpdateFields(fields, columns) {
+  const data = {};
+  const errors = [];
+
+  for (const field of Object.keys(fields || {})) {
+    const coerce = Object.hasOwn(columns.updatable, field)
+      ? columns.updatable[field]
+      : null;
+    if (columns.readOnly.includes(field)) {
+      errors.push({ field, message: "cannot be updated" });
+    } else if (!coerce) {
+      errors.push({ field, message: "is not a known field" });
+    } else {
+      try {
+        data[field] = coerce(fields[field]);
+      } catch (err) {
+        errors.push({ field, message: err.message });
+      }
+    }
+  }
+
+  if (errors.length) {
+    const names = errors.map((e) => e.field).join(", ");
+    throw new ExpressError(`Invalid fields: ${names}`, 400, errors);
+  }
+  if (Object.keys(data).length === 0) {
+    throw new ExpressError("No fields to update provided", 400);
+  }
+
+  return data;
+}
+
+/**
+ * Builds the SET clause of a partial UPDATE from a declarative column list.
+ * Only keys of `columns.updatable` ever reach the SQL, so client-provided key
+ * names are never interpolated.
+ *
+ * @param {Object} fields - The fields to update, like `{amt: 200}`.
+ * @param {Object} columns - The updatable and read-only columns.
+ * @param {Number} [firstIndex=1] - The index of the first query parameter.
+ * @returns {{setClause: String, values: Array}}
+ */
+function sqlForPartialUpdate(fields, columns, firstIndex = 1) {
+  const data = coerceUpdateFields(fields, columns);
+  const setClauses = Object.keys(data).map(
+    (column, i) => `"${column}" = $${firstIndex + i}`
+  );
+  return { setClause: setClauses.join(", "), values: Object.values(data) };
+}
+
+export {
+  coerceUpdateFields,
+  sqlForPartialUpdate,
+  toBoolean,
+  toCurrency,
+  toMoney,
+  toNonEmptyString,
+  toNullableDate,
+  toNullableString,
+  toNumber,
+};
@@ -0,0 +1,23 @@
+import PDFDocument from "pdfkit";
+
+/**
+ * Lays plain text out as a PDF, in a monospaced font so the columns of the
+ * text line up. Long lines are wrapped and pages added as needed.
+ * The PDF is generated here, without any external service.
+ * @param {String} text
+ * @param {Object} [info] - Document metadata, like `{Title: "Invoice 1"}`
+ * @returns {Promise<Buffer>}
+ */
+function textToPdf(text, info = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50, info });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    doc.font("Courier").fontSize(10).text(text);
+    doc.end();
+  });
+}
+
+export { textToPdf };
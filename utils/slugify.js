@@ -0,0 +1,40 @@
+/** Pattern every company code has to match, like `apple-computer-2` */
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/** Letters that Unicode normalization doesn't decompose into ASCII */
+const TRANSLITERATIONS = {
+  ß: "ss",
+  æ: "ae",
+  œ: "oe",
+  ø: "o",
+  đ: "d",
+  ł: "l",
+  þ: "th",
+};
+
+/**
+ * Turns text into a URL-safe slug.
+ * Accents are stripped, and any run of other characters becomes one dash.
+ * @param {String} text - like `"Café & Crème, Inc."`
+ * @returns {String} slug like `"cafe-creme-inc"`
+ */
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[ßæœøđłþ]/g, (letter) => TRANSLITERATIONS[letter])
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Checks whether a string follows the slug rules.
+ * @param {String} slug
+ * @returns {Boolean}
+ */
+function isSlug(slug) {
+  return typeof slug === "string" && SLUG_PATTERN.test(slug);
+}
+
+export { isSlug, slugify, SLUG_PATTERN };
@@ -0,0 +1,161 @@
+import fs from "fs";
+
+/** Tags like `{{name}}`, `{{#section}}`, `{{^inverted}}` and `{{/section}}` */
+const TAG = /{{([#^/]?)\s*([\w.]+)\s*}}/g;
+
+/** Section tags alone on their line, which are removed with the line */
+const STANDALONE_SECTION_TAG = /^[ \t]*({{[#^/][^}]*}})[ \t]*\r?\n/gm;
+
+/**
+ * Escapes text for HTML, for the values of `.html` templates.
+ * @param {String} text
+ * @returns {String}
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Parses a template into a tree of text and tags.
+ * @param {String} template
+ * @returns {Array} nodes, each a string or like `{kind, name, children}`
+ */
+function parseTemplate(template) {
+  const text = template.replace(STANDALONE_SECTION_TAG, "$1");
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+
+  for (const match of text.matchAll(TAG)) {
+    const [tag, kind, name] = match;
+    const { children } = stack[stack.length - 1];
+    children.push(text.slice(last, match.index));
+    last = match.index + tag.length;
+
+    if (kind === "#" || kind === "^") {
+      const section = { kind, name, children: [] };
+      children.push(section);
+      stack.push(section);
+    } else if (kind === "/") {
+      if (stack.length === 1 || stack.pop().name !== name) {
+        throw new Error(`Unexpected {{/${name}}} in template`);
+      }
+    } else {
+      children.push({ name });
+    }
+  }
+  if (stack.length > 1) {
+    throw new Error(
+      `Unclosed {{#${stack[stack.length - 1].name}}} in template`
+    );
+  }
+  root.children.push(text.slice(last));
+  return root.children;
+}
+
+/**
+ * Looks a dotted name up in the innermost context that has it. `.` is the
+ * innermost context itself.
+ * @param {String} name - like `company.name`
+ * @param {Array} contexts - outermost first
+ * @returns {*}
+ */
+function lookup(name, contexts) {
+  if (name === ".") return contexts[contexts.length - 1];
+  const [first, ...rest] = name.split(".");
+  const context = [...contexts]
+    .reverse()
+    .find((ctx) => ctx !== null && typeof ctx === "object" && first in ctx);
+  if (!context) return undefined;
+  return rest.reduce(
+    (value, key) => (value == null ? value : value[key]),
+    context[first]
+  );
+}
+
+/**
+ * Renders parsed template nodes.
+ * Sections are repeated for each item of an array and shown once for any
+ * other truthy value; inverted sections are shown for falsy values and
+ * empty arrays.
+ * @param {Array} nodes - from `parseTemplate`
+ * @param {Array} contexts - outermost first
+ * @param {Function} escape - applied to every value
+ * @returns {String}
+ */
+function renderNodes(nodes, contexts, escape) {
+  return nodes
+    .map((node) => {
+      if (typeof node === "string") return node;
+      const value = lookup(node.name, contexts);
+      if (!node.kind) {
+        return value === undefined || value === null
+          ? ""
+          : escape(String(value));
+      }
+      const items = Array.isArray(value) ? value : value ? [value] : [];
+      if (node.kind === "^") {
+        return items.length
+          ? ""
+          : renderNodes(node.children, contexts, escape);
+      }
+      return items
+        .map((item) => renderNodes(node.children, [...contexts, item], escape))
+        .join("");
+    })
+    .join("");
+}
+
+/**
+ * Renders a template with values like `{{company.name}}`, sections like
+ * `{{#lines}}...{{/lines}}` and inverted sections like `{{^paid}}...{{/paid}}`,
+ * a subset of Mustache.
+ * @param {String} template
+ * @param {Object} data
+ * @param {Function} [escape] - applied to every value, like `escapeHtml`
+ * @returns {String}
+ */
+function renderTemplate(template, data, escape = (text) => text) {
+  return renderNodes(parseTemplate(template), [data], escape);
+}
+
+/**
+ * Creates an Express template engine for `renderTemplate`, to be registered
+ * with `app.engine`. Parsed templates are cached when the `view cache`
+ * setting is on.
+ * Templates only see the `data` option, like `res.render(name, {data})`:
+ * Express adds `app.locals` and its settings to the options of every render,
+ * and templates from `TEMPLATES_DIR` mustn't read those.
+ * @param {Object} [options]
+ * @param {Function} [options.escape] - applied to every value
+ * @returns {Function} the engine, like `(filePath, options, callback)`
+ */
+function templateEngine({ escape = (text) => text } = {}) {
+  const cache = new Map();
+
+  return function (filePath, options, callback) {
+    const render = (nodes) =>
+      callback(null, renderNodes(nodes, [options.data || {}], escape));
+    if (options.cache && cache.has(filePath))
+      return render(cache.get(filePath));
+
+    fs.readFile(filePath, "utf8", (err, template) => {
+      if (err) return callback(err);
+      let nodes;
+      try {
+        nodes = parseTemplate(template);
+      } catch (parseErr) {
+        return callback(parseErr);
+      }
+      if (options.cache) cache.set(filePath, nodes);
+      return render(nodes);
+    });
+  };
+}
+
+export { escapeHtml, renderTemplate, templateEngine };